@@ -5,6 +5,15 @@ libxm.onload = function () {
     // sample rate, onfillbuffer, onxmdataupdate
     xmModule = new XMModule(48000, null, updateChannelsText);
 
+    // canvas visualizers, they redraw themselves on every animation frame
+    new XMChannelMeters(xmModule, document.getElementById("meters"));
+    new XMInstrumentGrid(xmModule, document.getElementById("instruments"));
+    // the module has no channel groups, so this is one waveform of the song
+    new XMOscilloscopes(xmModule, document.getElementById("oscilloscope"), {
+        master: true,
+    });
+    new XMSpectrum(xmModule, document.getElementById("spectrum"));
+
     var playButton = document.getElementById("play-button");
     playButton.style.display = "none"
 
@@ -24,7 +33,17 @@ libxm.onload = function () {
     document
         .getElementById("reset-button")
         .addEventListener("click", function () {
-            xmModule.seek(0, 0, 0);
+            try {
+                xmModule.seek(0, 0, 0);
+            } catch (err) {
+                if (!(err instanceof XMUnsupportedError)) throw err;
+                // libxm.js was built without xm_seek, start over by loading
+                // the module again
+                var playing = xmModule.playing;
+                xmModule.load(xmModule.moduleData, function (err) {
+                    if (!err && playing) xmModule.resume();
+                });
+            }
         });
 
     // file input
@@ -76,12 +95,15 @@ libxm.onload = function () {
 
 let previousRow = "";
 function updateChannelsText() {
-    var rowNotes = [];
-    for (var channelNum = 0; channelNum < xmModule.channelsNum; channelNum++) {
-        rowNotes.push(xmModule.getPlayingNoteInChannel(channelNum));
-    }
+    var position = xmModule.getPlayingPosition();
+    if (!position) return;
+    var row = xmModule.getPattern(position.pattern)[position.row];
+
+    var rowNotes = row.map(function (cell) {
+        return XMFile.noteName(cell.note);
+    });
 
-    var rowText = rowNotes.join(" | ");
+    var rowText = position.row + ": " + rowNotes.join(" | ");
 
     // don't update the DOM if it's the same
     if (previousRow != rowText) {
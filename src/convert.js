@@ -0,0 +1,1506 @@
+// jslibxm module converter: converts ProTracker MOD, ScreamTracker 3 S3M
+// and Impulse Tracker IT files to XM, so they can be played by libxm.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(require("./xmfile.js").XMFile);
+    } else {
+        Object.assign(root, factory(root.XMFile));
+    }
+})(function (XMFile) {
+    var MAX_CHANNELS = 32;
+    var MAX_INSTRUMENTS = 128;
+    var MAX_SAMPLES = 16;
+    var MAX_ENVELOPE_POINTS = 12;
+    // the frequency a sample plays C-4 at, without relative note or finetune
+    var XM_C4_RATE = 8363;
+    // the amiga period of C-4
+    var C4_PERIOD = 428;
+    var KEY_OFF = 97;
+
+    // XM effect numbers
+    var FX_ARPEGGIO = 0x0;
+    var FX_PORTA_UP = 0x1;
+    var FX_PORTA_DOWN = 0x2;
+    var FX_TONE_PORTA = 0x3;
+    var FX_VIBRATO = 0x4;
+    var FX_TONE_PORTA_VOLUME_SLIDE = 0x5;
+    var FX_VIBRATO_VOLUME_SLIDE = 0x6;
+    var FX_TREMOLO = 0x7;
+    var FX_PANNING = 0x8;
+    var FX_SAMPLE_OFFSET = 0x9;
+    var FX_VOLUME_SLIDE = 0xa;
+    var FX_JUMP = 0xb;
+    var FX_BREAK = 0xd;
+    var FX_EXTENDED = 0xe;
+    var FX_SPEED = 0xf;
+    var FX_GLOBAL_VOLUME = 0x10;
+    var FX_GLOBAL_VOLUME_SLIDE = 0x11;
+    var FX_PANNING_SLIDE = 0x19;
+    var FX_RETRIGGER = 0x1b;
+    var FX_TREMOR = 0x1d;
+    var FX_EXTRA_FINE_PORTA = 0x21;
+
+    // S3M and IT effects that have an XM equivalent in the E command, by
+    // the first digit of their S command
+    var EXTENDED_EFFECTS = {
+        0x1: 0x3, // glissando
+        0x2: 0x5, // finetune
+        0x3: 0x4, // vibrato waveform
+        0x4: 0x7, // tremolo waveform
+        0xb: 0x6, // pattern loop
+        0xc: 0xc, // note cut
+        0xd: 0xd, // note delay
+        0xe: 0xe, // pattern delay
+    };
+    var EFFECT_NAMES = {
+        K: "vibrato with fine volume slide",
+        L: "tone portamento with fine volume slide",
+        M: "channel volume",
+        N: "channel volume slide",
+        P: "fine panning slide",
+        S5: "panbrello waveform",
+        S6: "fine pattern delay",
+        S7: "instrument control",
+        S9: "sound control",
+        SA: "high sample offset",
+        SF: "funk repeat",
+        T: "tempo slide",
+        W: "fine global volume slide",
+        Y: "panbrello",
+        Z: "MIDI macro",
+    };
+    // IT volume column tone portamento speeds
+    var IT_TONE_PORTA_SPEEDS = [0, 1, 4, 8, 16, 32, 64, 96, 128, 255];
+
+    // reads a space or zero padded string
+    function readString(bytes, offset, length) {
+        var str = "";
+        for (var i = 0; i < length && offset + i < bytes.length; ++i) {
+            var ch = bytes[offset + i];
+            if (ch === 0) break;
+            str += String.fromCharCode(ch);
+        }
+        return str.replace(/\s+$/, "");
+    }
+
+    function toBytes(data) {
+        return ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+    }
+
+    function emptyCell() {
+        return {
+            note: 0,
+            instrument: 0,
+            volume: 0,
+            effectType: 0,
+            effectParam: 0,
+        };
+    }
+
+    function emptyEnvelope() {
+        return {
+            enabled: false,
+            sustainEnabled: false,
+            loopEnabled: false,
+            sustainPoint: 0,
+            loopStart: 0,
+            loopEnd: 0,
+            points: [],
+        };
+    }
+
+    // an instrument with a single sample played on every note
+    function sampleInstrument(sample) {
+        var keymap = [];
+        for (var i = 0; i < 96; ++i) keymap.push(0);
+        return {
+            name: sample.name,
+            samples: sample.data.length > 0 ? [sample] : [],
+            keymap: keymap,
+            volumeEnvelope: emptyEnvelope(),
+            panningEnvelope: emptyEnvelope(),
+            vibrato: { type: "sine", sweep: 0, depth: 0, rate: 0 },
+            fadeout: 0,
+            // the sample has no panning of its own, notes are played with
+            // the panning of the channel
+            channelPanning: true,
+        };
+    }
+
+    // sets the relative note and finetune of a sample that plays C-4 at a
+    // given frequency
+    function setSampleRate(sample, rate) {
+        if (!(rate > 0)) rate = XM_C4_RATE;
+        var fine = Math.round(12 * 128 * Math.log2(rate / XM_C4_RATE));
+        var relativeNote = Math.floor(fine / 128);
+        sample.relativeNote = Math.max(-96, Math.min(relativeNote, 95));
+        sample.finetune = Math.max(
+            -128,
+            Math.min(fine - sample.relativeNote * 128, 127)
+        );
+    }
+
+    // clamps a loop to the length of a sample
+    function clampLoop(sample) {
+        var length = sample.data.length;
+        if (sample.loopStart >= length || sample.loopLength <= 0) {
+            sample.loopType = "none";
+            sample.loopStart = 0;
+            sample.loopLength = 0;
+        } else if (sample.loopStart + sample.loopLength > length) {
+            sample.loopLength = length - sample.loopStart;
+        }
+    }
+
+    // converts 0..99 to the decimal digits XM pattern breaks use
+    function toDecimalParam(value) {
+        value = Math.min(value, 99);
+        return (Math.floor(value / 10) << 4) | value % 10;
+    }
+
+    /** Collects the problems found while converting a module.
+     * Unsupported effects are counted and reported once per effect.
+     */
+    function Report() {
+        this.problems = [];
+        this.unsupported = {};
+
+        this.problem = function (reason, message, offset, fatal = true) {
+            this.problems.push({
+                reason: reason,
+                message: message,
+                offset: offset,
+                fatal: fatal,
+            });
+        }.bind(this);
+
+        this.unsupportedEffect = function (name) {
+            this.unsupported[name] = (this.unsupported[name] || 0) + 1;
+        }.bind(this);
+
+        // adds the unsupported effects to the problems
+        this.finish = function () {
+            Object.keys(this.unsupported).forEach(function (name) {
+                var count = this.unsupported[name];
+                var description = EFFECT_NAMES[name];
+                this.problem(
+                    "unsupported-effect",
+                    "Effect " +
+                        name +
+                        (name.length > 1 ? "x" : "xx") +
+                        (description ? " (" + description + ")" : "") +
+                        " isn't supported, it's ignored " +
+                        count +
+                        (count == 1 ? " time" : " times"),
+                    null,
+                    false
+                );
+            }, this);
+            this.unsupported = {};
+            return this.problems;
+        }.bind(this);
+    }
+
+    // returns the channel count of a MOD file, or 0 if it isn't one
+    function modChannels(bytes) {
+        if (bytes.length < 1084) return 0;
+        var sig = String.fromCharCode(
+            bytes[1080],
+            bytes[1081],
+            bytes[1082],
+            bytes[1083]
+        );
+        if (sig == "M.K." || sig == "M!K!" || sig == "FLT4") return 4;
+        if (sig == "CD81" || sig == "OKTA") return 8;
+        var match = /^(\d)CHN$/.exec(sig) || /^(\d\d)CH$/.exec(sig);
+        if (!match) match = /^TDZ(\d)$/.exec(sig);
+        if (!match) return 0;
+        var channels = parseInt(match[1], 10);
+        return channels >= 1 && channels <= MAX_CHANNELS ? channels : 0;
+    }
+
+    /** Detects the format of a module by its signature.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @return {string} "xm", "mod", "s3m", "it" or null if it's unknown
+     */
+    function detect(data) {
+        var bytes = toBytes(data);
+        if (readString(bytes, 0, 17) == "Extended Module:") return "xm";
+        if (readString(bytes, 0, 4) == "IMPM") return "it";
+        if (bytes.length >= 0x60 && readString(bytes, 0x2c, 4) == "SCRM")
+            return "s3m";
+        if (modChannels(bytes) > 0) return "mod";
+        return null;
+    }
+
+    // reads a ProTracker MOD file
+    function readMOD(bytes, report) {
+        var channelsNum = modChannels(bytes);
+        var song = {
+            name: readString(bytes, 0, 20),
+            trackerName: "ProTracker",
+            linearFrequencies: false,
+            tempo: 6,
+            bpm: 125,
+            channelsNum: channelsNum,
+            // amiga panning: left, right, right, left
+            channelPanning: [],
+            orders: [],
+            restartPosition: 0,
+            patterns: [],
+            instruments: [],
+        };
+        for (var i = 0; i < channelsNum; ++i)
+            song.channelPanning.push(i % 4 == 0 || i % 4 == 3 ? 0x40 : 0xc0);
+
+        var songLength = Math.max(1, Math.min(bytes[950], 128));
+        var patternsNum = 0;
+        var usedPatternsNum = 0;
+        for (var i = 0; i < 128; ++i) {
+            patternsNum = Math.max(patternsNum, bytes[952 + i] + 1);
+            if (i < songLength) {
+                song.orders.push(bytes[952 + i]);
+                usedPatternsNum = patternsNum;
+            }
+        }
+        if (bytes[951] < songLength) song.restartPosition = bytes[951];
+
+        var offset = 1084;
+        var patternSize = 64 * channelsNum * 4;
+        // patterns that are only in unused orders are usually stored too,
+        // unless the unused orders are garbage
+        if (offset + patternsNum * patternSize > bytes.length)
+            patternsNum = usedPatternsNum;
+        if (offset + patternsNum * patternSize > bytes.length) {
+            report.problem(
+                "truncated-pattern",
+                "File ends before the end of the patterns",
+                bytes.length
+            );
+            return null;
+        }
+        for (var i = 0; i < patternsNum; ++i) {
+            var rows = [];
+            for (var row = 0; row < 64; ++row) {
+                var cells = [];
+                for (var ch = 0; ch < channelsNum; ++ch, offset += 4) {
+                    var cell = emptyCell();
+                    var period =
+                        ((bytes[offset] & 0x0f) << 8) | bytes[offset + 1];
+                    if (period > 0) {
+                        cell.note = Math.max(
+                            1,
+                            Math.min(
+                                49 +
+                                    Math.round(
+                                        12 * Math.log2(C4_PERIOD / period)
+                                    ),
+                                96
+                            )
+                        );
+                    }
+                    cell.instrument =
+                        (bytes[offset] & 0xf0) | (bytes[offset + 2] >> 4);
+                    cell.effectType = bytes[offset + 2] & 0x0f;
+                    cell.effectParam = bytes[offset + 3];
+                    // F00 stops the song in some players, XM ignores it
+                    if (cell.effectType == FX_SPEED && cell.effectParam === 0)
+                        cell.effectType = 0;
+                    cells.push(cell);
+                }
+                rows.push(cells);
+            }
+            song.patterns.push(rows);
+        }
+
+        for (var i = 0; i < 31; ++i) {
+            var header = 20 + i * 30;
+            var length = ((bytes[header + 22] << 8) | bytes[header + 23]) * 2;
+            var loopStart =
+                ((bytes[header + 26] << 8) | bytes[header + 27]) * 2;
+            var loopLength =
+                ((bytes[header + 28] << 8) | bytes[header + 29]) * 2;
+            var finetune = bytes[header + 24] & 0x0f;
+
+            var available = Math.max(
+                0,
+                Math.min(length, bytes.length - offset)
+            );
+            if (available < length)
+                report.problem(
+                    "truncated-sample",
+                    "Data of sample " +
+                        (i + 1) +
+                        " is truncated, the missing part will be silent",
+                    bytes.length,
+                    false
+                );
+            var data = new Int8Array(length);
+            data.set(
+                new Int8Array(
+                    bytes.buffer,
+                    bytes.byteOffset,
+                    bytes.length
+                ).subarray(offset, offset + available)
+            );
+            offset += length;
+
+            var sample = {
+                name: readString(bytes, header, 22),
+                data: data,
+                loopStart: loopStart,
+                loopLength: loopLength,
+                loopType: loopLength > 2 ? "forward" : "none",
+                volume: Math.min(bytes[header + 25], 64),
+                finetune: (finetune > 7 ? finetune - 16 : finetune) * 16,
+                panning: 0x80,
+                relativeNote: 0,
+            };
+            clampLoop(sample);
+            song.instruments.push(sampleInstrument(sample));
+        }
+
+        return song;
+    }
+
+    // converts a volume slide in the S3M/IT format, where the fine slides are
+    // DxF and DFx, to an XM effect. Returns false if it has no equivalent.
+    function convertVolumeSlide(cell, param, type) {
+        var hi = param >> 4;
+        var lo = param & 0x0f;
+        if (hi == 0x0f && lo > 0) {
+            if (type != FX_VOLUME_SLIDE) return false;
+            cell.effectType = FX_EXTENDED;
+            cell.effectParam = 0xb0 | lo;
+        } else if (lo == 0x0f && hi > 0) {
+            if (type != FX_VOLUME_SLIDE) return false;
+            cell.effectType = FX_EXTENDED;
+            cell.effectParam = 0xa0 | hi;
+        } else {
+            cell.effectType = type;
+            // a slide up and down at the same time slides down
+            cell.effectParam = hi > 0 && lo > 0 ? lo : param;
+        }
+        return true;
+    }
+
+    // converts an S3M or IT effect into the effect column of an XM cell
+    function convertEffect(cell, command, param, state, report) {
+        var letter = String.fromCharCode(64 + command);
+        var hi = param >> 4;
+        var lo = param & 0x0f;
+        var set = function (type, xmParam) {
+            cell.effectType = type;
+            cell.effectParam = xmParam;
+        };
+        switch (letter) {
+            case "@":
+                break;
+            case "A":
+                if (param > 0) set(FX_SPEED, Math.min(param, 31));
+                break;
+            case "B":
+                set(FX_JUMP, state.orderMap[param] || 0);
+                break;
+            case "C":
+                // IT stores the row in hexadecimal, S3M in decimal digits
+                set(FX_BREAK, state.isIT ? toDecimalParam(param) : param);
+                break;
+            case "D":
+                convertVolumeSlide(cell, param, FX_VOLUME_SLIDE);
+                break;
+            case "E":
+            case "F":
+                var up = letter == "F";
+                if (hi == 0x0f) set(FX_EXTENDED, (up ? 0x10 : 0x20) | lo);
+                else if (hi == 0x0e)
+                    set(FX_EXTRA_FINE_PORTA, (up ? 0x10 : 0x20) | lo);
+                else set(up ? FX_PORTA_UP : FX_PORTA_DOWN, param);
+                break;
+            case "G":
+                set(FX_TONE_PORTA, param);
+                break;
+            case "H":
+                set(FX_VIBRATO, param);
+                break;
+            case "I":
+                set(FX_TREMOR, param);
+                break;
+            case "J":
+                set(FX_ARPEGGIO, param);
+                break;
+            case "K":
+            case "L":
+                var type =
+                    letter == "K"
+                        ? FX_VIBRATO_VOLUME_SLIDE
+                        : FX_TONE_PORTA_VOLUME_SLIDE;
+                if (!convertVolumeSlide(cell, param, type))
+                    report.unsupportedEffect(letter);
+                break;
+            case "O":
+                set(FX_SAMPLE_OFFSET, param);
+                break;
+            case "P":
+                // IT slides right with P0x, XM with Px0
+                if ((hi == 0x0f && lo > 0) || (lo == 0x0f && hi > 0))
+                    report.unsupportedEffect(letter);
+                else set(FX_PANNING_SLIDE, (lo << 4) | hi);
+                break;
+            case "Q":
+                set(FX_RETRIGGER, param);
+                break;
+            case "R":
+                set(FX_TREMOLO, param);
+                break;
+            case "S":
+                if (param === 0) break;
+                if (EXTENDED_EFFECTS[hi] !== undefined)
+                    set(FX_EXTENDED, (EXTENDED_EFFECTS[hi] << 4) | lo);
+                else if (hi == 0x8) set(FX_PANNING, lo * 17);
+                // stereo control, only used by old S3M players
+                else if (hi == 0xa && !state.isIT) break;
+                else
+                    report.unsupportedEffect(
+                        "S" + hi.toString(16).toUpperCase()
+                    );
+                break;
+            case "T":
+                if (param >= 0x20) set(FX_SPEED, param);
+                else report.unsupportedEffect(letter);
+                break;
+            case "U":
+                // fine vibrato is 4 times shallower
+                set(
+                    FX_VIBRATO,
+                    (hi << 4) | (lo > 0 ? Math.max(1, lo >> 2) : 0)
+                );
+                break;
+            case "V":
+                set(
+                    FX_GLOBAL_VOLUME,
+                    Math.min(state.isIT ? param >> 1 : param, 64)
+                );
+                break;
+            case "W":
+                if ((hi == 0x0f && lo > 0) || (lo == 0x0f && hi > 0))
+                    report.unsupportedEffect(letter);
+                else set(FX_GLOBAL_VOLUME_SLIDE, param);
+                break;
+            case "X":
+                if (state.isIT) set(FX_PANNING, param);
+                // 0xA4 is surround in S3M
+                else
+                    set(
+                        FX_PANNING,
+                        param > 0x80 ? 0x80 : Math.min(param * 2, 255)
+                    );
+                break;
+            default:
+                report.unsupportedEffect(letter);
+        }
+    }
+
+    // maps the order list of an S3M or IT file to XM, where there are no
+    // "+++" markers, and the original order indices to the new ones
+    function convertOrders(rawOrders, patternsNum, song, state) {
+        state.orderMap = [];
+        var pending = [];
+        for (var i = 0; i < rawOrders.length; ++i) {
+            var pattern = rawOrders[i];
+            if (pattern == 255) break;
+            pending.push(i);
+            if (pattern == 254 || pattern >= patternsNum) continue;
+            pending.forEach(function (index) {
+                state.orderMap[index] = song.orders.length;
+            });
+            pending = [];
+            song.orders.push(pattern);
+        }
+        if (song.orders.length === 0) song.orders.push(0);
+        song.orders = song.orders.slice(0, 256);
+    }
+
+    // puts an effect into the first row of the song, in any channel with an
+    // empty effect column
+    function insertFirstRowEffect(song, type, param, report, what) {
+        var row = song.patterns[song.orders[0]][0];
+        for (var ch = 0; ch < row.length; ++ch) {
+            if (row[ch].effectType === 0 && row[ch].effectParam === 0) {
+                row[ch].effectType = type;
+                row[ch].effectParam = param;
+                return;
+            }
+        }
+        report.problem(
+            "unsupported-feature",
+            "There is no room in the first row for the initial " + what,
+            null,
+            false
+        );
+    }
+
+    // reads a sample in the S3M or IT format, which can be 8 or 16 bits,
+    // signed or unsigned and stereo (it's mixed to mono)
+    function readSampleData(
+        bytes,
+        offset,
+        length,
+        is16,
+        signed,
+        stereo,
+        report,
+        name
+    ) {
+        var channels = stereo ? 2 : 1;
+        var sampleSize = is16 ? 2 : 1;
+        if (offset + length * sampleSize * channels > bytes.length)
+            report.problem(
+                "truncated-sample",
+                "Data of sample " +
+                    name +
+                    " is truncated, the missing part is left out",
+                bytes.length,
+                false
+            );
+        // the channels are stored one after the other
+        var frames = Math.max(
+            0,
+            Math.min(length, Math.floor((bytes.length - offset) / sampleSize))
+        );
+        var data = is16 ? new Int16Array(frames) : new Int8Array(frames);
+        for (var i = 0; i < frames; ++i) {
+            var sum = 0;
+            var count = 0;
+            for (var c = 0; c < channels; ++c) {
+                var pos = offset + (c * length + i) * sampleSize;
+                if (pos + sampleSize > bytes.length) continue;
+                var value = is16
+                    ? bytes[pos] | (bytes[pos + 1] << 8)
+                    : bytes[pos];
+                if (is16) value = signed ? (value << 16) >> 16 : value - 0x8000;
+                else value = signed ? (value << 24) >> 24 : value - 0x80;
+                sum += value;
+                count++;
+            }
+            data[i] = Math.round(sum / count);
+        }
+        return data;
+    }
+
+    // reads a ScreamTracker 3 S3M file
+    function readS3M(bytes, view, report) {
+        var ordersNum = view.getUint16(0x20, true);
+        var samplesNum = view.getUint16(0x22, true);
+        var patternsNum = view.getUint16(0x24, true);
+        var signed = view.getUint16(0x2a, true) == 1;
+        var stereo = (bytes[0x33] & 0x80) !== 0;
+        var pointersOffset = 0x60 + ordersNum;
+        if (pointersOffset + (samplesNum + patternsNum) * 2 > bytes.length) {
+            report.problem(
+                "truncated-header",
+                "File ends before the end of the header",
+                bytes.length
+            );
+            return null;
+        }
+
+        var song = {
+            name: readString(bytes, 0, 28),
+            trackerName: "Scream Tracker 3",
+            linearFrequencies: false,
+            tempo: bytes[0x31] || 6,
+            bpm: bytes[0x32] >= 33 ? bytes[0x32] : 125,
+            channelsNum: 0,
+            channelPanning: [],
+            orders: [],
+            restartPosition: 0,
+            patterns: [],
+            instruments: [],
+        };
+        var state = { isIT: false };
+
+        // PCM channels, in the order they are stored
+        var channelMap = [];
+        var panningTable =
+            bytes[0x35] == 0xfc
+                ? pointersOffset + (samplesNum + patternsNum) * 2
+                : -1;
+        for (var i = 0; i < 32; ++i) {
+            var setting = bytes[0x40 + i];
+            if (setting >= 16) continue;
+            if (song.channelsNum == MAX_CHANNELS) break;
+            channelMap[i] = song.channelsNum++;
+            var panning = !stereo ? 0x80 : setting < 8 ? 0x33 : 0xcc;
+            if (panningTable >= 0 && bytes[panningTable + i] & 0x20)
+                panning = (bytes[panningTable + i] & 0x0f) * 17;
+            song.channelPanning.push(panning);
+        }
+        if (song.channelsNum === 0) {
+            report.problem("bad-channel-count", "Module has no channels", 0x40);
+            return null;
+        }
+
+        convertOrders(
+            Array.from(bytes.subarray(0x60, 0x60 + ordersNum)),
+            patternsNum,
+            song,
+            state
+        );
+
+        for (var i = 0; i < samplesNum; ++i) {
+            var header = view.getUint16(pointersOffset + i * 2, true) * 16;
+            var sample = {
+                name: "",
+                data: new Int8Array(0),
+                loopStart: 0,
+                loopLength: 0,
+                loopType: "none",
+                volume: 0,
+                finetune: 0,
+                panning: 0x80,
+                relativeNote: 0,
+            };
+            if (header + 0x50 <= bytes.length) {
+                sample.name = readString(bytes, header + 0x30, 28);
+                var type = bytes[header];
+                if (type == 1) {
+                    var flags = bytes[header + 0x1f];
+                    var length = view.getUint32(header + 0x10, true);
+                    var dataOffset =
+                        ((bytes[header + 0x0d] << 16) |
+                            view.getUint16(header + 0x0e, true)) *
+                        16;
+                    sample.data = readSampleData(
+                        bytes,
+                        dataOffset,
+                        length,
+                        (flags & 4) !== 0,
+                        signed,
+                        (flags & 2) !== 0,
+                        report,
+                        i + 1
+                    );
+                    if (flags & 1) {
+                        sample.loopType = "forward";
+                        sample.loopStart = view.getUint32(header + 0x14, true);
+                        sample.loopLength =
+                            view.getUint32(header + 0x18, true) -
+                            sample.loopStart;
+                        clampLoop(sample);
+                    }
+                    sample.volume = Math.min(bytes[header + 0x1c], 64);
+                    setSampleRate(sample, view.getUint32(header + 0x20, true));
+                } else if (type > 1) {
+                    report.problem(
+                        "unsupported-feature",
+                        "Instrument " +
+                            (i + 1) +
+                            " is an AdLib instrument, it's silent",
+                        header,
+                        false
+                    );
+                }
+            }
+            song.instruments.push(sampleInstrument(sample));
+        }
+
+        for (var i = 0; i < patternsNum; ++i) {
+            var rows = [];
+            for (var row = 0; row < 64; ++row) {
+                var cells = [];
+                for (var ch = 0; ch < song.channelsNum; ++ch)
+                    cells.push(emptyCell());
+                rows.push(cells);
+            }
+            song.patterns.push(rows);
+
+            var offset =
+                view.getUint16(pointersOffset + (samplesNum + i) * 2, true) *
+                16;
+            if (offset === 0) continue;
+            if (offset + 2 > bytes.length) {
+                report.problem(
+                    "truncated-pattern",
+                    "File ends before pattern " + i,
+                    offset,
+                    false
+                );
+                continue;
+            }
+            var end = Math.min(
+                offset + view.getUint16(offset, true),
+                bytes.length
+            );
+            var pos = offset + 2;
+            for (var row = 0; row < 64 && pos < end; ) {
+                var what = bytes[pos++];
+                if (what === 0) {
+                    row++;
+                    continue;
+                }
+                var ch = channelMap[what & 31];
+                var cell = ch === undefined ? emptyCell() : rows[row][ch];
+                if (what & 32) {
+                    var note = bytes[pos++];
+                    var instrument = bytes[pos++];
+                    if (note == 254) cell.note = KEY_OFF;
+                    else if (note < 254)
+                        cell.note = Math.min(
+                            (note >> 4) * 12 + (note & 0x0f) + 1,
+                            96
+                        );
+                    cell.instrument = instrument;
+                }
+                if (what & 64) cell.volume = 0x10 + Math.min(bytes[pos++], 64);
+                if (what & 128) {
+                    var command = bytes[pos++];
+                    var param = bytes[pos++];
+                    convertEffect(cell, command, param, state, report);
+                }
+            }
+        }
+
+        var globalVolume = bytes[0x30];
+        if (globalVolume < 64)
+            insertFirstRowEffect(
+                song,
+                FX_GLOBAL_VOLUME,
+                globalVolume,
+                report,
+                "global volume"
+            );
+
+        return song;
+    }
+
+    /** Reads the bits of an IT compressed sample block, starting with the
+     * least significant bit of every byte.
+     */
+    function BitReader(bytes, offset, end) {
+        this.pos = offset;
+        this.end = end;
+        this.buffer = 0;
+        this.bitsLeft = 0;
+
+        this.read = function (width) {
+            var value = 0;
+            for (var i = 0; i < width; ++i) {
+                if (this.bitsLeft === 0) {
+                    this.buffer = this.pos < this.end ? bytes[this.pos] : 0;
+                    this.pos++;
+                    this.bitsLeft = 8;
+                }
+                value |= (this.buffer & 1) << i;
+                this.buffer >>= 1;
+                this.bitsLeft--;
+            }
+            return value;
+        }.bind(this);
+    }
+
+    // decompresses an IT 2.14 (or 2.15, which integrates twice) sample
+    function decompressITSample(bytes, offset, length, is16, it215) {
+        var data = is16 ? new Int16Array(length) : new Int8Array(length);
+        var bits = is16 ? 16 : 8;
+        var maxWidth = bits + 1;
+        var blockLength = is16 ? 0x4000 : 0x8000;
+        var pos = offset;
+        for (var done = 0; done < length && pos + 2 <= bytes.length; ) {
+            var blockSize = bytes[pos] | (bytes[pos + 1] << 8);
+            pos += 2;
+            var reader = new BitReader(
+                bytes,
+                pos,
+                Math.min(pos + blockSize, bytes.length)
+            );
+            var count = Math.min(blockLength, length - done);
+            var width = maxWidth;
+            var d1 = 0;
+            var d2 = 0;
+            for (var i = 0; i < count; ) {
+                // corrupted data
+                if (width < 1 || width > maxWidth) break;
+                var value = reader.read(width);
+                if (width < 7) {
+                    if (value == 1 << (width - 1)) {
+                        value = reader.read(is16 ? 4 : 3) + 1;
+                        width = value < width ? value : value + 1;
+                        continue;
+                    }
+                } else if (width < maxWidth) {
+                    var border =
+                        (((1 << bits) - 1) >> (maxWidth - width)) -
+                        (is16 ? 8 : 4);
+                    if (value > border && value <= border + (is16 ? 16 : 8)) {
+                        value -= border;
+                        width = value < width ? value : value + 1;
+                        continue;
+                    }
+                } else if (value & (1 << bits)) {
+                    width = (value + 1) & 0xff;
+                    continue;
+                }
+
+                var shift = 32 - Math.min(width, bits);
+                var delta = (value << shift) >> shift;
+                d1 = ((d1 + delta) << (32 - bits)) >> (32 - bits);
+                d2 = ((d2 + d1) << (32 - bits)) >> (32 - bits);
+                data[done + i++] = it215 ? d2 : d1;
+            }
+            done += count;
+            pos += blockSize;
+        }
+        return data;
+    }
+
+    // reads an IT sample header and its data
+    function readITSample(bytes, view, offset, report, num) {
+        var sample = {
+            name: "",
+            data: new Int8Array(0),
+            loopStart: 0,
+            loopLength: 0,
+            loopType: "none",
+            volume: 0,
+            finetune: 0,
+            panning: 0x80,
+            relativeNote: 0,
+            // 0..64, the XM volume is multiplied by it
+            globalVolume: 64,
+            hasPanning: false,
+            vibrato: { type: "sine", sweep: 0, depth: 0, rate: 0 },
+        };
+        if (
+            offset + 0x50 > bytes.length ||
+            readString(bytes, offset, 4) != "IMPS"
+        )
+            return sample;
+
+        var flags = bytes[offset + 0x12];
+        var convert = bytes[offset + 0x2e];
+        var length = view.getUint32(offset + 0x30, true);
+        sample.name = readString(bytes, offset + 0x14, 26);
+        sample.globalVolume = Math.min(bytes[offset + 0x11], 64);
+        sample.volume = Math.min(bytes[offset + 0x13], 64);
+        if (bytes[offset + 0x2f] & 0x80) {
+            sample.hasPanning = true;
+            sample.panning = Math.min((bytes[offset + 0x2f] & 0x7f) * 4, 255);
+        }
+        setSampleRate(sample, view.getUint32(offset + 0x3c, true));
+
+        var depth = bytes[offset + 0x4d];
+        var rate = bytes[offset + 0x4e];
+        sample.vibrato = {
+            type: ["sine", "rampdown", "square", "sine"][
+                bytes[offset + 0x4f] & 3
+            ],
+            // IT raises the depth by the rate every tick, XM sweeps
+            // over a number of ticks
+            sweep:
+                rate > 0 ? Math.min(Math.round((depth * 256) / rate), 255) : 0,
+            depth: Math.min(depth >> 2, 15),
+            rate: Math.min(bytes[offset + 0x4c], 63),
+        };
+
+        if ((flags & 1) === 0 || length === 0) return sample;
+        var is16 = (flags & 2) !== 0;
+        var stereo = (flags & 4) !== 0;
+        var dataOffset = view.getUint32(offset + 0x48, true);
+        if (flags & 8) {
+            // a compressed sample takes at least one bit per sample
+            length = Math.min(
+                length,
+                Math.max(0, bytes.length - dataOffset) * 8
+            );
+            sample.data = decompressITSample(
+                bytes,
+                dataOffset,
+                length,
+                is16,
+                (convert & 4) !== 0
+            );
+            if (stereo)
+                report.problem(
+                    "unsupported-feature",
+                    "Sample " +
+                        num +
+                        " is compressed stereo, only the left channel is played",
+                    offset,
+                    false
+                );
+        } else {
+            sample.data = readSampleData(
+                bytes,
+                dataOffset,
+                length,
+                is16,
+                (convert & 1) !== 0,
+                stereo,
+                report,
+                num
+            );
+        }
+
+        var loopStart = view.getUint32(offset + 0x34, true);
+        var loopEnd = view.getUint32(offset + 0x38, true);
+        var pingpong = (flags & 64) !== 0;
+        if ((flags & 16) === 0 && flags & 32) {
+            // XM has no sustain loops, the sustain loop is used as the loop
+            loopStart = view.getUint32(offset + 0x40, true);
+            loopEnd = view.getUint32(offset + 0x44, true);
+            pingpong = (flags & 128) !== 0;
+            report.problem(
+                "unsupported-feature",
+                "Sample " +
+                    num +
+                    " has a sustain loop, it's played as a normal loop",
+                offset,
+                false
+            );
+        }
+        if (flags & 48) {
+            sample.loopType = pingpong ? "pingpong" : "forward";
+            sample.loopStart = loopStart;
+            sample.loopLength = loopEnd - loopStart;
+            clampLoop(sample);
+        }
+        return sample;
+    }
+
+    // reads an IT envelope, which has up to 25 nodes and a sustain loop
+    function readITEnvelope(bytes, view, offset, valueOffset, report, what) {
+        var flags = bytes[offset];
+        var envelope = emptyEnvelope();
+        envelope.enabled = (flags & 1) !== 0;
+        envelope.loopEnabled = (flags & 2) !== 0;
+        envelope.sustainEnabled = (flags & 4) !== 0;
+        envelope.loopStart = bytes[offset + 2];
+        envelope.loopEnd = bytes[offset + 3];
+        envelope.sustainPoint = bytes[offset + 4];
+        var pointsNum = Math.min(bytes[offset + 1], 25);
+        for (var i = 0; i < pointsNum; ++i) {
+            envelope.points.push({
+                frame: view.getUint16(offset + 7 + i * 3, true),
+                value: view.getInt8(offset + 6 + i * 3) + valueOffset,
+            });
+        }
+        if (!envelope.enabled) return envelope;
+
+        if (envelope.points.length > MAX_ENVELOPE_POINTS) {
+            envelope.points = envelope.points.slice(0, MAX_ENVELOPE_POINTS);
+            report.problem(
+                "unsupported-feature",
+                what +
+                    " has more than " +
+                    MAX_ENVELOPE_POINTS +
+                    " points, the rest are ignored",
+                offset,
+                false
+            );
+        }
+        if (
+            envelope.sustainEnabled &&
+            bytes[offset + 5] != envelope.sustainPoint
+        )
+            report.problem(
+                "unsupported-feature",
+                what + " has a sustain loop, it's played as a sustain point",
+                offset,
+                false
+            );
+        var last = envelope.points.length - 1;
+        envelope.loopStart = Math.min(envelope.loopStart, last);
+        envelope.loopEnd = Math.min(envelope.loopEnd, last);
+        envelope.sustainPoint = Math.min(envelope.sustainPoint, last);
+        return envelope;
+    }
+
+    // reads an IT instrument, using copies of the samples it plays
+    function readITInstrument(bytes, view, offset, samples, report, num) {
+        var what = "Instrument " + num;
+        var instrument = sampleInstrument({ name: "", data: [] });
+        if (
+            offset + 0x40 + 240 > bytes.length ||
+            readString(bytes, offset, 4) != "IMPI"
+        )
+            return instrument;
+        var oldFormat = view.getUint16(offset + 0x1c, true) < 0x200;
+        instrument.name = readString(bytes, offset + 0x20, 26);
+
+        var globalVolume = 128;
+        if (oldFormat) {
+            instrument.fadeout = Math.min(
+                view.getUint16(offset + 0x18, true) * 64,
+                0xfff
+            );
+        } else {
+            instrument.fadeout = Math.min(
+                view.getUint16(offset + 0x14, true) * 32,
+                0xfff
+            );
+            globalVolume = Math.min(bytes[offset + 0x18], 128);
+            if (bytes[offset + 0x11] !== 0)
+                report.problem(
+                    "unsupported-feature",
+                    what + " uses new note actions, they are ignored",
+                    offset + 0x11,
+                    false
+                );
+            if (offset + 0x130 + 82 * 3 <= bytes.length) {
+                instrument.volumeEnvelope = readITEnvelope(
+                    bytes,
+                    view,
+                    offset + 0x130,
+                    0,
+                    report,
+                    "Volume envelope of " + what.toLowerCase()
+                );
+                instrument.panningEnvelope = readITEnvelope(
+                    bytes,
+                    view,
+                    offset + 0x182,
+                    32,
+                    report,
+                    "Panning envelope of " + what.toLowerCase()
+                );
+                if (bytes[offset + 0x1d4] & 1)
+                    report.problem(
+                        "unsupported-feature",
+                        what + " has a pitch or filter envelope, it's ignored",
+                        offset + 0x1d4,
+                        false
+                    );
+            }
+        }
+
+        // every sample and transposition in the keyboard table becomes an
+        // XM sample, XM can't transpose notes per key
+        var used = {};
+        for (var key = 0; key < 96; ++key) {
+            // XM note 1 is IT note 12
+            var entry = offset + 0x40 + (key + 12) * 2;
+            var note = bytes[entry];
+            var sampleNum = bytes[entry + 1];
+            if (sampleNum === 0 || sampleNum > samples.length) continue;
+            var id = sampleNum + ":" + (note - key - 12);
+            if (used[id] === undefined) {
+                if (instrument.samples.length == MAX_SAMPLES) {
+                    report.problem(
+                        "unsupported-feature",
+                        what +
+                            " plays more than " +
+                            MAX_SAMPLES +
+                            " samples, the rest are ignored",
+                        offset + 0x40,
+                        false
+                    );
+                    used[id] = 0;
+                } else {
+                    var source = samples[sampleNum - 1];
+                    var sample = Object.assign({}, source);
+                    sample.relativeNote = Math.max(
+                        -96,
+                        Math.min(source.relativeNote + note - key - 12, 95)
+                    );
+                    sample.volume = Math.round(
+                        (source.volume * source.globalVolume * globalVolume) /
+                            (64 * 128)
+                    );
+                    used[id] = instrument.samples.length;
+                    instrument.samples.push(sample);
+                }
+            }
+            instrument.keymap[key] = used[id];
+        }
+
+        if (instrument.samples.length > 0) {
+            instrument.vibrato = instrument.samples[0].vibrato;
+            var panning = bytes[offset + 0x19];
+            if (!oldFormat && (panning & 0x80) === 0) {
+                instrument.samples.forEach(function (sample) {
+                    sample.panning = Math.min(panning * 4, 255);
+                });
+                instrument.channelPanning = false;
+            } else {
+                instrument.channelPanning = !instrument.samples[0].hasPanning;
+            }
+        }
+        return instrument;
+    }
+
+    // converts an IT volume column value to XM, the portamento slides are
+    // moved to the effect column if it's empty
+    function convertITVolume(cell, value) {
+        if (value <= 64) cell.volume = 0x10 + value;
+        else if (value <= 74) cell.volume = 0x90 | (value - 65);
+        else if (value <= 84) cell.volume = 0x80 | (value - 75);
+        else if (value <= 94) cell.volume = 0x70 | (value - 85);
+        else if (value <= 104) cell.volume = 0x60 | (value - 95);
+        else if (value <= 124) {
+            if (cell.effectType === 0 && cell.effectParam === 0) {
+                cell.effectType = value <= 114 ? FX_PORTA_DOWN : FX_PORTA_UP;
+                cell.effectParam = ((value - 105) % 10) * 4;
+            }
+        } else if (value >= 128 && value <= 192)
+            cell.volume = 0xc0 | Math.min(((value - 128) * 4) >> 4, 15);
+        else if (value >= 193 && value <= 202) {
+            var speed = IT_TONE_PORTA_SPEEDS[value - 193];
+            cell.volume =
+                0xf0 |
+                (speed > 0
+                    ? Math.max(1, Math.min(Math.round(speed / 16), 15))
+                    : 0);
+        } else if (value >= 203 && value <= 212)
+            cell.volume = 0xb0 | (value - 203);
+    }
+
+    // reads an Impulse Tracker IT file
+    function readIT(bytes, view, report) {
+        if (bytes.length < 0xc0) {
+            report.problem(
+                "truncated-header",
+                "File ends before the end of the header",
+                bytes.length
+            );
+            return null;
+        }
+        var ordersNum = view.getUint16(0x20, true);
+        var instrumentsNum = view.getUint16(0x22, true);
+        var samplesNum = view.getUint16(0x24, true);
+        var patternsNum = view.getUint16(0x26, true);
+        var flags = view.getUint16(0x2c, true);
+        var pointersOffset = 0xc0 + ordersNum;
+        if (
+            pointersOffset + (instrumentsNum + samplesNum + patternsNum) * 4 >
+            bytes.length
+        ) {
+            report.problem(
+                "truncated-header",
+                "File ends before the end of the header",
+                bytes.length
+            );
+            return null;
+        }
+        var pointer = function (i) {
+            return view.getUint32(pointersOffset + i * 4, true);
+        };
+
+        var song = {
+            name: readString(bytes, 4, 26),
+            trackerName: "Impulse Tracker",
+            linearFrequencies: (flags & 8) !== 0,
+            tempo: bytes[0x32] || 6,
+            bpm: bytes[0x33] >= 32 ? bytes[0x33] : 125,
+            channelsNum: 0,
+            channelPanning: [],
+            orders: [],
+            restartPosition: 0,
+            patterns: [],
+            instruments: [],
+        };
+        var state = { isIT: true };
+        convertOrders(
+            Array.from(bytes.subarray(0xc0, 0xc0 + ordersNum)),
+            patternsNum,
+            song,
+            state
+        );
+
+        var samples = [];
+        for (var i = 0; i < samplesNum; ++i)
+            samples.push(
+                readITSample(
+                    bytes,
+                    view,
+                    pointer(instrumentsNum + i),
+                    report,
+                    i + 1
+                )
+            );
+
+        if (flags & 4) {
+            for (var i = 0; i < instrumentsNum; ++i)
+                song.instruments.push(
+                    readITInstrument(
+                        bytes,
+                        view,
+                        pointer(i),
+                        samples,
+                        report,
+                        i + 1
+                    )
+                );
+        } else {
+            samples.forEach(function (sample) {
+                var instrument = sampleInstrument(sample);
+                instrument.vibrato = sample.vibrato;
+                instrument.channelPanning = !sample.hasPanning;
+                sample.volume = Math.round(
+                    (sample.volume * sample.globalVolume) / 64
+                );
+                song.instruments.push(instrument);
+            });
+        }
+
+        // the patterns are read into 64 channels first, only the channels
+        // that are used are kept
+        var rawPatterns = [];
+        var usedChannels = [];
+        for (var i = 0; i < patternsNum; ++i) {
+            var offset = pointer(instrumentsNum + samplesNum + i);
+            var rowsNum = 64;
+            if (offset !== 0 && offset + 8 <= bytes.length)
+                rowsNum = Math.max(
+                    1,
+                    Math.min(view.getUint16(offset + 2, true), 256)
+                );
+            var rows = [];
+            for (var row = 0; row < rowsNum; ++row) rows.push([]);
+            rawPatterns.push(rows);
+            if (offset === 0 || offset + 8 > bytes.length) continue;
+
+            var end = Math.min(
+                offset + 8 + view.getUint16(offset, true),
+                bytes.length
+            );
+            var masks = [];
+            var last = [];
+            var pos = offset + 8;
+            for (var row = 0; row < rowsNum && pos < end; ) {
+                var channelVariable = bytes[pos++];
+                if (channelVariable === 0) {
+                    row++;
+                    continue;
+                }
+                var ch = (channelVariable - 1) & 63;
+                if (channelVariable & 128) masks[ch] = bytes[pos++];
+                var mask = masks[ch] || 0;
+                if (!last[ch])
+                    last[ch] = {
+                        note: null,
+                        instrument: null,
+                        volume: null,
+                        command: null,
+                    };
+                var raw = {
+                    note: null,
+                    instrument: null,
+                    volume: null,
+                    command: null,
+                };
+                if (mask & 1) last[ch].note = raw.note = bytes[pos++];
+                if (mask & 2)
+                    last[ch].instrument = raw.instrument = bytes[pos++];
+                if (mask & 4) last[ch].volume = raw.volume = bytes[pos++];
+                if (mask & 8) {
+                    last[ch].command = raw.command = [
+                        bytes[pos],
+                        bytes[pos + 1],
+                    ];
+                    pos += 2;
+                }
+                if (mask & 16) raw.note = last[ch].note;
+                if (mask & 32) raw.instrument = last[ch].instrument;
+                if (mask & 64) raw.volume = last[ch].volume;
+                if (mask & 128) raw.command = last[ch].command;
+                rows[row][ch] = raw;
+                usedChannels[ch] = true;
+            }
+        }
+
+        var channelMap = [];
+        var dropped = 0;
+        for (var ch = 0; ch < 64; ++ch) {
+            var panning = bytes[0x40 + ch];
+            if (!usedChannels[ch] || panning >= 128) continue;
+            if (song.channelsNum == MAX_CHANNELS) {
+                dropped++;
+                continue;
+            }
+            channelMap[ch] = song.channelsNum++;
+            // 100 is surround
+            song.channelPanning.push(
+                panning <= 64 ? Math.min(panning * 4, 255) : 0x80
+            );
+            if (bytes[0x80 + ch] < 64)
+                report.problem(
+                    "unsupported-feature",
+                    "Channel " +
+                        (ch + 1) +
+                        " has a volume of " +
+                        bytes[0x80 + ch] +
+                        ", it's played at full volume",
+                    0x80 + ch,
+                    false
+                );
+        }
+        if (dropped > 0)
+            report.problem(
+                "too-many-channels",
+                dropped +
+                    " channels past the first " +
+                    MAX_CHANNELS +
+                    " are dropped",
+                0x40,
+                false
+            );
+        if (song.channelsNum === 0) song.channelsNum = 1;
+
+        rawPatterns.forEach(function (rawRows) {
+            song.patterns.push(
+                rawRows.map(function (rawRow) {
+                    var cells = [];
+                    for (var ch = 0; ch < song.channelsNum; ++ch)
+                        cells.push(emptyCell());
+                    rawRow.forEach(function (raw, ch) {
+                        if (channelMap[ch] === undefined) return;
+                        var cell = cells[channelMap[ch]];
+                        if (raw.command !== null)
+                            convertEffect(
+                                cell,
+                                raw.command[0],
+                                raw.command[1],
+                                state,
+                                report
+                            );
+                        if (raw.note !== null) {
+                            if (raw.note >= 12 && raw.note < 108)
+                                cell.note = raw.note - 11;
+                            else if (raw.note == 254 && cell.volume === 0)
+                                cell.volume = 0x10;
+                            else if (raw.note >= 120) cell.note = KEY_OFF;
+                        }
+                        if (raw.instrument !== null)
+                            cell.instrument = raw.instrument;
+                        if (raw.volume !== null)
+                            convertITVolume(cell, raw.volume);
+                    });
+                    return cells;
+                })
+            );
+        });
+
+        var globalVolume = bytes[0x30] >> 1;
+        if (globalVolume < 64)
+            insertFirstRowEffect(
+                song,
+                FX_GLOBAL_VOLUME,
+                globalVolume,
+                report,
+                "global volume"
+            );
+
+        return song;
+    }
+
+    // XM has no channel panning, the panning of every channel is set on the
+    // notes that would use the panning of their sample
+    function applyChannelPanning(song) {
+        song.patterns.forEach(function (rows) {
+            var panning = song.channelPanning.slice();
+            rows.forEach(function (cells) {
+                cells.forEach(function (cell, ch) {
+                    if (cell.effectType == FX_PANNING) {
+                        panning[ch] = cell.effectParam;
+                        return;
+                    }
+                    if ((cell.volume & 0xf0) == 0xc0) {
+                        panning[ch] = (cell.volume & 0x0f) * 16;
+                        return;
+                    }
+                    var instrument = song.instruments[cell.instrument - 1];
+                    if (
+                        !instrument ||
+                        !instrument.channelPanning ||
+                        panning[ch] === 0x80 ||
+                        cell.note == KEY_OFF
+                    )
+                        return;
+                    if (cell.volume === 0) {
+                        cell.volume = 0xc0 | (panning[ch] >> 4);
+                    } else if (
+                        cell.effectType === 0 &&
+                        cell.effectParam === 0
+                    ) {
+                        cell.effectType = FX_PANNING;
+                        cell.effectParam = panning[ch];
+                    }
+                });
+            });
+        });
+    }
+
+    /** Converts a MOD, S3M or IT module to XM.
+     * Effects and features XM doesn't have are left out, they are listed
+     * in the problems (see XMFile.parse for the problem format).
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @return {format, data, problems} - format is the detected format (see
+     * detect), data is the XM file as an Uint8Array, or null if the module
+     * couldn't be converted. XM modules are returned as they are.
+     */
+    function convert(data) {
+        var bytes = toBytes(data);
+        var format = detect(bytes);
+        var report = new Report();
+        if (format == "xm")
+            return { format: format, data: bytes, problems: [] };
+
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        var song = null;
+        if (format == "mod") song = readMOD(bytes, report);
+        else if (format == "s3m") song = readS3M(bytes, view, report);
+        else if (format == "it") song = readIT(bytes, view, report);
+        else
+            report.problem(
+                "unknown-format",
+                "Unknown module format, only XM, MOD, S3M and IT are supported",
+                0
+            );
+
+        if (song === null)
+            return { format: format, data: null, problems: report.finish() };
+        if (song.instruments.length > MAX_INSTRUMENTS) {
+            report.problem(
+                "bad-instrument-count",
+                "Instruments past the first " +
+                    MAX_INSTRUMENTS +
+                    " are dropped",
+                null,
+                false
+            );
+            song.instruments = song.instruments.slice(0, MAX_INSTRUMENTS);
+        }
+        applyChannelPanning(song);
+
+        // the song is written like a document of XMFile.readDocument, whose
+        // samples have their bit depth instead of a typed array of it
+        song.instruments.forEach(function (instrument) {
+            instrument.samples.forEach(function (sample) {
+                sample.bits = sample.data.BYTES_PER_ELEMENT * 8;
+            });
+        });
+        var xm = null;
+        try {
+            xm = XMFile.writeDocument(song);
+        } catch (err) {
+            if (!(err instanceof RangeError)) throw err;
+            report.problem("unwritable", err.message, null);
+        }
+        return {
+            format: format,
+            data: xm,
+            problems: report.finish(),
+        };
+    }
+
+    return {
+        XMConvert: {
+            detect: detect,
+            convert: convert,
+        },
+    };
+});
@@ -0,0 +1,2207 @@
+// jslibxm core: libxm contexts and offline rendering. Doesn't depend on
+// Web Audio or the DOM, so it can be used in Node.js, workers and worklets.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(
+            require("../lib/libxm.js"),
+            require("./xmfile.js").XMFile,
+            require("./convert.js").XMConvert
+        );
+    } else {
+        Object.assign(
+            root,
+            factory(
+                typeof Module != "undefined" ? Module : undefined,
+                root.XMFile,
+                root.XMConvert
+            )
+        );
+    }
+})(function (Module, XMFile, XMConvert) {
+    // check if the WASM module is loaded
+    if (typeof Module != "object") {
+        throw new Error(
+            "WASM module is " +
+                typeof Module +
+                " (expected object), make sure you added a <script> tag for libxm.js"
+        );
+    }
+
+    // if this is a function, it will be called when emscripten's runtime is initialized
+    let libxm = { onload: null, isRuntimeInitialized: false };
+    // resolves when emscripten's runtime is initialized
+    let resolveReady;
+    libxm.ready = new Promise(function (resolve) {
+        resolveReady = resolve;
+    });
+    // prettier-ignore
+    libxm.notes = ['A-', 'A#', 'B-', 'C-', 'C#', 'D-', 'D#', 'E-', 'F-', 'F#', 'G-', 'G#'];
+
+    // get note string for frequency
+    libxm.getNoteForFreq = function (frequency) {
+        return (
+            libxm.notes[
+                Math.round((12.0 * Math.log(frequency / 440.0)) / Math.log(2)) %
+                    12
+            ] + Math.floor(Math.log(frequency) / Math.log(2) - 10)
+        );
+    };
+
+    Module["onRuntimeInitialized"] = function () {
+        libxm.isRuntimeInitialized = true;
+        resolveReady();
+        if (libxm.onload instanceof Function) libxm.onload();
+    };
+
+    // base class of all errors reported by jslibxm
+    class XMError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = "XMError";
+        }
+    }
+
+    // the module couldn't be downloaded, status is the HTTP status code (if any)
+    class XMNetworkError extends XMError {
+        constructor(message, status = null) {
+            super(message);
+            this.name = "XMNetworkError";
+            this.status = status;
+        }
+    }
+
+    // the input isn't something a module can be loaded from
+    class XMInputError extends XMError {
+        constructor(message) {
+            super(message);
+            this.name = "XMInputError";
+        }
+    }
+
+    // the module couldn't be loaded. reason and problems come from
+    // XMFile.validate, code is the return value of xm_create_context_safe
+    // (1 - module data is not sane, 2 - memory allocation failed)
+    class XMParseError extends XMError {
+        constructor(message, code = null, reason = null, problems = []) {
+            super(message);
+            this.name = "XMParseError";
+            this.code = code;
+            this.reason = reason;
+            this.problems = problems;
+        }
+    }
+
+    // loading was cancelled through an AbortSignal
+    class XMAbortError extends XMError {
+        constructor(message = "Loading was aborted") {
+            super(message);
+            this.name = "AbortError";
+        }
+    }
+
+    // the state can't be loaded into this context: it's of another module,
+    // of another build of libxm, or not a state at all
+    class XMStateError extends XMError {
+        constructor(message) {
+            super(message);
+            this.name = "XMStateError";
+        }
+    }
+
+    // a function was called after the object was destroyed (XMModule.destroy,
+    // XMContext.free), or one that needs a module before one was loaded. An
+    // XMContext or XMModule created before libxm.ready throws it too
+    class XMLifecycleError extends XMError {
+        constructor(message) {
+            super(message);
+            this.name = "XMLifecycleError";
+        }
+    }
+
+    // lib/libxm.js doesn't export a C function the feature needs, it was
+    // built before the function was added. cFunction is the name of it
+    class XMUnsupportedError extends XMError {
+        constructor(message, cFunction = null) {
+            super(message);
+            this.name = "XMUnsupportedError";
+            this.cFunction = cFunction;
+        }
+    }
+
+    // returns a function exported by lib/libxm.js, or throws an
+    // XMUnsupportedError that tells which feature needs it
+    var cFunction = function (name, feature) {
+        if (typeof Module[name] != "function")
+            throw new XMUnsupportedError(
+                feature +
+                    " needs " +
+                    name.slice(1) +
+                    "(), which this build of libxm.js doesn't have (rebuild it with make)",
+                name.slice(1)
+            );
+        return Module[name];
+    };
+
+    // replaces the functions of a freed object, so they throw instead of
+    // using memory that isn't theirs anymore
+    var disableFunctions = function (object, objectName, keep) {
+        Object.keys(object).forEach(function (name) {
+            if (typeof object[name] != "function" || keep.indexOf(name) != -1)
+                return;
+            object[name] = function () {
+                throw new XMLifecycleError(
+                    objectName + "." + name + "() was called after it was freed"
+                );
+            };
+        });
+    };
+
+    // XMContexts that aren't freed yet, see libxm.getHeapUsage
+    var liveContexts = new Set();
+
+    /** Returns how much memory jslibxm uses, to find contexts that are never
+     * freed.
+     * @return {heapSize, contexts, moduleBytes, bufferBytes} - the size of
+     * the WASM memory, the amount of XMContexts that aren't freed, the
+     * memory libxm allocated for their modules and the memory of their
+     * sample buffers, in bytes. moduleBytes is null if lib/libxm.js doesn't
+     * export xm_get_memory_needed_for_context, like the prebuilt one in
+     * the repository until it's rebuilt with make.
+     */
+    libxm.getHeapUsage = function () {
+        var usage = {
+            heapSize: Module.HEAPU8.length,
+            contexts: liveContexts.size,
+            moduleBytes: 0,
+            bufferBytes: 0,
+        };
+        liveContexts.forEach(function (context) {
+            if (context.moduleBytes === null) usage.moduleBytes = null;
+            else if (usage.moduleBytes !== null)
+                usage.moduleBytes += context.moduleBytes;
+            usage.bufferBytes += 2 * 4 * context.cFloatArrayLength + 16;
+        });
+        return usage;
+    };
+
+    // a state starts with "JXMS", the version and the parts of the
+    // XMContext that aren't in libxm, see XMContext.getState
+    var STATE_MAGIC = 0x534d584a;
+    var STATE_VERSION = 1;
+    var STATE_HEADER_SIZE = 56;
+
+    // FNV-1a hash of module data, tells the module of a state apart
+    var fingerprint = function (data) {
+        var hash = 0x811c9dc5;
+        for (var i = 0; i < data.length; ++i) {
+            hash ^= data[i] & 0xff;
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    };
+
+    // oversampling factors XMContext.setOversampling accepts
+    var OVERSAMPLING_FACTORS = [1, 2, 4, 8];
+
+    /** Returns the sound quality settings this build of libxm supports.
+     * @return {interpolation, defaultInterpolation, ramping, oversampling} -
+     * the interpolation modes ("nearest" and "linear", older builds only
+     * have the one they were compiled with), the mode used by default,
+     * whether volume ramping is compiled in (null if the build doesn't
+     * tell) and the oversampling factors (only 1 if the build can't
+     * change the mixing rate)
+     */
+    libxm.getQualityModes = function () {
+        var options =
+            typeof Module._jslibxm_get_options == "function"
+                ? Module._jslibxm_get_options()
+                : null;
+        var compiled = options !== null && options & 1 ? "linear" : "nearest";
+        // older builds only have the player of xm_generate_samples
+        var players =
+            typeof Module._jslibxm_generate_samples_nearest == "function";
+        return {
+            interpolation: players ? ["nearest", "linear"] : [compiled],
+            defaultInterpolation: compiled,
+            ramping: options === null ? null : (options & 2) != 0,
+            oversampling:
+                typeof Module._jslibxm_set_rate == "function"
+                    ? OVERSAMPLING_FACTORS.slice()
+                    : [1],
+        };
+    };
+
+    // returns the interpolation mode, the default one for null, or throws a
+    // RangeError if the mode isn't available
+    var checkInterpolation = function (mode) {
+        var modes = libxm.getQualityModes();
+        if (mode === null || mode === undefined)
+            return modes.defaultInterpolation;
+        if (modes.interpolation.indexOf(mode) == -1)
+            throw new RangeError(
+                'Interpolation "' +
+                    mode +
+                    '" is not available, available modes: ' +
+                    modes.interpolation.join(", ")
+            );
+        return mode;
+    };
+
+    var checkOversampling = function (factor) {
+        var factors = libxm.getQualityModes().oversampling;
+        if (factors.indexOf(factor) == -1)
+            throw new RangeError(
+                "Unsupported oversampling " +
+                    factor +
+                    ", expected " +
+                    factors.join(", ")
+            );
+        return factor;
+    };
+
+    // windowed-sinc low-pass filter for oversampled samples, it keeps what's
+    // below 0.45 of the output sample rate
+    var decimationKernel = function (factor) {
+        var length = 32 * factor + 1;
+        var cutoff = 0.45 / factor;
+        var kernel = new Float32Array(length);
+        var sum = 0;
+        for (var i = 0; i < length; ++i) {
+            var x = i - (length - 1) / 2;
+            var sinc =
+                x == 0
+                    ? 2 * cutoff
+                    : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+            // Blackman window
+            var window =
+                0.42 -
+                0.5 * Math.cos((2 * Math.PI * i) / (length - 1)) +
+                0.08 * Math.cos((4 * Math.PI * i) / (length - 1));
+            kernel[i] = sinc * window;
+            sum += kernel[i];
+        }
+        return kernel.map(function (value) {
+            return value / sum;
+        });
+    };
+
+    /** A libxm context with a loaded module.
+     * Throws an XMParseError if the module couldn't be loaded.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data, MOD,
+     * S3M and IT modules are converted to XM with XMConvert.convert
+     * @param sampleRate - how much samples to generate per second
+     * @param options - optional settings:
+     *  validate - check the module with XMFile.validate before passing it
+     *  to libxm (true by default)
+     *  interpolation - see XMContext.setInterpolation
+     *  oversampling - see XMContext.setOversampling
+     */
+    function XMContext(data, sampleRate = 48000, options = {}) {
+        if (!libxm.isRuntimeInitialized)
+            throw new XMLifecycleError("Runtime is not initialized!");
+
+        this.sampleRate = Math.max(1, sampleRate);
+        var oversampling = checkOversampling(options.oversampling || 1);
+        var interpolation = checkInterpolation(options.interpolation);
+
+        // problems that don't prevent the module from loading
+        this.problems = [];
+        // format of the original module, this.data is always XM
+        this.format = XMConvert.detect(data) || "xm";
+        if (this.format != "xm") {
+            var converted = XMConvert.convert(data);
+            if (converted.data === null) {
+                var fatal = converted.problems.filter(function (problem) {
+                    return problem.fatal;
+                })[0];
+                throw new XMParseError(
+                    fatal.message,
+                    null,
+                    fatal.reason,
+                    converted.problems
+                );
+            }
+            data = converted.data;
+            this.problems = converted.problems;
+        }
+
+        // make it an int8array if it isn't one
+        this.data =
+            data instanceof Int8Array
+                ? data
+                : ArrayBuffer.isView(data)
+                ? new Int8Array(data.buffer, data.byteOffset, data.byteLength)
+                : new Int8Array(data);
+
+        if (options.validate !== false) {
+            var report = XMFile.validate(this.data);
+            if (!report.valid) {
+                var fatal = report.problems.filter(function (problem) {
+                    return problem.fatal;
+                })[0];
+                throw new XMParseError(
+                    fatal.message,
+                    null,
+                    fatal.reason,
+                    report.problems
+                );
+            }
+            this.problems = this.problems.concat(report.problems);
+        }
+
+        var moduleContextPtr = Module._malloc(4);
+        var moduleStringBuffer = Module._malloc(this.data.length);
+        Module.writeArrayToMemory(this.data, moduleStringBuffer);
+        var ret = Module._xm_create_context_safe(
+            moduleContextPtr,
+            moduleStringBuffer,
+            this.data.length,
+            this.sampleRate * oversampling
+        );
+        this.pointer = Module.getValue(moduleContextPtr, "*");
+        // what libxm allocated for the module, for libxm.getHeapUsage
+        this.moduleBytes =
+            ret === 0 &&
+            typeof Module._xm_get_memory_needed_for_context == "function"
+                ? Module._xm_get_memory_needed_for_context(
+                      moduleStringBuffer,
+                      this.data.length
+                  )
+                : null;
+        Module._free(moduleStringBuffer);
+        Module._free(moduleContextPtr);
+
+        if (ret !== 0) {
+            this.pointer = null;
+            throw new XMParseError(
+                ret === 2
+                    ? "Not enough memory to load the module"
+                    : "libxm failed to load the module",
+                ret,
+                ret === 2 ? "out-of-memory" : "libxm",
+                this.problems
+            );
+        }
+
+        liveContexts.add(this);
+        this.cFloatArray = null;
+        this.cFloatArrayLength = 0;
+        // libxm mixes at this many times the sample rate, see setOversampling
+        this.oversampling = oversampling;
+        this.decimation = null;
+        // the rate libxm mixes at, differs from sampleRate * oversampling
+        // after setRate
+        this.rateMultiplier = 1;
+        this.mixingRate = this.sampleRate * oversampling;
+        // libxm counts the samples it mixed, this is where the count was
+        // when the oversampling last changed
+        this.countBase = { libxm: 0, output: 0 };
+        // xm_generate_samples of the interpolation mode, see setInterpolation
+        this.interpolation = interpolation;
+        this.generate =
+            Module["_jslibxm_generate_samples_" + interpolation] ||
+            Module._xm_generate_samples;
+        // room for the xm_get_position and xm_get_playing_speed outputs
+        this.cScratchPtr = Module._malloc(16);
+        // the slots of the notes of noteOn, every context has its own
+        this.cSlotsPtr =
+            typeof Module._jslibxm_create_slots == "function"
+                ? Module._jslibxm_create_slots(this.pointer)
+                : 0;
+        // the original relative notes of the samples, see transpose
+        this.cNotesPtr =
+            typeof Module._jslibxm_save_relative_notes == "function"
+                ? Module._jslibxm_save_relative_notes(this.pointer)
+                : 0;
+
+        this.instrumentsNum = Module._xm_get_number_of_instruments(
+            this.pointer
+        );
+        this.channelsNum = Module._xm_get_number_of_channels(this.pointer);
+
+        // decoded patterns, filled by getPattern
+        this.patterns = [];
+        // fingerprint of the module data, computed by the first getState
+        this.dataHash = null;
+
+        /** Generates the next samples of the module.
+         * @param length - amount of samples (per channel) to generate
+         * @return {Float32Array} interleaved stereo samples. This is a view
+         * into the WASM memory, it's only valid until the next call.
+         */
+        this.generateSamples = function (length) {
+            var frames = length * this.oversampling;
+            if (frames > this.cFloatArrayLength) {
+                if (this.cFloatArray !== null) Module._free(this.cFloatArray);
+                this.cFloatArray = Module._malloc(2 * frames * 4);
+                this.cFloatArrayLength = frames;
+            }
+
+            if (this.speedOverridden) {
+                // the song can change the speed on any tick, so the override
+                // is written again after every piece of at most one tick (at
+                // the highest BPM of the override or of an Fxx effect). Only
+                // the tick of the effect keeps the length the song wants.
+                var piece = Math.max(
+                    1,
+                    Math.floor(
+                        this.mixingRate /
+                            (0.4 * Math.max(this.writtenSpeed.bpm, 255))
+                    )
+                );
+                for (var done = 0; done < frames; done += piece) {
+                    var pieceFrames = Math.min(piece, frames - done);
+                    this.generate(
+                        this.pointer,
+                        this.cFloatArray + 2 * 4 * done,
+                        pieceFrames
+                    );
+                    this.applySpeed(pieceFrames);
+                    this.updatePlayingPosition(pieceFrames);
+                }
+            } else {
+                this.generate(this.pointer, this.cFloatArray, frames);
+                this.updatePlayingPosition(frames);
+            }
+            var samples = Module.HEAPF32.subarray(
+                this.cFloatArray >> 2,
+                (this.cFloatArray >> 2) + 2 * frames
+            );
+            return this.oversampling > 1
+                ? this.decimate(samples, length)
+                : samples;
+        }.bind(this);
+
+        // filters oversampled samples and keeps every n-th one, the
+        // returned array is reused by the next call
+        this.decimate = function (input, length) {
+            var factor = this.oversampling;
+            if (this.decimation === null || this.decimation.factor !== factor) {
+                var kernel = decimationKernel(factor);
+                this.decimation = {
+                    factor: factor,
+                    kernel: kernel,
+                    // the last input samples, the filter reaches back to them
+                    history: new Float32Array(2 * (kernel.length - 1)),
+                    work: new Float32Array(0),
+                    output: new Float32Array(0),
+                };
+            }
+            var state = this.decimation;
+            var kernel = state.kernel;
+            var taps = kernel.length;
+            var historyLength = state.history.length;
+
+            if (state.work.length < historyLength + input.length)
+                state.work = new Float32Array(historyLength + input.length);
+            if (state.output.length < 2 * length)
+                state.output = new Float32Array(2 * length);
+            var work = state.work;
+            var output = state.output;
+            work.set(state.history);
+            work.set(input, historyLength);
+
+            for (var k = 0; k < length; ++k) {
+                // the newest input sample of this output sample
+                var newest = taps - 2 + (k + 1) * factor;
+                var l = 0;
+                var r = 0;
+                for (var t = 0; t < taps; ++t) {
+                    var index = 2 * (newest - t);
+                    l += kernel[t] * work[index];
+                    r += kernel[t] * work[index + 1];
+                }
+                output[2 * k] = l;
+                output[2 * k + 1] = r;
+            }
+
+            state.history.set(
+                work.subarray(input.length, input.length + historyLength)
+            );
+            return output.subarray(0, 2 * length);
+        }.bind(this);
+
+        // turns a sample count of libxm into one at the output sample rate
+        this.toOutputCount = function (count) {
+            return (
+                this.countBase.output +
+                (count - this.countBase.libxm) / this.oversampling
+            );
+        }.bind(this);
+
+        /** Returns the current playback position.
+         * @return {patternIndex, pattern, row, sampleCount}
+         */
+        this.getPosition = function () {
+            var ptr = this.cScratchPtr;
+            Module._xm_get_position(
+                this.pointer,
+                ptr,
+                ptr + 1,
+                ptr + 2,
+                ptr + 8
+            );
+            return {
+                patternIndex: Module.HEAPU8[ptr],
+                pattern: Module.HEAPU8[ptr + 1],
+                row: Module.HEAPU8[ptr + 2],
+                sampleCount: this.toOutputCount(
+                    Module.getValue(ptr + 8, "i64")
+                ),
+            };
+        }.bind(this);
+
+        // libxm reports the row after the one that is playing, this keeps
+        // track of the row that is playing and of the tick inside it
+        var firstPosition = this.getPosition();
+        this.playingPosition = {
+            patternIndex: firstPosition.patternIndex,
+            pattern: firstPosition.pattern,
+            row: 0,
+            tick: 0,
+        };
+        this.reportedPosition = null;
+        this.elapsedTicks = 0;
+        this.rowStartTick = 0;
+
+        // called after generating samples, the tick is only as precise as
+        // the length of the generated chunks
+        this.updatePlayingPosition = function (length) {
+            var speed = this.getPlayingSpeed();
+            this.elapsedTicks += (length * speed.bpm * 0.4) / this.mixingRate;
+
+            var pos = this.getPosition();
+            var last = this.reportedPosition;
+            if (
+                last === null ||
+                pos.patternIndex !== last.patternIndex ||
+                pos.row !== last.row
+            ) {
+                // a new row started somewhere in this chunk
+                this.rowStartTick = Math.floor(this.elapsedTicks);
+                var playing = this.playingPosition;
+                if (pos.row > 0) {
+                    playing.patternIndex = pos.patternIndex;
+                    playing.pattern = pos.pattern;
+                    playing.row = pos.row - 1;
+                } else {
+                    // libxm already moved to the next order,
+                    // the last row of the previous pattern is playing
+                    playing.row =
+                        Module._xm_get_number_of_rows(
+                            this.pointer,
+                            playing.pattern
+                        ) - 1;
+                }
+                this.reportedPosition = pos;
+            }
+            this.playingPosition.tick = Math.min(
+                Math.floor(this.elapsedTicks) - this.rowStartTick,
+                speed.tempo - 1
+            );
+        }.bind(this);
+
+        /** Returns the position that is playing, unlike getPosition which
+         * returns the next row.
+         * @return {patternIndex, pattern, row, tick}
+         */
+        this.getPlayingPosition = function () {
+            return Object.assign({}, this.playingPosition);
+        }.bind(this);
+
+        /** Returns the decoded notes of a pattern, see XMFile.readPattern.
+         * @param pattern - pattern number (not an order index)
+         */
+        this.getPattern = function (pattern) {
+            if (this.patterns[pattern] === undefined)
+                this.patterns[pattern] = XMFile.readPattern(this.data, pattern);
+            return this.patterns[pattern];
+        }.bind(this);
+
+        // returns the amount of samples libxm mixed so far
+        this.getMixedCount = function () {
+            Module._xm_get_position(
+                this.pointer,
+                null,
+                null,
+                null,
+                this.cScratchPtr + 8
+            );
+            return Module.getValue(this.cScratchPtr + 8, "i64");
+        }.bind(this);
+
+        // returns the amount of samples generated so far
+        this.getSampleCount = function () {
+            return this.toOutputCount(this.getMixedCount());
+        }.bind(this);
+
+        /** Returns the current BPM and tempo (ticks per row).
+         * @return {bpm, tempo}
+         */
+        this.getPlayingSpeed = function () {
+            var ptr = this.cScratchPtr;
+            Module._xm_get_playing_speed(this.pointer, ptr, ptr + 2);
+            return {
+                bpm: Module.HEAPU16[ptr >> 1],
+                tempo: Module.HEAPU16[(ptr + 2) >> 1],
+            };
+        }.bind(this);
+
+        // speed set with setTempo, setBPM and setTempoMultiplier. libxm has
+        // no notion of an override, so it's written again after every tick
+        // in case an Fxx effect changed it (see generateSamples)
+        this.speedOverride = { tempo: null, bpm: null, tempoMultiplier: 1 };
+        this.speedOverridden = false;
+        // the speed the song wants and the last speed written to libxm
+        this.songSpeed = this.getPlayingSpeed();
+        this.writtenSpeed = null;
+        // how much the written BPMs were above the wanted one, times the
+        // samples they were played for, see applySpeed
+        this.bpmError = 0;
+        this.transposition = 0;
+
+        // writes the overridden speed to libxm, length is the amount of
+        // samples mixed since the last call
+        this.applySpeed = function (length = 0) {
+            var speed = this.getPlayingSpeed();
+            var written = this.writtenSpeed || speed;
+            // anything that differs from what was written was set by the song
+            if (speed.bpm !== written.bpm) this.songSpeed.bpm = speed.bpm;
+            if (speed.tempo !== written.tempo)
+                this.songSpeed.tempo = speed.tempo;
+
+            var override = this.speedOverride;
+            var tempo =
+                override.tempo !== null ? override.tempo : this.songSpeed.tempo;
+            var bpm = override.bpm !== null ? override.bpm : this.songSpeed.bpm;
+            bpm *= override.tempoMultiplier;
+            // libxm only takes whole BPMs, a fractional one is written as the
+            // whole BPM below or above it, whichever brings the BPM played so
+            // far back to it. The ticks get its length on average.
+            this.bpmError += length * (written.bpm - bpm);
+            bpm = this.bpmError > 0 ? Math.floor(bpm) : Math.ceil(bpm);
+            // they are 16 bit in libxm
+            tempo = Math.min(Math.max(tempo, 1), 65535);
+            bpm = Math.min(Math.max(bpm, 1), 65535);
+
+            if (tempo !== speed.tempo)
+                cFunction("_jslibxm_set_tempo", "setTempo")(
+                    this.pointer,
+                    tempo
+                );
+            if (bpm !== speed.bpm)
+                cFunction("_jslibxm_set_bpm", "setBPM")(this.pointer, bpm);
+            this.writtenSpeed = { bpm: bpm, tempo: tempo };
+        }.bind(this);
+
+        this.setSpeedOverride = function (changes) {
+            // keep track of the song speed until now
+            if (this.speedOverridden) this.applySpeed();
+            else this.songSpeed = this.getPlayingSpeed();
+
+            var previous = Object.assign({}, this.speedOverride);
+            Object.assign(this.speedOverride, changes);
+            this.bpmError = 0;
+            try {
+                this.applySpeed();
+            } catch (err) {
+                this.speedOverride = previous;
+                throw err;
+            }
+            var override = this.speedOverride;
+            this.speedOverridden =
+                override.tempo !== null ||
+                override.bpm !== null ||
+                override.tempoMultiplier !== 1;
+            if (!this.speedOverridden) this.writtenSpeed = null;
+        }.bind(this);
+
+        /** Sets the ticks per row, overriding the Fxx effects of the song.
+         * @param tempo - ticks per row, null to follow the song again
+         */
+        this.setTempo = function (tempo) {
+            this.setSpeedOverride({ tempo: tempo });
+        }.bind(this);
+
+        /** Sets the BPM, overriding the Fxx effects of the song.
+         * @param bpm - beats per minute, null to follow the song again
+         */
+        this.setBPM = function (bpm) {
+            this.setSpeedOverride({ bpm: bpm });
+        }.bind(this);
+
+        /** Multiplies the BPM (of the song or the one set with setBPM), this
+         * changes the tempo without changing the pitch. libxm only plays whole
+         * BPMs, the ones around a fractional BPM are played in turns.
+         * @param multiplier - 1 for the normal speed
+         */
+        this.setTempoMultiplier = function (multiplier) {
+            this.setSpeedOverride({ tempoMultiplier: multiplier });
+        }.bind(this);
+
+        /** Plays the module faster and higher (or slower and lower) by
+         * making libxm mix at a different rate than the sample rate.
+         * The amount of generated samples stays the same.
+         * @param multiplier - 1 for the normal rate
+         */
+        this.setRate = function (multiplier) {
+            this.rateMultiplier = multiplier;
+            this.updateMixingRate();
+        }.bind(this);
+
+        this.updateMixingRate = function () {
+            var rate = Math.max(
+                1,
+                Math.round(
+                    (this.sampleRate * this.oversampling) / this.rateMultiplier
+                )
+            );
+            if (rate === this.mixingRate) return;
+            cFunction("_jslibxm_set_rate", "setRate and setOversampling")(
+                this.pointer,
+                rate
+            );
+            this.mixingRate = rate;
+        }.bind(this);
+
+        /** Sets how libxm reads the samples of the instruments between
+         * their points. "nearest" is the cheapest, "linear" has less
+         * aliasing. See libxm.getQualityModes for the available modes.
+         * @param mode - "nearest" or "linear", null for the default
+         */
+        this.setInterpolation = function (mode) {
+            mode = checkInterpolation(mode);
+            this.interpolation = mode;
+            this.generate =
+                Module["_jslibxm_generate_samples_" + mode] ||
+                Module._xm_generate_samples;
+        }.bind(this);
+
+        /** Makes libxm mix at a multiple of the sample rate, what's above
+         * the sample rate is filtered out before the samples are returned.
+         * This removes most of the aliasing of high notes, and costs about
+         * as much CPU more as the factor.
+         * @param factor - 1 (no oversampling), 2, 4 or 8
+         */
+        this.setOversampling = function (factor) {
+            if (checkOversampling(factor) === this.oversampling) return;
+            var count = this.getMixedCount();
+            this.countBase = {
+                libxm: count,
+                output: this.toOutputCount(count),
+            };
+            this.oversampling = factor;
+            this.updateMixingRate();
+        }.bind(this);
+
+        /** Transposes the notes triggered from now on.
+         * @param semitones - amount of semitones relative to the original
+         * pitch, 0 to play it untransposed
+         */
+        this.transpose = function (semitones) {
+            semitones = Math.round(semitones);
+            if (semitones === this.transposition) return;
+            cFunction("_jslibxm_transpose", "transpose")(
+                this.pointer,
+                this.cNotesPtr,
+                semitones
+            );
+            this.transposition = semitones;
+        }.bind(this);
+
+        /** Plays a note on a channel, the same way a note in a pattern
+         * would. The note keeps playing until noteOff, or until the pattern
+         * plays something else on the channel.
+         * @param channel - number of the channel (starting with 1)
+         * @param note - 1 (C-0) to 96 (B-7)
+         * @param instrument - number of the instrument (starting with 1)
+         * @param volume - 0..64, null for the volume of the sample
+         * Throws an XMUnsupportedError if lib/libxm.js was built without
+         * the note functions.
+         */
+        this.noteOn = function (channel, note, instrument, volume = null) {
+            cFunction("_jslibxm_note_on_" + this.interpolation, "noteOn")(
+                this.pointer,
+                this.cSlotsPtr,
+                channel,
+                note,
+                instrument,
+                volume === null ? 255 : volume
+            );
+        }.bind(this);
+
+        /** Releases the note of a channel, like a key off in a pattern: the
+         * envelopes of the instrument go on to fade it out.
+         * @param channel - number of the channel (starting with 1)
+         */
+        this.noteOff = function (channel) {
+            cFunction("_jslibxm_note_off_" + this.interpolation, "noteOff")(
+                this.pointer,
+                channel
+            );
+        }.bind(this);
+
+        /** Returns the state of all instruments and channels,
+         * this is what XMModule.xmdata is made of.
+         */
+        this.getXmdata = function () {
+            var xmd = {
+                sampleCount: this.getSampleCount(),
+                position: this.getPlayingPosition(),
+                // ticks of the row played so far, with the part of the tick
+                rowTicks: Math.min(
+                    this.elapsedTicks - this.rowStartTick,
+                    this.getPlayingSpeed().tempo
+                ),
+                loopCount: this.getLoopCount(),
+            };
+
+            xmd.instruments = [];
+            for (var j = 1; j <= this.instrumentsNum; ++j) {
+                var samples = [];
+                var samplesNum = this.getInstrumentSamplesAmount(j);
+                for (var k = 0; k < samplesNum; ++k)
+                    samples.push(this.getLatestTriggerOfSample(j, k));
+                xmd.instruments.push({
+                    latestTrigger: this.getLatestTriggerOfInstrument(j),
+                    samples: samples,
+                });
+            }
+
+            xmd.channels = [];
+            for (var j = 1; j <= this.channelsNum; ++j) {
+                xmd.channels.push({
+                    active: this.isChannelActive(j),
+                    latestTrigger: this.getLatestTriggerOfChannel(j),
+                    volume: this.getVolumeOfChannel(j),
+                    panning: this.getPanningOfChannel(j),
+                    frequency: this.getFrequencyOfChannel(j),
+                    instrument: this.getInstrumentOfChannel(j),
+                });
+            }
+
+            return xmd;
+        }.bind(this);
+
+        /** Saves everything that changes while the module plays: the
+         * position, the speed and the channels with their notes, effect
+         * memory, envelopes and sample positions. Settings (muted channels,
+         * the rate, the quality, ...) aren't saved.
+         * @return {ArrayBuffer} the state, for setState of a context with the
+         * same module and build of libxm, in this thread or another one.
+         * Throws an XMUnsupportedError if lib/libxm.js was built without
+         * the state functions.
+         */
+        this.getState = function () {
+            var stateSize = cFunction("_jslibxm_state_size", "getState");
+            var saveState = cFunction("_jslibxm_save_state", "getState");
+            var size = stateSize(this.pointer);
+            var state = new ArrayBuffer(STATE_HEADER_SIZE + size);
+            var view = new DataView(state);
+            if (this.dataHash === null) this.dataHash = fingerprint(this.data);
+            view.setUint32(0, STATE_MAGIC, true);
+            view.setUint16(4, STATE_VERSION, true);
+            view.setUint32(8, this.dataHash, true);
+            view.setUint32(12, size, true);
+            view.setFloat64(16, this.getSampleCount(), true);
+            view.setFloat64(24, this.elapsedTicks, true);
+            view.setFloat64(32, this.rowStartTick, true);
+            view.setUint8(40, this.playingPosition.patternIndex);
+            view.setUint8(41, this.playingPosition.pattern);
+            view.setUint8(42, this.playingPosition.row);
+            view.setUint16(44, this.playingPosition.tick, true);
+            view.setUint16(46, this.songSpeed.tempo, true);
+            view.setUint16(48, this.songSpeed.bpm, true);
+
+            var ptr = Module._malloc(size);
+            saveState(this.pointer, this.cSlotsPtr, ptr);
+            new Uint8Array(state, STATE_HEADER_SIZE).set(
+                Module.HEAPU8.subarray(ptr, ptr + size)
+            );
+            Module._free(ptr);
+            return state;
+        }.bind(this);
+
+        /** Continues playing from a state saved with getState. The settings
+         * of this context are kept, the speed it overrides too.
+         * Throws an XMStateError if the state is of another module or build,
+         * and an XMUnsupportedError like getState.
+         * @param {(ArrayBuffer|ArrayBufferView)} state
+         */
+        this.setState = function (state) {
+            var bytes = ArrayBuffer.isView(state)
+                ? new Uint8Array(
+                      state.buffer,
+                      state.byteOffset,
+                      state.byteLength
+                  )
+                : new Uint8Array(state);
+            var view = new DataView(
+                bytes.buffer,
+                bytes.byteOffset,
+                bytes.byteLength
+            );
+            if (
+                bytes.length < STATE_HEADER_SIZE ||
+                view.getUint32(0, true) !== STATE_MAGIC ||
+                view.getUint32(12, true) !== bytes.length - STATE_HEADER_SIZE
+            )
+                throw new XMStateError("Not a jslibxm state");
+            if (view.getUint16(4, true) !== STATE_VERSION)
+                throw new XMStateError(
+                    "Unsupported state version " + view.getUint16(4, true)
+                );
+            if (this.dataHash === null) this.dataHash = fingerprint(this.data);
+            if (view.getUint32(8, true) !== this.dataHash)
+                throw new XMStateError("The state is of another module");
+
+            var loadState = cFunction("_jslibxm_load_state", "setState");
+            var size = bytes.length - STATE_HEADER_SIZE;
+            var ptr = Module._malloc(size);
+            Module.writeArrayToMemory(bytes.subarray(STATE_HEADER_SIZE), ptr);
+            var ret = loadState(this.pointer, this.cSlotsPtr, ptr, size);
+            Module._free(ptr);
+            if (ret !== 0)
+                throw new XMStateError(
+                    "The state was saved by another build of libxm"
+                );
+
+            this.countBase = {
+                libxm: this.getMixedCount(),
+                output: view.getFloat64(16, true),
+            };
+            this.elapsedTicks = view.getFloat64(24, true);
+            this.rowStartTick = view.getFloat64(32, true);
+            this.playingPosition = {
+                patternIndex: view.getUint8(40),
+                pattern: view.getUint8(41),
+                row: view.getUint8(42),
+                tick: view.getUint16(44, true),
+            };
+            this.reportedPosition = this.getPosition();
+            // the filter history is of the samples before
+            this.decimation = null;
+
+            // libxm has the speed of the saved context, which may have been
+            // overridden, write the song speed or the override of this one
+            this.songSpeed = {
+                tempo: view.getUint16(46, true),
+                bpm: view.getUint16(48, true),
+            };
+            this.writtenSpeed = null;
+            this.bpmError = 0;
+            this.applySpeed();
+            if (!this.speedOverridden) this.writtenSpeed = null;
+        }.bind(this);
+
+        // frees the libxm context, the other functions of the XMContext
+        // throw an XMLifecycleError after this
+        this.free = function () {
+            if (this.pointer === null) return;
+            Module._xm_free_context(this.pointer);
+            if (this.cFloatArray !== null) Module._free(this.cFloatArray);
+            Module._free(this.cScratchPtr);
+            if (this.cSlotsPtr !== 0) Module._free(this.cSlotsPtr);
+            if (this.cNotesPtr !== 0) Module._free(this.cNotesPtr);
+            this.pointer = null;
+            this.cFloatArray = null;
+            this.cFloatArrayLength = 0;
+            liveContexts.delete(this);
+            disableFunctions(this, "XMContext", ["free"]);
+        }.bind(this);
+
+        // the functions below are thin wrappers around the libxm functions
+        // with the same name, see XMModule for their documentation
+
+        this.seek = function (pot, row, tick = 0) {
+            cFunction("_xm_seek", "seek")(this.pointer, pot, row, tick);
+
+            // the playing position is found again after the next chunk
+            var pos = this.getPosition();
+            this.playingPosition.patternIndex = pos.patternIndex;
+            this.playingPosition.pattern = pos.pattern;
+            this.playingPosition.row = row;
+            this.playingPosition.tick = tick;
+            this.reportedPosition = null;
+            this.rowStartTick = Math.floor(this.elapsedTicks) - tick;
+        }.bind(this);
+
+        this.getModuleName = function () {
+            return Module.AsciiToString(
+                Module._xm_get_module_name(this.pointer)
+            );
+        }.bind(this);
+
+        this.getTrackerName = function () {
+            return Module.AsciiToString(
+                Module._xm_get_tracker_name(this.pointer)
+            );
+        }.bind(this);
+
+        // Returns everything XMFile.parse knows about the loaded module.
+        this.getModuleInfo = function () {
+            return XMFile.parse(this.data);
+        }.bind(this);
+
+        this.setMaxLoopCount = function (loopCount) {
+            Module._xm_set_max_loop_count(this.pointer, loopCount);
+        }.bind(this);
+
+        this.getLoopCount = function () {
+            return Module._xm_get_loop_count(this.pointer);
+        }.bind(this);
+
+        this.muteChannel = function (channelNum, doMute) {
+            return Module._xm_mute_channel(this.pointer, channelNum, doMute);
+        }.bind(this);
+
+        this.muteInstrument = function (instrumentNum, doMute) {
+            return Module._xm_mute_instrument(
+                this.pointer,
+                instrumentNum,
+                doMute
+            );
+        }.bind(this);
+
+        this.getModuleLength = function () {
+            return Module._xm_get_module_length(this.pointer);
+        }.bind(this);
+
+        this.getNumberOfPatterns = function () {
+            return Module._xm_get_number_of_patterns(this.pointer);
+        }.bind(this);
+
+        this.getNumberOfRows = function (patternNum) {
+            return Module._xm_get_number_of_rows(this.pointer, patternNum);
+        }.bind(this);
+
+        this.getInstrumentSamplesAmount = function (instrumentNum) {
+            return Module._xm_get_number_of_samples(
+                this.pointer,
+                instrumentNum
+            );
+        }.bind(this);
+
+        this.getLatestTriggerOfInstrument = function (instrumentNum) {
+            return Module._xm_get_latest_trigger_of_instrument(
+                this.pointer,
+                instrumentNum
+            );
+        }.bind(this);
+
+        this.getLatestTriggerOfSample = function (instrumentNum, sampleNum) {
+            return Module._xm_get_latest_trigger_of_sample(
+                this.pointer,
+                instrumentNum,
+                sampleNum
+            );
+        }.bind(this);
+
+        this.getLatestTriggerOfChannel = function (channelNum) {
+            return Module._xm_get_latest_trigger_of_channel(
+                this.pointer,
+                channelNum
+            );
+        }.bind(this);
+
+        this.isChannelActive = function (channelNum) {
+            return Module._xm_is_channel_active(this.pointer, channelNum);
+        }.bind(this);
+
+        this.getInstrumentOfChannel = function (channelNum) {
+            return Module._xm_get_instrument_of_channel(
+                this.pointer,
+                channelNum
+            );
+        }.bind(this);
+
+        this.getFrequencyOfChannel = function (channelNum) {
+            return Module._xm_get_frequency_of_channel(
+                this.pointer,
+                channelNum
+            );
+        }.bind(this);
+
+        this.getVolumeOfChannel = function (channelNum) {
+            return Module._xm_get_volume_of_channel(this.pointer, channelNum);
+        }.bind(this);
+
+        this.getPanningOfChannel = function (channelNum) {
+            return Module._xm_get_panning_of_channel(this.pointer, channelNum);
+        }.bind(this);
+
+        return this;
+    }
+
+    /** Plays groups of channels of a module separately, every group has its
+     * own libxm context with the other channels muted. Throws a RangeError
+     * if there are no groups.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param sampleRate - how much samples to generate per second
+     * @param {number[][]} groups - channel numbers (starting with 1) of every
+     * group, channels that aren't in any group aren't played
+     * @param options - see XMContext
+     */
+    function XMChannelGroups(data, sampleRate, groups, options = {}) {
+        if (groups.length == 0)
+            throw new RangeError("XMChannelGroups needs at least one group");
+        this.groups = groups;
+        this.contexts = [];
+        // channels muted with muteChannel, on top of the group mutes
+        this.mutedChannels = [];
+
+        try {
+            for (var i = 0; i < groups.length; ++i)
+                this.contexts.push(new XMContext(data, sampleRate, options));
+        } catch (err) {
+            this.contexts.forEach(function (context) {
+                context.free();
+            });
+            throw err;
+        }
+
+        this.channelsNum = this.contexts.length
+            ? this.contexts[0].channelsNum
+            : 0;
+
+        /** Generates the next samples of every group.
+         * @param length - amount of samples (per channel) to generate
+         * @return {Float32Array[]} interleaved stereo samples of every group
+         */
+        this.generateSamples = function (length) {
+            // copied, the views of the contexts would be invalidated if the
+            // WASM memory grows while the next group is generated
+            return this.contexts.map(function (context) {
+                return context.generateSamples(length).slice();
+            });
+        }.bind(this);
+
+        this.muteChannel = function (channelNum, doMute) {
+            this.mutedChannels[channelNum] = doMute;
+            this.contexts.forEach(function (context, i) {
+                context.muteChannel(
+                    channelNum,
+                    doMute || this.groups[i].indexOf(channelNum) == -1
+                );
+            }, this);
+        }.bind(this);
+
+        // the functions below are called on every context
+        [
+            "seek",
+            "setMaxLoopCount",
+            "muteInstrument",
+            "setTempo",
+            "setBPM",
+            "setTempoMultiplier",
+            "setRate",
+            "transpose",
+            "setInterpolation",
+            "setOversampling",
+            "noteOn",
+            "noteOff",
+            "setState",
+        ].forEach(function (name) {
+            this[name] = function (...args) {
+                this.contexts.forEach(function (context) {
+                    context[name](...args);
+                });
+            }.bind(this);
+        }, this);
+
+        /** Adds up the samples of every group, which is the module without
+         * the channels that aren't in any group.
+         * @param {Float32Array[]} groupSamples - see generateSamples
+         * @return {Float32Array} interleaved stereo samples
+         */
+        this.mixSamples = function (groupSamples) {
+            var mix = new Float32Array(groupSamples[0].length);
+            groupSamples.forEach(function (samples) {
+                for (var i = 0; i < samples.length; ++i) mix[i] += samples[i];
+            });
+            return mix;
+        }.bind(this);
+
+        // the groups play the same, so the state of one is the state of all
+        // (a muted channel keeps playing, it just isn't mixed)
+        [
+            "getState",
+            "getXmdata",
+            "getSampleCount",
+            "getPlayingPosition",
+            "getLoopCount",
+            "getLatestTriggerOfInstrument",
+            "getLatestTriggerOfSample",
+            "getLatestTriggerOfChannel",
+            "isChannelActive",
+            "getInstrumentOfChannel",
+            "getFrequencyOfChannel",
+            "getVolumeOfChannel",
+            "getPanningOfChannel",
+        ].forEach(function (name) {
+            this[name] = function (...args) {
+                return this.contexts[0][name](...args);
+            }.bind(this);
+        }, this);
+
+        this.free = function () {
+            this.contexts.forEach(function (context) {
+                context.free();
+            });
+            this.contexts = [];
+            disableFunctions(this, "XMChannelGroups", ["free"]);
+        }.bind(this);
+
+        for (var j = 1; j <= this.channelsNum; ++j) this.muteChannel(j, false);
+    }
+
+    // soft clipping starts at this fraction of the ceiling
+    var SOFT_CLIP_KNEE = 0.75;
+
+    // linear up to the knee, then bends towards knee + range
+    var softClip = function (x, knee, range) {
+        if (Math.abs(x) <= knee) return x;
+        return (
+            Math.sign(x) *
+            (knee + range * Math.tanh((Math.abs(x) - knee) / range))
+        );
+    };
+
+    /** The last stage before the samples are heard: applies the volume,
+     * limits the peaks and measures the levels of every chunk.
+     * @param sampleRate - sample rate of the samples
+     * @param options - see XMOutputStage.setOptions
+     */
+    function XMOutputStage(sampleRate = 48000, options = {}) {
+        this.sampleRate = sampleRate;
+        this.gain = 1.0;
+        this.limiter = "none";
+        this.ceiling = 0.98;
+        this.lookahead = 0.005;
+        this.release = 0.1;
+        // delay of the output in samples, only the limiter has one
+        this.latency = 0;
+        // levels of the last processed chunk, see XMOutputStage.process
+        this.levels = null;
+
+        /** Changes the settings, the settings that aren't passed are kept.
+         * @param options - an object with any of:
+         *  gain - multiplier applied to the samples (1.0 by default)
+         *  limiter - "none" (default), "softclip" to round off the peaks
+         *  above 3/4 of the ceiling, or "limiter" for a look-ahead limiter
+         *  that turns the volume down before a peak goes over the ceiling
+         *  ceiling - highest absolute sample value the limiters let through
+         *  (0.98 by default)
+         *  lookahead - look-ahead of the limiter in seconds (0.005 by
+         *  default), the output is delayed by this much
+         *  release - time in seconds the limiter takes to turn the volume
+         *  back up by about 2/3 (0.1 by default)
+         */
+        this.setOptions = function (options) {
+            if (
+                options.limiter !== undefined &&
+                ["none", "softclip", "limiter"].indexOf(options.limiter) == -1
+            )
+                throw new RangeError("Unknown limiter " + options.limiter);
+            var lookahead = this.lookahead;
+            var limiter = this.limiter;
+            ["gain", "limiter", "ceiling", "lookahead", "release"].forEach(
+                function (name) {
+                    if (options[name] !== undefined) this[name] = options[name];
+                },
+                this
+            );
+            if (
+                this.limiterState === null ||
+                this.lookahead !== lookahead ||
+                this.limiter !== limiter
+            )
+                this._resetLimiter();
+        }.bind(this);
+
+        /** Returns the settings, in the format of XMOutputStage.setOptions */
+        this.getOptions = function () {
+            return {
+                gain: this.gain,
+                limiter: this.limiter,
+                ceiling: this.ceiling,
+                lookahead: this.lookahead,
+                release: this.release,
+            };
+        }.bind(this);
+
+        // the limiter keeps the last samples in a delay line, the gain it
+        // needs for them in a sliding window minimum and the smoothed gains
+        // in a moving average
+        this.limiterState = null;
+        this._resetLimiter = function () {
+            var length =
+                this.limiter == "limiter"
+                    ? Math.max(1, Math.round(this.lookahead * this.sampleRate))
+                    : 0;
+            this.latency = length;
+            this.limiterState = {
+                length: length,
+                // gains are averaged over the look-ahead and the sample
+                // that leaves the delay line
+                window: length + 1,
+                delay: new Float32Array(2 * length),
+                position: 0,
+                minGains: new Float64Array(length + 1),
+                minTimes: new Float64Array(length + 1),
+                minStart: 0,
+                minCount: 0,
+                envelope: 1.0,
+                gains: new Float64Array(length + 1).fill(1.0),
+                gainSum: length + 1,
+                time: 0,
+            };
+        };
+
+        // passes a stereo sample through the limiter, returns the gain that
+        // was applied to the sample that comes out in state.outL and outR
+        this._limit = function (l, r) {
+            var state = this.limiterState;
+            var window = state.window;
+            var time = state.time++;
+
+            // the gain this sample needs to stay under the ceiling
+            var peak = Math.max(Math.abs(l), Math.abs(r));
+            var needed = peak > this.ceiling ? this.ceiling / peak : 1.0;
+
+            // lowest needed gain within the window
+            var minGains = state.minGains;
+            var minTimes = state.minTimes;
+            if (
+                state.minCount > 0 &&
+                minTimes[state.minStart] <= time - window
+            ) {
+                state.minStart = (state.minStart + 1) % window;
+                state.minCount--;
+            }
+            while (
+                state.minCount > 0 &&
+                minGains[(state.minStart + state.minCount - 1) % window] >=
+                    needed
+            )
+                state.minCount--;
+            var end = (state.minStart + state.minCount) % window;
+            minGains[end] = needed;
+            minTimes[end] = time;
+            state.minCount++;
+            var held = minGains[state.minStart];
+
+            // the volume goes down right away, and back up slowly
+            state.envelope = Math.min(
+                held,
+                state.envelope + (1.0 - state.envelope) * state.releaseRate
+            );
+
+            // averaging over the window turns the volume down smoothly, and
+            // still early enough for the delayed sample
+            var slot = time % window;
+            state.gainSum += state.envelope - state.gains[slot];
+            state.gains[slot] = state.envelope;
+            // the sum is recalculated now and then, so errors don't add up
+            if (slot == 0)
+                state.gainSum = state.gains.reduce(function (sum, gain) {
+                    return sum + gain;
+                }, 0);
+            var gain = Math.min(1.0, state.gainSum / window);
+
+            var delay = state.delay;
+            var position = state.position;
+            state.outL = delay[2 * position] * gain;
+            state.outR = delay[2 * position + 1] * gain;
+            delay[2 * position] = l;
+            delay[2 * position + 1] = r;
+            state.position = (position + 1) % state.length;
+            return gain;
+        };
+
+        /** Applies the gain and the limiter to interleaved stereo samples.
+         * @param {Float32Array} samples - samples to change in place
+         * @param length - amount of samples (per channel), all of them by
+         * default
+         * @return {peak, rms, gainReduction, clipped} - the levels of the
+         * processed samples: peak and rms of the left and right channel,
+         * the lowest gain the limiter applied (1.0 if it didn't turn the
+         * volume down) and whether a sample was outside -1.0..1.0
+         */
+        this.process = function (samples, length = samples.length >> 1) {
+            var peak = [0, 0];
+            var sum = [0, 0];
+            var gainReduction = 1.0;
+            var knee = this.ceiling * SOFT_CLIP_KNEE;
+            var range = this.ceiling - knee;
+            this.limiterState.releaseRate =
+                1 - Math.exp(-1 / Math.max(1, this.release * this.sampleRate));
+
+            for (var i = 0; i < 2 * length; i += 2) {
+                var l = samples[i] * this.gain;
+                var r = samples[i + 1] * this.gain;
+                if (this.limiter == "limiter") {
+                    gainReduction = Math.min(gainReduction, this._limit(l, r));
+                    l = this.limiterState.outL;
+                    r = this.limiterState.outR;
+                } else if (this.limiter == "softclip") {
+                    l = softClip(l, knee, range);
+                    r = softClip(r, knee, range);
+                }
+                samples[i] = l;
+                samples[i + 1] = r;
+
+                peak[0] = Math.max(peak[0], Math.abs(samples[i]));
+                peak[1] = Math.max(peak[1], Math.abs(samples[i + 1]));
+                sum[0] += l * l;
+                sum[1] += r * r;
+            }
+
+            this.levels = {
+                peak: peak,
+                rms: sum.map(function (s) {
+                    return length > 0 ? Math.sqrt(s / length) : 0;
+                }),
+                gainReduction: gainReduction,
+                clipped: peak[0] > 1.0 || peak[1] > 1.0,
+            };
+            return this.levels;
+        }.bind(this);
+
+        this.setOptions(options);
+    }
+
+    // sample rate of the contexts used to scan timelines, a row start time
+    // is precise to one sample
+    var TIMELINE_SAMPLE_RATE = 1000;
+
+    /** Finds when every row of a module starts by playing it silently.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param options - optional settings:
+     *  duration - maximum amount of seconds to scan (600 by default)
+     *  loops - how many times the song is played (1 by default)
+     * @return {duration, restartTime, restartPosition, rows, orders,
+     * speedChanges} - duration is the length of the song in seconds until
+     * it looped the given times, restartTime is the time the song goes back
+     * to when it loops and restartPosition its {patternIndex, pattern, row}
+     * (both null if it didn't loop within the maximum duration), rows are
+     * {patternIndex, pattern, row, time} objects in the order they are
+     * played, orders are the {patternIndex, pattern, time} of every pattern
+     * order in the order they are played, and speedChanges are the
+     * {patternIndex, pattern, row, time, tempo, bpm} of the rows the speed
+     * changes at, starting with the initial speed
+     */
+    libxm.scanTimeline = function (data, options = {}) {
+        var duration = options.duration === undefined ? 600 : options.duration;
+        var maxLength = Math.floor(duration * TIMELINE_SAMPLE_RATE);
+        var loops = options.loops || 1;
+
+        var context = new XMContext(data, TIMELINE_SAMPLE_RATE);
+        var rows = [];
+        var orders = [];
+        var speedChanges = [];
+        var last = null;
+        var speed = null;
+        var length = 0;
+        while (length < maxLength && context.getLoopCount() < loops) {
+            context.generateSamples(1);
+            var pos = context.playingPosition;
+            if (
+                last === null ||
+                pos.patternIndex !== last.patternIndex ||
+                pos.row !== last.row
+            ) {
+                var time = length / TIMELINE_SAMPLE_RATE;
+                if (last === null || pos.patternIndex !== last.patternIndex)
+                    orders.push({
+                        patternIndex: pos.patternIndex,
+                        pattern: pos.pattern,
+                        time: time,
+                    });
+                last = {
+                    patternIndex: pos.patternIndex,
+                    pattern: pos.pattern,
+                    row: pos.row,
+                    time: time,
+                };
+                rows.push(last);
+
+                // Fxx changes the speed on the first tick of its row
+                var rowSpeed = context.getPlayingSpeed();
+                if (
+                    speed === null ||
+                    rowSpeed.tempo !== speed.tempo ||
+                    rowSpeed.bpm !== speed.bpm
+                ) {
+                    speed = rowSpeed;
+                    speedChanges.push(
+                        Object.assign({}, last, {
+                            tempo: speed.tempo,
+                            bpm: speed.bpm,
+                        })
+                    );
+                }
+            }
+            length++;
+        }
+
+        // the row that was detected as a loop belongs to the next loop
+        var restartTime = null;
+        var restartPosition = null;
+        if (context.getLoopCount() >= loops) {
+            var restart = rows.pop();
+            length--;
+            if (
+                orders.length > 0 &&
+                orders[orders.length - 1].time === restart.time
+            )
+                orders.pop();
+            if (
+                speedChanges.length > 0 &&
+                speedChanges[speedChanges.length - 1].time === restart.time
+            )
+                speedChanges.pop();
+            for (var i = 0; i < rows.length; ++i) {
+                if (
+                    rows[i].patternIndex === restart.patternIndex &&
+                    rows[i].row === restart.row
+                ) {
+                    restartTime = rows[i].time;
+                    restartPosition = {
+                        patternIndex: restart.patternIndex,
+                        pattern: restart.pattern,
+                        row: restart.row,
+                    };
+                    break;
+                }
+            }
+        }
+        context.free();
+
+        return {
+            duration: length / TIMELINE_SAMPLE_RATE,
+            restartTime: restartTime,
+            restartPosition: restartPosition,
+            rows: rows,
+            orders: orders,
+            speedChanges: speedChanges,
+        };
+    };
+
+    // biquad coefficients of the K-weighting filter of ITU-R BS.1770 (a high
+    // shelf and a high-pass filter) for any sample rate
+    var kWeightingFilters = function (sampleRate) {
+        var k = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+        var q = 0.7071752369554196;
+        var vh = Math.pow(10, 3.999843853973347 / 20);
+        var vb = Math.pow(vh, 0.4996667741545416);
+        var a0 = 1 + k / q + k * k;
+        var shelf = {
+            b: [
+                (vh + (vb * k) / q + k * k) / a0,
+                (2 * (k * k - vh)) / a0,
+                (vh - (vb * k) / q + k * k) / a0,
+            ],
+            a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+        };
+
+        k = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+        q = 0.5003270373238773;
+        a0 = 1 + k / q + k * k;
+        var highPass = {
+            b: [1, -2, 1],
+            a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+        };
+        return [shelf, highPass];
+    };
+
+    /** Measures the loudness of a module by playing it silently, so it can be
+     * normalized (see libxm.getNormalizationGain).
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param options - optional settings:
+     *  sampleRate - sample rate to play the module at (48000 by default),
+     *  lower rates are faster and still close
+     *  loops - how many times the song is played (1 by default)
+     *  duration - maximum amount of seconds to measure (600 by default)
+     * @return {integrated, peak, duration} - integrated is the loudness of
+     * the whole song in LUFS (ITU-R BS.1770, -Infinity if it's silent), peak
+     * the highest absolute sample value and duration the measured length in
+     * seconds
+     */
+    libxm.measureLoudness = function (data, options = {}) {
+        var sampleRate = options.sampleRate || 48000;
+        var loops = options.loops || 1;
+        var duration = options.duration === undefined ? 600 : options.duration;
+        var maxLength = Math.floor(duration * sampleRate);
+        // the song is measured in blocks of 400 ms, which start every 100 ms
+        var stepLength = Math.round(sampleRate / 10);
+
+        var filters = kWeightingFilters(sampleRate);
+        // last two inputs and outputs of both filters, for both channels
+        var history = [0, 1].map(function () {
+            return filters.map(function () {
+                return new Float64Array(4);
+            });
+        });
+        var filter = function (channel, x) {
+            for (var f = 0; f < filters.length; ++f) {
+                var h = history[channel][f];
+                var b = filters[f].b;
+                var a = filters[f].a;
+                var y =
+                    b[0] * x +
+                    b[1] * h[0] +
+                    b[2] * h[1] -
+                    a[0] * h[2] -
+                    a[1] * h[3];
+                h[1] = h[0];
+                h[0] = x;
+                h[3] = h[2];
+                h[2] = y;
+                x = y;
+            }
+            return x;
+        };
+
+        var context = new XMContext(data, sampleRate);
+        var steps = []; // mean square of the weighted samples of every step
+        var stepSum = 0;
+        var stepPosition = 0;
+        var peak = 0;
+        var length = 0;
+        while (length < maxLength && context.getLoopCount() < loops) {
+            var chunkLength = Math.min(256, maxLength - length);
+            var samples = context.generateSamples(chunkLength);
+            for (var i = 0; i < 2 * chunkLength; i += 2) {
+                peak = Math.max(
+                    peak,
+                    Math.abs(samples[i]),
+                    Math.abs(samples[i + 1])
+                );
+                var l = filter(0, samples[i]);
+                var r = filter(1, samples[i + 1]);
+                stepSum += l * l + r * r;
+                if (++stepPosition == stepLength) {
+                    steps.push(stepSum / stepLength);
+                    stepSum = 0;
+                    stepPosition = 0;
+                }
+            }
+            length += chunkLength;
+        }
+        context.free();
+
+        var blocks = [];
+        for (var j = 3; j < steps.length; ++j)
+            blocks.push(
+                (steps[j - 3] + steps[j - 2] + steps[j - 1] + steps[j]) / 4
+            );
+
+        var toLUFS = function (meanSquare) {
+            return -0.691 + 10 * Math.log10(meanSquare);
+        };
+        // blocks below -70 LUFS are ignored, then the blocks that are more
+        // than 10 LU below the loudness of the rest
+        var gate = function (threshold) {
+            var gated = blocks.filter(function (block) {
+                return toLUFS(block) > threshold;
+            });
+            if (gated.length == 0) return -Infinity;
+            return toLUFS(
+                gated.reduce(function (sum, block) {
+                    return sum + block;
+                }, 0) / gated.length
+            );
+        };
+        var integrated = gate(-70);
+        if (integrated > -Infinity) integrated = gate(integrated - 10);
+
+        return {
+            integrated: integrated,
+            peak: peak,
+            duration: length / sampleRate,
+        };
+    };
+
+    /** Returns the gain that brings a module to the target loudness.
+     * @param loudness - a libxm.measureLoudness result
+     * @param target - loudness to reach in LUFS (-16 by default)
+     * @param maxGain - highest gain that is returned (10.0, +20 dB by
+     * default), so quiet songs aren't amplified too much
+     * @return gain to multiply the samples with, 1.0 for a silent module
+     */
+    libxm.getNormalizationGain = function (
+        loudness,
+        target = -16,
+        maxGain = 10.0
+    ) {
+        if (!(loudness.integrated > -Infinity)) return 1.0;
+        return Math.min(
+            maxGain,
+            Math.pow(10, (target - loudness.integrated) / 20)
+        );
+    };
+
+    /** Renders a module to PCM samples, no AudioContext is needed.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param options - optional settings:
+     *  sampleRate - how much samples to generate per second (48000 by default)
+     *  loops - stop rendering after the module looped this many times (1 by default),
+     *  use 0 to only stop after the duration limit. The output ends right
+     *  before the first sample of the next loop.
+     *  duration - maximum length of the output in seconds (600 by default)
+     *  amplification - multiplier applied to the samples (1.0 by default)
+     *  channels - channel numbers (starting with 1) to render, all of them by
+     *  default
+     *  normalize - loudness in LUFS to bring the module to, on top of the
+     *  amplification (see libxm.measureLoudness), not normalized by default
+     *  limiter, ceiling, lookahead, release - see XMOutputStage.setOptions
+     *  interpolation, oversampling - see XMContext.setInterpolation and
+     *  XMContext.setOversampling
+     * @return {sampleRate, length, channels} - channels contains 2 Float32Arrays
+     * (left and right)
+     */
+    libxm.renderToPCM = function (data, options = {}) {
+        var sampleRate = options.sampleRate || 48000;
+        var loops = options.loops === undefined ? 1 : options.loops;
+        var duration = options.duration === undefined ? 600 : options.duration;
+        var amplification =
+            options.amplification === undefined ? 1.0 : options.amplification;
+        if (options.normalize !== undefined && options.normalize !== null)
+            amplification *= libxm.getNormalizationGain(
+                libxm.measureLoudness(data, options),
+                options.normalize
+            );
+        var stage = new XMOutputStage(
+            sampleRate,
+            Object.assign({}, options, { gain: amplification })
+        );
+        var maxLength = Math.floor(duration * sampleRate);
+        var CHUNK_LENGTH = 256;
+
+        var context = new XMContext(data, sampleRate, {
+            interpolation: options.interpolation,
+            oversampling: options.oversampling,
+        });
+        if (options.channels) {
+            for (var j = 1; j <= context.channelsNum; ++j)
+                context.muteChannel(j, options.channels.indexOf(j) == -1);
+        }
+
+        // libxm counts a loop when it starts the first row of the song
+        // again, in the first sample of the row. A row can't start before
+        // the previous one had all of its ticks, so the chunks end a few
+        // samples before that, and the samples where the next row can start
+        // are generated one by one. The song ends right before the sample
+        // the loop count goes up in.
+        var ROW_MARGIN = 2;
+        var rowKey = function () {
+            var position = context.getPosition();
+            return [
+                position.patternIndex,
+                position.row,
+                context.getLoopCount(),
+            ].join(":");
+        };
+        var lastRow = rowKey();
+        var rowLength = 0; // in samples
+        var nextRow = 0; // earliest sample the next row can start at
+
+        // chunks are collected first, the song length isn't known in advance
+        var chunks = [];
+        var length = 0;
+        while (length < maxLength) {
+            var chunkLength = CHUNK_LENGTH;
+            if (loops > 0)
+                chunkLength = Math.max(
+                    1,
+                    Math.min(
+                        CHUNK_LENGTH,
+                        Math.floor(nextRow) - ROW_MARGIN - length
+                    )
+                );
+            chunkLength = Math.min(chunkLength, maxLength - length);
+
+            var samples = context.generateSamples(chunkLength);
+            if (
+                loops > 0 &&
+                chunkLength == 1 &&
+                context.getLoopCount() >= loops
+            )
+                break;
+            chunks.push(samples.slice(0, 2 * chunkLength));
+            length += chunkLength;
+            if (loops <= 0) continue;
+
+            var row = rowKey();
+            if (row !== lastRow) {
+                // the row started in this chunk, at the earliest in its
+                // first sample
+                lastRow = row;
+                var speed = context.getPlayingSpeed();
+                rowLength = (speed.tempo * sampleRate) / (speed.bpm * 0.4);
+                nextRow = length - chunkLength + rowLength;
+            } else if (length > nextRow + ROW_MARGIN) {
+                // a pattern delay (EEx) repeats the row
+                nextRow += rowLength;
+            }
+            // the loop was counted in a longer chunk, it can't be trimmed
+            if (context.getLoopCount() >= loops) break;
+        }
+        context.free();
+
+        // the limiter delays the samples, the last ones are pushed out of it
+        // with silence
+        if (stage.latency > 0) chunks.push(new Float32Array(2 * stage.latency));
+
+        var l = new Float32Array(length);
+        var r = new Float32Array(length);
+        var off = -stage.latency;
+        for (var i = 0; i < chunks.length; ++i) {
+            var chunk = chunks[i];
+            stage.process(chunk);
+            for (var j = 0; j < chunk.length; j += 2) {
+                if (off >= 0 && off < length) {
+                    l[off] = chunk[j];
+                    r[off] = chunk[j + 1];
+                }
+                off++;
+            }
+        }
+
+        return { sampleRate: sampleRate, length: length, channels: [l, r] };
+    };
+
+    /** Encodes PCM samples as a WAV file.
+     * @param {Float32Array[]} channels - samples of every channel (-1.0..1.0)
+     * @param sampleRate - sample rate of the samples
+     * @param bitDepth - 16 or 24 bits per sample (16 by default)
+     * @return {ArrayBuffer} contents of the WAV file
+     */
+    libxm.encodeWAV = function (channels, sampleRate, bitDepth = 16) {
+        if (bitDepth !== 16 && bitDepth !== 24)
+            throw new Error(
+                "Unsupported bit depth " + bitDepth + ", expected 16 or 24"
+            );
+
+        var bytesPerSample = bitDepth / 8;
+        var blockAlign = channels.length * bytesPerSample;
+        var length = channels.length > 0 ? channels[0].length : 0;
+        var dataSize = length * blockAlign;
+        var buffer = new ArrayBuffer(44 + dataSize);
+        var view = new DataView(buffer);
+
+        var writeString = function (offset, string) {
+            for (var i = 0; i < string.length; ++i)
+                view.setUint8(offset + i, string.charCodeAt(i));
+        };
+
+        writeString(0, "RIFF");
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, "WAVE");
+        writeString(12, "fmt ");
+        view.setUint32(16, 16, true); // size of the fmt chunk
+        view.setUint16(20, 1, true); // integer PCM
+        view.setUint16(22, channels.length, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeString(36, "data");
+        view.setUint32(40, dataSize, true);
+
+        var maxValue = Math.pow(2, bitDepth - 1) - 1;
+        var off = 44;
+        for (var i = 0; i < length; ++i) {
+            for (var c = 0; c < channels.length; ++c) {
+                var sample = Math.max(-1.0, Math.min(channels[c][i], 1.0));
+                var value = Math.round(sample * maxValue);
+                if (bitDepth === 16) {
+                    view.setInt16(off, value, true);
+                } else {
+                    view.setUint8(off, value & 0xff);
+                    view.setUint8(off + 1, (value >> 8) & 0xff);
+                    view.setInt8(off + 2, value >> 16);
+                }
+                off += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    };
+
+    /** Renders a module to a WAV file.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param options - same as libxm.renderToPCM, plus:
+     *  bitDepth - 16 or 24 bits per sample (16 by default)
+     * @return {ArrayBuffer} contents of the WAV file
+     */
+    libxm.renderToWAV = function (data, options = {}) {
+        var pcm = libxm.renderToPCM(data, options);
+        return libxm.encodeWAV(pcm.channels, pcm.sampleRate, options.bitDepth);
+    };
+
+    /** Same as libxm.renderToWAV, but returns a Blob (audio/wav). */
+    libxm.renderToWAVBlob = function (data, options = {}) {
+        return new Blob([libxm.renderToWAV(data, options)], {
+            type: "audio/wav",
+        });
+    };
+
+    /** Exports a sample of an instrument as a WAV file, with the data as it
+     * is stored in the module (8 or 16-bit mono). The file plays C-4 at its
+     * sample rate, and the loop is stored in a "smpl" chunk, which samplers
+     * read.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data, MOD,
+     * S3M and IT modules are converted to XM first
+     * @param instrument - instrument number (1..instrumentsNum)
+     * @param sample - index of the sample in the instrument (0..samplesNum-1)
+     * @return {ArrayBuffer} contents of the WAV file, null if the sample
+     * doesn't exist
+     */
+    libxm.sampleToWAV = function (data, instrument, sample) {
+        var converted = XMConvert.convert(data);
+        if (converted.data !== null) data = converted.data;
+        var decoded = XMFile.readSample(data, instrument, sample);
+        if (decoded === null) return null;
+
+        var bytesPerSample = decoded.bits / 8;
+        var dataSize = decoded.length * bytesPerSample;
+        var looped = decoded.loopType != "none" && decoded.loopLength > 0;
+        var smplSize = 36 + (looped ? 24 : 0);
+        // chunks are padded to an even size
+        var padding = dataSize & 1;
+        var buffer = new ArrayBuffer(44 + dataSize + padding + 8 + smplSize);
+        var view = new DataView(buffer);
+
+        var writeString = function (offset, string) {
+            for (var i = 0; i < string.length; ++i)
+                view.setUint8(offset + i, string.charCodeAt(i));
+        };
+
+        writeString(0, "RIFF");
+        view.setUint32(4, buffer.byteLength - 8, true);
+        writeString(8, "WAVE");
+        writeString(12, "fmt ");
+        view.setUint32(16, 16, true); // size of the fmt chunk
+        view.setUint16(20, 1, true); // integer PCM
+        view.setUint16(22, 1, true); // mono
+        view.setUint32(24, decoded.sampleRate, true);
+        view.setUint32(28, decoded.sampleRate * bytesPerSample, true);
+        view.setUint16(32, bytesPerSample, true);
+        view.setUint16(34, decoded.bits, true);
+        writeString(36, "data");
+        view.setUint32(40, dataSize, true);
+        for (var i = 0; i < decoded.length; ++i) {
+            // 8-bit WAV samples are unsigned
+            if (decoded.bits == 16)
+                view.setInt16(44 + 2 * i, decoded.data[i], true);
+            else view.setUint8(44 + i, decoded.data[i] + 128);
+        }
+
+        var off = 44 + dataSize + padding;
+        writeString(off, "smpl");
+        view.setUint32(off + 4, smplSize, true);
+        // nanoseconds per sample
+        view.setUint32(off + 16, Math.round(1e9 / decoded.sampleRate), true);
+        view.setUint32(off + 20, 60, true); // C-4 is MIDI note 60
+        view.setUint32(off + 36, looped ? 1 : 0, true);
+        if (looped) {
+            // forward is 0, ping-pong ("alternating") is 1
+            view.setUint32(
+                off + 48,
+                decoded.loopType == "pingpong" ? 1 : 0,
+                true
+            );
+            view.setUint32(off + 52, decoded.loopStart, true);
+            // the end is the last sample of the loop
+            view.setUint32(
+                off + 56,
+                decoded.loopStart + decoded.loopLength - 1,
+                true
+            );
+        }
+        return buffer;
+    };
+
+    /** Renders one note of an instrument, no AudioContext is needed.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param instrument - instrument number (1..instrumentsNum)
+     * @param options - optional settings:
+     *  note - 1 (C-0) to 96 (B-7), 49 (C-4) by default
+     *  volume - 0..64, the volume of the sample by default
+     *  release - seconds after which the note is released (1 by default),
+     *  the envelopes of the instrument fade it out after that
+     *  duration - maximum length in seconds (10 by default), rendering
+     *  stops earlier when the released note is silent
+     *  sampleRate, amplification, interpolation, oversampling - see
+     *  libxm.renderToPCM
+     * @return {sampleRate, length, channels} - like libxm.renderToPCM
+     */
+    libxm.renderInstrument = function (data, instrument, options = {}) {
+        var sampleRate = options.sampleRate || 48000;
+        var note = options.note === undefined ? 49 : options.note;
+        var volume = options.volume === undefined ? null : options.volume;
+        var release = options.release === undefined ? 1 : options.release;
+        var duration = options.duration === undefined ? 10 : options.duration;
+        var amplification =
+            options.amplification === undefined ? 1.0 : options.amplification;
+        var maxLength = Math.floor(duration * sampleRate);
+        var releaseAt = Math.floor(release * sampleRate);
+        var CHUNK_LENGTH = 256;
+
+        // the instrument is played alone, on a song that plays nothing.
+        // Modules that can't be read are left for XMContext to report.
+        var converted = XMConvert.convert(data);
+        if (converted.data !== null) data = converted.data;
+        var song = XMFile.emptySong(data, 1) || data;
+        var context = new XMContext(song, sampleRate, {
+            interpolation: options.interpolation,
+            oversampling: options.oversampling,
+        });
+        if (instrument < 1 || instrument > context.instrumentsNum) {
+            context.free();
+            throw new RangeError(
+                "Instrument " +
+                    instrument +
+                    " is out of range (1.." +
+                    context.instrumentsNum +
+                    ")"
+            );
+        }
+        try {
+            context.noteOn(1, note, instrument, volume);
+        } catch (err) {
+            context.free();
+            throw err;
+        }
+
+        var l = new Float32Array(maxLength);
+        var r = new Float32Array(maxLength);
+        var length = 0;
+        var released = false;
+        while (length < maxLength) {
+            if (!released && length >= releaseAt) {
+                context.noteOff(1);
+                released = true;
+            }
+            // the envelopes are done with the note
+            if (released && !context.isChannelActive(1)) break;
+
+            var chunkLength = Math.min(
+                CHUNK_LENGTH,
+                maxLength - length,
+                released ? CHUNK_LENGTH : releaseAt - length
+            );
+            var samples = context.generateSamples(chunkLength);
+            for (var i = 0; i < chunkLength; ++i) {
+                l[length + i] = samples[2 * i] * amplification;
+                r[length + i] = samples[2 * i + 1] * amplification;
+            }
+            length += chunkLength;
+        }
+        context.free();
+
+        return {
+            sampleRate: sampleRate,
+            length: length,
+            channels: [l.slice(0, length), r.slice(0, length)],
+        };
+    };
+
+    /** Renders one note of an instrument to a WAV file.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param instrument - instrument number (1..instrumentsNum)
+     * @param options - same as libxm.renderInstrument, plus:
+     *  bitDepth - 16 or 24 bits per sample (16 by default)
+     * @return {ArrayBuffer} contents of the WAV file
+     */
+    libxm.renderInstrumentToWAV = function (data, instrument, options = {}) {
+        var pcm = libxm.renderInstrument(data, instrument, options);
+        return libxm.encodeWAV(pcm.channels, pcm.sampleRate, options.bitDepth);
+    };
+
+    /** Renders every channel, or group of channels, of a module separately.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param options - same as libxm.renderToPCM, plus:
+     *  groups - channel numbers (starting with 1) of every stem, one stem per
+     *  channel by default
+     * @return {Array} a libxm.renderToPCM result for every stem, with the
+     * channel numbers of the stem in group
+     */
+    libxm.renderStems = function (data, options = {}) {
+        // converted once instead of once per stem
+        var converted = XMConvert.convert(data);
+        if (converted.data !== null) data = converted.data;
+
+        // every stem gets the gain of the whole module
+        if (options.normalize !== undefined && options.normalize !== null) {
+            var amplification =
+                options.amplification === undefined
+                    ? 1.0
+                    : options.amplification;
+            options = Object.assign({}, options, {
+                amplification:
+                    amplification *
+                    libxm.getNormalizationGain(
+                        libxm.measureLoudness(data, options),
+                        options.normalize
+                    ),
+                normalize: null,
+            });
+        }
+
+        var groups = options.groups;
+        if (!groups) {
+            groups = [];
+            var channelsNum = XMFile.parse(data).channelsNum || 0;
+            for (var j = 1; j <= channelsNum; ++j) groups.push([j]);
+        }
+
+        return groups.map(function (group) {
+            var pcm = libxm.renderToPCM(
+                data,
+                Object.assign({}, options, { channels: group })
+            );
+            pcm.group = group;
+            return pcm;
+        });
+    };
+
+    /** Renders the stems of a module to WAV files.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param options - same as libxm.renderStems, plus:
+     *  bitDepth - 16 or 24 bits per sample (16 by default)
+     * @return {Array} {group, wav} for every stem, wav is an ArrayBuffer
+     */
+    libxm.renderStemsToWAV = function (data, options = {}) {
+        return libxm.renderStems(data, options).map(function (pcm) {
+            return {
+                group: pcm.group,
+                wav: libxm.encodeWAV(
+                    pcm.channels,
+                    pcm.sampleRate,
+                    options.bitDepth
+                ),
+            };
+        });
+    };
+
+    return {
+        libxm: libxm,
+        XMContext: XMContext,
+        XMChannelGroups: XMChannelGroups,
+        XMOutputStage: XMOutputStage,
+        XMFile: XMFile,
+        XMConvert: XMConvert,
+        XMError: XMError,
+        XMNetworkError: XMNetworkError,
+        XMInputError: XMInputError,
+        XMParseError: XMParseError,
+        XMAbortError: XMAbortError,
+        XMStateError: XMStateError,
+        XMLifecycleError: XMLifecycleError,
+        XMUnsupportedError: XMUnsupportedError,
+    };
+});
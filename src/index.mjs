@@ -0,0 +1,34 @@
+// ES module entry point, the library itself is in jslibxm.js
+import jslibxm from "./jslibxm.js";
+import playlist from "./playlist.js";
+import mixer from "./mixer.js";
+import visualizers from "./visualizers.js";
+import input from "./input.js";
+
+export const {
+    libxm,
+    XMContext,
+    XMChannelGroups,
+    XMOutputStage,
+    XMFile,
+    XMConvert,
+    XMModule,
+    XMError,
+    XMNetworkError,
+    XMInputError,
+    XMParseError,
+    XMAbortError,
+    XMStateError,
+    XMLifecycleError,
+    XMUnsupportedError,
+} = jslibxm;
+export const { XMPlaylist } = playlist;
+export const { XMMixer } = mixer;
+export const {
+    XMOscilloscopes,
+    XMChannelMeters,
+    XMInstrumentGrid,
+    XMSpectrum,
+} = visualizers;
+export const { XMMidiInput, XMKeyboardInput } = input;
+export default jslibxm;
@@ -0,0 +1,377 @@
+// jslibxm input: plays the instruments of an XMModule from MIDI devices and
+// the computer keyboard.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(root);
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(function (root) {
+    // XM notes go from 1 (C-0) to 96 (B-7), MIDI note 60 (C4) is XM note 49
+    var MIDI_NOTE_OFFSET = 11;
+    var MAX_NOTE = 96;
+
+    // FastTracker II note keys, semitones above the octave of the keyboard.
+    // The lower row starts at the octave, the upper row an octave higher.
+    var KEY_NOTES = {};
+    [
+        "KeyZ",
+        "KeyS",
+        "KeyX",
+        "KeyD",
+        "KeyC",
+        "KeyV",
+        "KeyG",
+        "KeyB",
+        "KeyH",
+        "KeyN",
+        "KeyJ",
+        "KeyM",
+        "Comma",
+        "KeyL",
+        "Period",
+        "Semicolon",
+        "Slash",
+    ].forEach(function (code, i) {
+        KEY_NOTES[code] = i;
+    });
+    [
+        "KeyQ",
+        "Digit2",
+        "KeyW",
+        "Digit3",
+        "KeyE",
+        "KeyR",
+        "Digit5",
+        "KeyT",
+        "Digit6",
+        "KeyY",
+        "Digit7",
+        "KeyU",
+        "KeyI",
+        "Digit9",
+        "KeyO",
+        "Digit0",
+        "KeyP",
+        "BracketLeft",
+        "Equal",
+        "BracketRight",
+    ].forEach(function (code, i) {
+        KEY_NOTES[code] = 12 + i;
+    });
+
+    // Gives the notes of an input their own XM channels. A new note gets the
+    // free channel that was released the longest ago, or, if every channel
+    // is playing, the one with the oldest note. Notes are told apart by a key
+    // the input chooses.
+    function VoiceAllocator(xm, channels) {
+        this.order = []; // channels, the least recently used first
+        this.keys = new Map(); // channel -> key of the note it plays
+
+        // the channels of the module, unless the channels were given
+        var updateChannels = function () {
+            var list = channels;
+            if (!list) {
+                list = [];
+                for (var j = 1; j <= xm.channelsNum; ++j) list.push(j);
+            }
+            if (list.length != this.order.length) {
+                this.order = list.slice();
+                this.keys.clear();
+            }
+        }.bind(this);
+
+        // moves a channel to the end of the order
+        var use = function (channel) {
+            this.order.splice(this.order.indexOf(channel), 1);
+            this.order.push(channel);
+        }.bind(this);
+
+        // finds the channel a note plays on, null if the note isn't playing
+        this.find = function (key) {
+            for (var [channel, k] of this.keys) if (k === key) return channel;
+            return null;
+        }.bind(this);
+
+        // returns the channel to play a note on, null if there is none
+        this.allocate = function (key) {
+            updateChannels();
+            if (this.order.length == 0) return null;
+            var channel = this.find(key);
+            if (channel === null)
+                channel =
+                    this.order.find(function (channel) {
+                        return !this.keys.has(channel);
+                    }, this) || this.order[0];
+            this.keys.set(channel, key);
+            use(channel);
+            return channel;
+        }.bind(this);
+
+        // returns the channel the note played on, null if it doesn't play
+        this.release = function (key) {
+            var channel = this.find(key);
+            if (channel === null) return null;
+            this.keys.delete(channel);
+            use(channel);
+            return channel;
+        }.bind(this);
+
+        // returns the keys of all playing notes
+        this.playing = function () {
+            return Array.from(this.keys.values());
+        }.bind(this);
+    }
+
+    // plays a note with the voice allocator of an input, notes that aren't
+    // in the range of XM are ignored
+    function playNote(input, key, note, instrument, volume) {
+        var xm = input.xm;
+        if (!xm.isModuleLoaded || note < 1 || note > MAX_NOTE) return;
+        if (instrument < 1 || instrument > xm.instrumentsNum) return;
+        var channel = input.voices.allocate(key);
+        if (channel !== null) xm.noteOn(channel, note, instrument, volume);
+    }
+
+    function releaseNote(input, key) {
+        var channel = input.voices.release(key);
+        if (channel !== null && input.xm.isModuleLoaded)
+            input.xm.noteOff(channel);
+    }
+
+    /** Plays the instruments of an XMModule from Web MIDI inputs. Every MIDI
+     * channel plays one instrument, which program change messages select.
+     * Sustain (CC 64) and all notes off (CC 123) are understood.
+     * @param xm - the XMModule
+     * @param access - a MIDIAccess, see XMMidiInput.request
+     * @param options - optional settings:
+     *  input - id or name of the MIDI input to listen to, all inputs
+     *  (including the ones connected later) by default
+     *  channel - MIDI channel to listen to (1..16), all by default
+     *  instruments - instrument number for every MIDI channel, an object
+     *  like {1: 3, 10: 5} (instrument 1 for the other channels by default)
+     *  programChange - select the instrument with program changes, program
+     *  0 is instrument 1 (true by default)
+     *  velocity - set the volume of the notes from the velocity (true by
+     *  default), the volume of the sample is used if false
+     *  transpose - semitones added to the notes (0 by default)
+     *  channels - XM channels the notes play on, all by default
+     */
+    function XMMidiInput(xm, access, options = {}) {
+        this.xm = xm;
+        this.access = access;
+        this.options = Object.assign(
+            {
+                input: null,
+                channel: null,
+                instruments: {},
+                programChange: true,
+                velocity: true,
+                transpose: 0,
+                channels: null,
+            },
+            options
+        );
+        this.instruments = Object.assign({}, this.options.instruments);
+        this.voices = new VoiceAllocator(xm, this.options.channels);
+        this.sustain = {}; // MIDI channel -> whether the sustain pedal is down
+        this.sustained = new Set(); // notes released while sustained
+        this.inputs = []; // inputs that are listened to
+
+        // returns the instrument of a MIDI channel
+        this.getInstrument = function (channel) {
+            return this.instruments[channel] || 1;
+        }.bind(this);
+
+        /** Sets the instrument a MIDI channel plays.
+         * @param channel - MIDI channel (1..16)
+         * @param instrument - instrument number (1..XMModule.instrumentsNum)
+         */
+        this.setInstrument = function (channel, instrument) {
+            this.instruments[channel] = instrument;
+        }.bind(this);
+
+        // releases every note that is playing
+        this.allNotesOff = function () {
+            this.sustained.clear();
+            this.voices.playing().forEach(function (key) {
+                releaseNote(this, key);
+            }, this);
+        }.bind(this);
+
+        // handles a MIDI message, the data is an array of bytes
+        this.handleMessage = function (data) {
+            var type = data[0] & 0xf0;
+            var channel = (data[0] & 0x0f) + 1;
+            if (
+                this.options.channel !== null &&
+                channel != this.options.channel
+            )
+                return;
+            var key = channel * 128 + data[1];
+
+            if (type == 0x90 && data[2] > 0) {
+                this.sustained.delete(key);
+                playNote(
+                    this,
+                    key,
+                    data[1] - MIDI_NOTE_OFFSET + this.options.transpose,
+                    this.getInstrument(channel),
+                    this.options.velocity
+                        ? Math.round((data[2] / 127) * 64)
+                        : null
+                );
+            } else if (type == 0x80 || type == 0x90) {
+                if (this.sustain[channel]) this.sustained.add(key);
+                else releaseNote(this, key);
+            } else if (type == 0xc0) {
+                if (this.options.programChange)
+                    this.setInstrument(channel, data[1] + 1);
+            } else if (type == 0xb0 && data[1] == 64) {
+                this.sustain[channel] = data[2] >= 64;
+                if (this.sustain[channel]) return;
+                this.sustained.forEach(function (key) {
+                    if (Math.floor(key / 128) != channel) return;
+                    this.sustained.delete(key);
+                    releaseNote(this, key);
+                }, this);
+            } else if (type == 0xb0 && data[1] == 123) {
+                this.voices.playing().forEach(function (key) {
+                    if (Math.floor(key / 128) != channel) return;
+                    this.sustained.delete(key);
+                    releaseNote(this, key);
+                }, this);
+            }
+        }.bind(this);
+
+        var onMessage = function (event) {
+            this.handleMessage(event.data);
+        }.bind(this);
+
+        // starts listening to an input, if it's the one in the options
+        var attach = function (input) {
+            var wanted = this.options.input;
+            if (wanted !== null && input.id !== wanted && input.name !== wanted)
+                return;
+            if (this.inputs.indexOf(input) != -1) return;
+            input.addEventListener("midimessage", onMessage);
+            this.inputs.push(input);
+        }.bind(this);
+
+        var onStateChange = function (event) {
+            if (event.port.type == "input" && event.port.state == "connected")
+                attach(event.port);
+        };
+
+        access.inputs.forEach(attach);
+        access.addEventListener("statechange", onStateChange);
+
+        // stops listening to the inputs and releases the notes
+        this.destroy = function () {
+            access.removeEventListener("statechange", onStateChange);
+            this.inputs.forEach(function (input) {
+                input.removeEventListener("midimessage", onMessage);
+            });
+            this.inputs = [];
+            this.allNotesOff();
+        }.bind(this);
+    }
+
+    /** Asks the browser for MIDI access and creates an XMMidiInput.
+     * @param xm - the XMModule
+     * @param options - see XMMidiInput
+     * @return {Promise<XMMidiInput>} rejects if Web MIDI isn't available or
+     * the access is denied
+     */
+    XMMidiInput.request = function (xm, options = {}) {
+        var navigator = root.navigator;
+        if (!navigator || typeof navigator.requestMIDIAccess != "function")
+            return Promise.reject(new Error("Web MIDI is not available"));
+        return navigator.requestMIDIAccess().then(function (access) {
+            return new XMMidiInput(xm, access, options);
+        });
+    };
+
+    /** Plays the instruments of an XMModule from the computer keyboard, with
+     * the keys of FastTracker II: the Z row and the Q row are piano keys,
+     * the Q row an octave above the Z row. The keys are found by their
+     * position, so they work the same with every keyboard layout.
+     * @param xm - the XMModule
+     * @param options - optional settings:
+     *  target - element the keys are listened on (the window by default)
+     *  octave - octave of the Z row, 0..7 (4 by default)
+     *  instrument - instrument number (1 by default)
+     *  volume - volume of the notes, 0..64 (the volume of the sample by
+     *  default)
+     *  channels - XM channels the notes play on, all by default
+     */
+    function XMKeyboardInput(xm, options = {}) {
+        this.xm = xm;
+        this.options = Object.assign(
+            {
+                target: root,
+                octave: 4,
+                instrument: 1,
+                volume: null,
+                channels: null,
+            },
+            options
+        );
+        this.octave = this.options.octave;
+        this.instrument = this.options.instrument;
+        this.voices = new VoiceAllocator(xm, this.options.channels);
+
+        this.setOctave = function (octave) {
+            this.octave = octave;
+        }.bind(this);
+
+        this.setInstrument = function (instrument) {
+            this.instrument = instrument;
+        }.bind(this);
+
+        // releases every note that is playing
+        this.allNotesOff = function () {
+            this.voices.playing().forEach(function (key) {
+                releaseNote(this, key);
+            }, this);
+        }.bind(this);
+
+        var onKeyDown = function (event) {
+            if (event.ctrlKey || event.altKey || event.metaKey) return;
+            if (!(event.code in KEY_NOTES)) return;
+            event.preventDefault();
+            if (event.repeat) return;
+            playNote(
+                this,
+                event.code,
+                this.octave * 12 + KEY_NOTES[event.code] + 1,
+                this.instrument,
+                this.options.volume
+            );
+        }.bind(this);
+
+        var onKeyUp = function (event) {
+            if (event.code in KEY_NOTES) releaseNote(this, event.code);
+        }.bind(this);
+
+        var target = this.options.target;
+        target.addEventListener("keydown", onKeyDown);
+        target.addEventListener("keyup", onKeyUp);
+        // the key ups aren't seen when the focus goes somewhere else
+        target.addEventListener("blur", this.allNotesOff);
+
+        // stops listening to the keys and releases the notes
+        this.destroy = function () {
+            target.removeEventListener("keydown", onKeyDown);
+            target.removeEventListener("keyup", onKeyUp);
+            target.removeEventListener("blur", this.allNotesOff);
+            this.allNotesOff();
+        }.bind(this);
+    }
+
+    return {
+        XMMidiInput: XMMidiInput,
+        XMKeyboardInput: XMKeyboardInput,
+    };
+});
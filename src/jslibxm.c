@@ -0,0 +1,228 @@
+/* Functions jslibxm needs that libxm doesn't have. They change the state of
+ * a context directly, so this has to be compiled with the same XM_* options
+ * as libxm (see the Makefile). */
+
+#include "xm_internal.h"
+#include <stdlib.h>
+#include <string.h>
+
+/* Allocates the slots of the notes played with jslibxm_note_on, one for
+ * every channel of ctx. libxm keeps a pointer to the slot of a channel until
+ * the channel reaches its next row, so every context has its own slots. They
+ * are freed with free, after the context. Returns NULL if there isn't
+ * enough memory. */
+xm_pattern_slot_t* jslibxm_create_slots(xm_context_t* ctx) {
+	return calloc(ctx->module.num_channels, sizeof(xm_pattern_slot_t));
+}
+
+/* Returns the options libxm was compiled with: bit 0 is set if
+ * XM_LINEAR_INTERPOLATION is, bit 1 if XM_RAMPING is. */
+int jslibxm_get_options(void) {
+	return (XM_LINEAR_INTERPOLATION ? 1 : 0) | (XM_RAMPING ? 2 : 0);
+}
+
+/* Sets the ticks per row. The next Fxx effect overrides it. */
+void jslibxm_set_tempo(xm_context_t* ctx, uint16_t tempo) {
+	if(tempo == 0) return;
+	ctx->tempo = tempo;
+}
+
+/* Sets the BPM. The next Fxx effect overrides it. */
+void jslibxm_set_bpm(xm_context_t* ctx, uint16_t bpm) {
+	if(bpm == 0) return;
+	ctx->bpm = bpm;
+}
+
+/* Sets the sample rate libxm mixes at, independently of the rate of the
+ * generated samples. A lower rate plays the module faster and higher. The
+ * frequencies of the channels are updated on the next tick. */
+void jslibxm_set_rate(xm_context_t* ctx, uint32_t rate) {
+	if(rate == 0) return;
+	ctx->rate = rate;
+}
+
+static uint16_t jslibxm_count_samples(xm_context_t* ctx) {
+	uint16_t count = 0;
+	for(uint16_t i = 0; i < ctx->module.num_instruments; ++i) {
+		count += ctx->module.instruments[i].num_samples;
+	}
+	return count;
+}
+
+/* Copies the relative notes of every sample of ctx, in the order of the
+ * instruments, for jslibxm_transpose. The copy is freed with free. Returns
+ * NULL if there isn't enough memory. */
+int8_t* jslibxm_save_relative_notes(xm_context_t* ctx) {
+	uint16_t count = jslibxm_count_samples(ctx);
+	int8_t* notes = malloc(count > 0 ? count : 1);
+	if(notes == NULL) return NULL;
+	int8_t* note = notes;
+	for(uint16_t i = 0; i < ctx->module.num_instruments; ++i) {
+		xm_instrument_t* instr = ctx->module.instruments + i;
+		for(uint16_t j = 0; j < instr->num_samples; ++j) {
+			*note++ = instr->samples[j].relative_note;
+		}
+	}
+	return notes;
+}
+
+/* Sets the relative note of every sample to its original one (notes, see
+ * jslibxm_save_relative_notes) plus the given amount of semitones, the notes
+ * triggered after this are transposed. A relative note that doesn't fit in
+ * -128..127 is clamped, so transposing back restores the original. */
+void jslibxm_transpose(xm_context_t* ctx, const int8_t* notes,
+                       int16_t semitones) {
+	for(uint16_t i = 0; i < ctx->module.num_instruments; ++i) {
+		xm_instrument_t* instr = ctx->module.instruments + i;
+		for(uint16_t j = 0; j < instr->num_samples; ++j) {
+			int16_t note = *notes++ + semitones;
+			instr->samples[j].relative_note =
+				note < INT8_MIN ? INT8_MIN : note > INT8_MAX ? INT8_MAX : note;
+		}
+	}
+}
+
+/* A saved state starts with this. A state can only be loaded by the same
+ * build of libxm (the structures are copied as they are), into a context of
+ * the same module. */
+typedef struct {
+	uint32_t magic;
+	uint16_t context_size;
+	uint16_t channel_size;
+	uint32_t options;
+	uint32_t rate;
+	uintptr_t base; /* where the saved context was, to move the pointers */
+	uintptr_t slots; /* where its note slots were */
+	uint16_t num_channels;
+	uint16_t length;
+	uint16_t num_instruments;
+	uint16_t num_samples;
+} jslibxm_state_header_t;
+
+#define JSLIBXM_STATE_MAGIC 0x5453584A /* "JXST" */
+
+/* Returns the size of the state jslibxm_save_state writes. */
+uint32_t jslibxm_state_size(xm_context_t* ctx) {
+	return sizeof(jslibxm_state_header_t) + sizeof(xm_context_t)
+		+ ctx->module.num_channels
+		* (sizeof(xm_channel_context_t) + sizeof(xm_pattern_slot_t))
+		+ MAX_NUM_ROWS * ctx->module.length
+		+ (ctx->module.num_instruments + jslibxm_count_samples(ctx))
+		* sizeof(uint64_t);
+}
+
+/* Writes everything that changes while a context plays: the position, the
+ * speed, the channels with their effect memory and envelopes, the note slots
+ * of ctx (see jslibxm_create_slots), the loop counts of the rows and the
+ * latest triggers. out must have room for jslibxm_state_size bytes. */
+void jslibxm_save_state(xm_context_t* ctx, const xm_pattern_slot_t* slots,
+                        uint8_t* out) {
+	jslibxm_state_header_t header = {
+		.magic = JSLIBXM_STATE_MAGIC,
+		.context_size = sizeof(xm_context_t),
+		.channel_size = sizeof(xm_channel_context_t),
+		.options = jslibxm_get_options(),
+		.rate = ctx->rate,
+		.base = (uintptr_t)ctx->allocated_memory,
+		.slots = (uintptr_t)slots,
+		.num_channels = ctx->module.num_channels,
+		.length = ctx->module.length,
+		.num_instruments = ctx->module.num_instruments,
+		.num_samples = jslibxm_count_samples(ctx),
+	};
+	uint16_t channels = header.num_channels;
+
+	memcpy(out, &header, sizeof(header));
+	out += sizeof(header);
+	memcpy(out, ctx, sizeof(xm_context_t));
+	out += sizeof(xm_context_t);
+	memcpy(out, ctx->channels, channels * sizeof(xm_channel_context_t));
+	out += channels * sizeof(xm_channel_context_t);
+	memcpy(out, slots, channels * sizeof(xm_pattern_slot_t));
+	out += channels * sizeof(xm_pattern_slot_t);
+	memcpy(out, ctx->row_loop_count, MAX_NUM_ROWS * header.length);
+	out += MAX_NUM_ROWS * header.length;
+
+	for(uint16_t i = 0; i < ctx->module.num_instruments; ++i) {
+		xm_instrument_t* instr = ctx->module.instruments + i;
+		memcpy(out, &instr->latest_trigger, sizeof(uint64_t));
+		out += sizeof(uint64_t);
+		for(uint16_t j = 0; j < instr->num_samples; ++j) {
+			memcpy(out, &instr->samples[j].latest_trigger, sizeof(uint64_t));
+			out += sizeof(uint64_t);
+		}
+	}
+}
+
+/* Moves a pointer into the memory of the saved context to the same place in
+ * the memory of ctx. */
+#define JSLIBXM_RELOCATE(ptr, offset) \
+	((ptr) == NULL ? NULL : (void*)((uint8_t*)(ptr) + (offset)))
+
+/* Loads a state written by jslibxm_save_state into ctx and its note slots.
+ * The settings of ctx are kept: its rate, maximum loop count and muted
+ * channels. Returns 0 on success, 1 if the state doesn't fit the context
+ * (ctx isn't changed then). */
+int jslibxm_load_state(xm_context_t* ctx, xm_pattern_slot_t* slots,
+                       const uint8_t* in, uint32_t size) {
+	jslibxm_state_header_t header;
+	if(size != jslibxm_state_size(ctx)) return 1;
+	memcpy(&header, in, sizeof(header));
+	if(header.magic != JSLIBXM_STATE_MAGIC
+	   || header.context_size != sizeof(xm_context_t)
+	   || header.channel_size != sizeof(xm_channel_context_t)
+	   || header.options != (uint32_t)jslibxm_get_options()
+	   || header.num_channels != ctx->module.num_channels
+	   || header.length != ctx->module.length
+	   || header.num_instruments != ctx->module.num_instruments
+	   || header.num_samples != jslibxm_count_samples(ctx)) return 1;
+	in += sizeof(header);
+
+	xm_context_t kept = *ctx;
+	intptr_t offset = (intptr_t)kept.allocated_memory - (intptr_t)header.base;
+	memcpy(ctx, in, sizeof(xm_context_t));
+	in += sizeof(xm_context_t);
+	ctx->allocated_memory = kept.allocated_memory;
+	ctx->module = kept.module;
+	ctx->row_loop_count = kept.row_loop_count;
+	ctx->channels = kept.channels;
+	ctx->max_loop_count = kept.max_loop_count;
+	ctx->rate = kept.rate;
+	/* the rest of the tick is counted in samples of the rate */
+	ctx->remaining_samples_in_tick *= (float)kept.rate / header.rate;
+
+	for(uint16_t i = 0; i < header.num_channels; ++i) {
+		xm_channel_context_t* ch = ctx->channels + i;
+		bool muted = ch->muted;
+		memcpy(ch, in, sizeof(xm_channel_context_t));
+		in += sizeof(xm_channel_context_t);
+		ch->muted = muted;
+		ch->instrument = JSLIBXM_RELOCATE(ch->instrument, offset);
+		ch->sample = JSLIBXM_RELOCATE(ch->sample, offset);
+		/* a channel playing a note of jslibxm_note_on points to one of the
+		 * note slots, which aren't in the memory of the context */
+		uintptr_t current = (uintptr_t)ch->current;
+		if(current >= header.slots && current < header.slots
+		   + header.num_channels * sizeof(xm_pattern_slot_t)) {
+			ch->current = slots + (current - header.slots)
+				/ sizeof(xm_pattern_slot_t);
+		} else {
+			ch->current = JSLIBXM_RELOCATE(ch->current, offset);
+		}
+	}
+	memcpy(slots, in, header.num_channels * sizeof(xm_pattern_slot_t));
+	in += header.num_channels * sizeof(xm_pattern_slot_t);
+	memcpy(ctx->row_loop_count, in, MAX_NUM_ROWS * header.length);
+	in += MAX_NUM_ROWS * header.length;
+
+	for(uint16_t i = 0; i < ctx->module.num_instruments; ++i) {
+		xm_instrument_t* instr = ctx->module.instruments + i;
+		memcpy(&instr->latest_trigger, in, sizeof(uint64_t));
+		in += sizeof(uint64_t);
+		for(uint16_t j = 0; j < instr->num_samples; ++j) {
+			memcpy(&instr->samples[j].latest_trigger, in, sizeof(uint64_t));
+			in += sizeof(uint64_t);
+		}
+	}
+	return 0;
+}
@@ -1,651 +1,2382 @@
-// check if the WASM module is loaded
-if (typeof Module != "object") {
-    throw new Error(
-        "WASM module is " +
-            typeof Module +
-            " (expected object), make sure you added a <script> tag for libxm.js"
-    );
-}
-
-const getAudioContext = window["AudioContext"] || window["webkitAudioContext"];
-
-// if this is a function, it will be called when emscripten's runtime is initialized
-let libxm = { onload: null };
-let isRuntimeInitialized = false;
-// prettier-ignore
-libxm.notes = ['A-', 'A#', 'B-', 'C-', 'C#', 'D-', 'D#', 'E-', 'F-', 'F#', 'G-', 'G#'];
-
-// get note string for frequency
-libxm.getNoteForFreq = function (frequency) {
-    return (
-        libxm.notes[
-            Math.round((12.0 * Math.log(frequency / 440.0)) / Math.log(2)) % 12
-        ] + Math.floor(Math.log(frequency) / Math.log(2) - 10)
-    );
-};
-
-Module["onRuntimeInitialized"] = function () {
-    isRuntimeInitialized = true;
-    if (libxm.onload instanceof Function) libxm.onload();
-};
-
-/** Main constructor.
- * @param sampleRate - how much samples to generate and play per second
- * @param onfillbuffer - will be called each time when filling new audio buffer
- * @param onxmdataupdate - will be called each time when XMModule.xmdata updates
- */
-function XMModule(
-    sampleRate = 48000,
-    onfillbuffer = null,
-    onxmdataupdate = null
-) {
-    if (!isRuntimeInitialized) throw "Runtime is not initialized!";
-    this.onfillbuffer = onfillbuffer;
-    this.onxmdataupdate = onxmdataupdate;
-
-    this.AUDIO_BUFFER_LENGTH = 4096;
-    this.XM_BUFFER_LENGTH = 256;
-    this.xmdataLengthLimit = 256; // maximum length of this.xmdata
-    this.sampleRate = sampleRate;
-    if (this.sampleRate < 1) this.sampleRate = 1;
-
-    // create audio context and two buffers
-    this.audioContext = new getAudioContext();
-    this.buffers = [
-        this.audioContext.createBuffer(
-            2,
-            this.AUDIO_BUFFER_LENGTH,
-            this.sampleRate
-        ),
-        this.audioContext.createBuffer(
-            2,
-            this.AUDIO_BUFFER_LENGTH,
-            this.sampleRate
-        ),
-    ];
-
-    this.LATENCY_COMP =
-        this.sampleRate *
-            (this.audioContext.outputLatency |
-                this.audioContext.baseLatency |
-                0.25) -
-        this.sampleRate / 60;
-
-    this.playing = false;
-    this.needsResync = true;
-    this.audioSyncPoint = 0;
-    this.xmSyncPoint = 0;
-    this.amplification = 1.0;
-    this.clip = false;
-
-    this.libxmActions = [];
-    this.runXmContextAction = function (action) {
-        if (this.libxmActions.length > 0) {
-            this.libxmActions.push(action);
-            return;
-        }
+// jslibxm Web Audio output: plays modules loaded into an XMContext.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        var core = require("./core.js");
+        module.exports = Object.assign({}, core, factory(root, core));
+    } else {
+        root.XMModule = factory(root, root).XMModule;
+    }
+})(function (root, core) {
+    var libxm = core.libxm;
+    var XMContext = core.XMContext;
+    var XMChannelGroups = core.XMChannelGroups;
+    var XMOutputStage = core.XMOutputStage;
+    var XMNetworkError = core.XMNetworkError;
+    var XMInputError = core.XMInputError;
+    var XMAbortError = core.XMAbortError;
+    var XMParseError = core.XMParseError;
+    var XMLifecycleError = core.XMLifecycleError;
+    var XMError = core.XMError;
+    var XMStateError = core.XMStateError;
+    var XMUnsupportedError = core.XMUnsupportedError;
+    var XMFile = core.XMFile;
+    var XMConvert = core.XMConvert;
+
+    const getAudioContext = root["AudioContext"] || root["webkitAudioContext"];
+
+    // the AudioWorklet and worker bundles are expected to be next to this
+    // script
+    let defaultWorkletUrl = null;
+    let defaultWorkerUrl = null;
+    if (
+        typeof document == "object" &&
+        document.currentScript &&
+        document.currentScript.src
+    ) {
+        defaultWorkletUrl = document.currentScript.src.replace(
+            /[^/]*([?#].*)?$/,
+            "jslibxm-worklet.min.js"
+        );
+        defaultWorkerUrl = document.currentScript.src.replace(
+            /[^/]*([?#].*)?$/,
+            "jslibxm-worker.min.js"
+        );
+    }
+
+    // throws a RangeError if value isn't an integer in min..max
+    var checkNumber = function (name, value, min, max) {
+        if (!(Number.isInteger(value) && value >= min && value <= max))
+            throw new RangeError(
+                name +
+                    " " +
+                    value +
+                    " is out of range (" +
+                    min +
+                    ".." +
+                    max +
+                    ")"
+            );
+    };
 
-        this.libxmActions.push(action);
+    // the error of a getState the worklet or the worker failed to answer,
+    // they send {name, message, cFunction} because the classes don't survive
+    // postMessage
+    var stateError = function (error) {
+        if (error.name == "XMUnsupportedError")
+            return new XMUnsupportedError(error.message, error.cFunction);
+        if (error.name == "XMStateError")
+            return new XMStateError(error.message);
+        return new XMError(error.message);
+    };
 
-        while (this.libxmActions.length > 0) {
-            this.libxmActions.shift()();
+    // index of the last entry of a list sorted by time that starts at or
+    // before time (0 if none does)
+    var lastAtTime = function (list, time) {
+        var lo = 0;
+        var hi = list.length - 1;
+        while (lo < hi) {
+            var mid = (lo + hi + 1) >> 1;
+            if (list[mid].time <= time) lo = mid;
+            else hi = mid - 1;
         }
+        return lo;
     };
 
-    this.cFloatArray = Module._malloc(2 * this.XM_BUFFER_LENGTH * 4);
-    this.moduleContextPtr = Module._malloc(4);
-    this.moduleContext = null;
-    this.cSamplesPtr = Module._malloc(8);
-    this.xmdata = [];
-    this.instrumentsNum = null;
-    this.channelsNum = null;
-    this.isModuleLoaded = false;
-
-    // only for internal use, use XMModule.load if you want to load modules
-    this._loadFromData = function (data, callback) {
-        this.runXmContextAction(
-            function () {
-                if (this.moduleContext !== null) {
-                    Module._xm_free_context(this.moduleContext);
-                    this.isModuleLoaded = false;
-                    this.moduleContext = null;
-                }
+    // the first timeline row of every pattern order index and row, keyed by
+    // patternIndex * 256 + row
+    var indexRows = function (timeline) {
+        var rows = new Map();
+        timeline.rows.forEach(function (row) {
+            var key = row.patternIndex * 256 + row.row;
+            if (!rows.has(key)) rows.set(key, row);
+        });
+        return rows;
+    };
 
-                // make it an int8array if it isn't one
-                if (!(data instanceof Int8Array))
-                    var view = new Int8Array(data);
+    /** Renders a module to an AudioBuffer using an OfflineAudioContext.
+     * @param {(Int8Array|ArrayBuffer)} data - module data
+     * @param options - same as libxm.renderToPCM
+     * @return {Promise<AudioBuffer>}
+     */
+    libxm.renderToAudioBuffer = function (data, options = {}) {
+        var getOfflineAudioContext =
+            root["OfflineAudioContext"] || root["webkitOfflineAudioContext"];
+        var pcm = libxm.renderToPCM(data, options);
+        // an AudioBuffer can't be empty
+        var offlineContext = new getOfflineAudioContext(
+            2,
+            Math.max(pcm.length, 1),
+            pcm.sampleRate
+        );
 
-                var moduleStringBuffer = Module._malloc(view.length);
-                Module.writeArrayToMemory(view, moduleStringBuffer);
-                var ret = Module._xm_create_context(
-                    this.moduleContextPtr,
-                    moduleStringBuffer,
-                    this.sampleRate
-                );
-                Module._free(moduleStringBuffer);
+        var buffer = offlineContext.createBuffer(
+            2,
+            Math.max(pcm.length, 1),
+            pcm.sampleRate
+        );
+        buffer.getChannelData(0).set(pcm.channels[0]);
+        buffer.getChannelData(1).set(pcm.channels[1]);
+
+        var source = offlineContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(offlineContext.destination);
+        source.start(0);
+        return offlineContext.startRendering();
+    };
+
+    /** Reads module data from any supported input.
+     * @param {(File|Blob|string|URL|Response|ArrayBuffer|ArrayBufferView)} input
+     * @param {AbortSignal} signal - optional, cancels reading the input
+     * @return {Promise<Int8Array>} rejects with XMNetworkError, XMInputError
+     * or XMAbortError
+     */
+    libxm.readInput = function (input, signal = null) {
+        return new Promise(function (resolve, reject) {
+            if (signal && signal.aborted) {
+                reject(new XMAbortError());
+                return;
+            }
 
-                if (ret !== 0) {
-                    this.moduleContext = null;
-                } else {
-                    this.moduleContext = getValue(this.moduleContextPtr, "*");
+            var onabort = null;
+            var settle = function (callback, value) {
+                if (onabort !== null)
+                    signal.removeEventListener("abort", onabort);
+                if (callback === resolve && signal && signal.aborted)
+                    reject(new XMAbortError());
+                else callback(value);
+            };
+            var listenForAbort = function (abort) {
+                if (!signal) return;
+                onabort = abort;
+                signal.addEventListener("abort", onabort);
+            };
+
+            if (input instanceof Int8Array) {
+                resolve(input);
+            } else if (ArrayBuffer.isView(input)) {
+                resolve(
+                    new Int8Array(
+                        input.buffer,
+                        input.byteOffset,
+                        input.byteLength
+                    )
+                );
+            } else if (input instanceof ArrayBuffer) {
+                resolve(new Int8Array(input));
+            } else if (typeof Blob == "function" && input instanceof Blob) {
+                // input is a file or a blob, read it
+                var reader = new FileReader();
+                reader.onload = function () {
+                    settle(resolve, new Int8Array(reader.result));
+                };
+                reader.onerror = function () {
+                    settle(
+                        reject,
+                        new XMInputError(
+                            "Failed to read file: " +
+                                (reader.error && reader.error.message)
+                        )
+                    );
+                };
+                reader.onabort = function () {
+                    settle(reject, new XMAbortError());
+                };
+                listenForAbort(function () {
+                    reader.abort();
+                });
+                reader.readAsArrayBuffer(input);
+            } else if (
+                typeof Response == "function" &&
+                input instanceof Response
+            ) {
+                if (!input.ok) {
+                    reject(
+                        new XMNetworkError(
+                            "Received status code " +
+                                input.status +
+                                ", expected 200",
+                            input.status
+                        )
+                    );
+                    return;
                 }
-            }.bind(this)
-        );
+                input.arrayBuffer().then(
+                    function (buffer) {
+                        settle(resolve, new Int8Array(buffer));
+                    },
+                    function (err) {
+                        settle(
+                            reject,
+                            new XMNetworkError(
+                                "Failed to read response: " + err.message
+                            )
+                        );
+                    }
+                );
+            } else if (
+                typeof input === "string" ||
+                input instanceof String ||
+                (typeof URL == "function" && input instanceof URL)
+            ) {
+                // load from URL
+                var xhr = new XMLHttpRequest();
+                xhr.open("GET", String(input), true);
+                xhr.responseType = "arraybuffer";
+                xhr.onload = function () {
+                    if (xhr.status === 200) {
+                        settle(resolve, new Int8Array(xhr.response));
+                    } else {
+                        settle(
+                            reject,
+                            new XMNetworkError(
+                                "Received status code " +
+                                    xhr.status +
+                                    ", expected 200",
+                                xhr.status
+                            )
+                        );
+                    }
+                };
+                xhr.onerror = function () {
+                    settle(reject, new XMNetworkError("XHR request error"));
+                };
+                xhr.onabort = function () {
+                    settle(reject, new XMAbortError());
+                };
+                listenForAbort(function () {
+                    xhr.abort();
+                });
+                xhr.send();
+            } else {
+                reject(
+                    new XMInputError(
+                        'Unknown input type "' +
+                            typeof input +
+                            '", expected File, Blob, String, URL, Response, ArrayBuffer or a typed array'
+                    )
+                );
+            }
+        });
+    };
 
-        // error
-        if (this.moduleContext === null) {
-            if (callback instanceof Function) {
-                callback("Failed to create module context");
+    // sample rate modules are played at to measure their loudness, it's
+    // within a fraction of a LU of the loudness at 48000 Hz
+    var LOUDNESS_SAMPLE_RATE = 24000;
+
+    /** Main constructor.
+     * @param sampleRate - how much samples to generate and play per second
+     * @param onfillbuffer - will be called each time when filling new audio buffer
+     * @param onxmdataupdate - will be called each time when XMModule.xmdata updates
+     * @param options - optional settings:
+     *  worklet - play through an AudioWorklet if the browser supports it (true by default)
+     *  workletUrl - URL of jslibxm-worklet.min.js, by default it's loaded from
+     *  the same directory as this script
+     *  worker - generate the samples in a Web Worker instead of the
+     *  AudioWorklet: true to load jslibxm-worker.min.js from the same
+     *  directory as this script, its URL, or a Worker running it
+     *  audioContext - an existing AudioContext to play in, instead of creating
+     *  a new one. The sample rate of the context is used then.
+     *  destination - the AudioNode XMModule.output is connected to (the
+     *  destination of the AudioContext by default), null to leave it unconnected
+     *  channelGroups - channel numbers (starting with 1) of every group that
+     *  gets its own output in XMModule.outputs, like [[1, 2], [3], [4]]. Only the
+     *  groups are played then, the channels that aren't in any are silent
+     *  limiter - "none" (default), "softclip" or "limiter", see
+     *  XMModule.setLimiter
+     *  normalize - loudness in LUFS to bring every module to, see
+     *  XMModule.setNormalization
+     *  interpolation, oversampling - see XMModule.setQuality
+     */
+    function XMModule(
+        sampleRate = 48000,
+        onfillbuffer = null,
+        onxmdataupdate = null,
+        options = {}
+    ) {
+        if (!libxm.isRuntimeInitialized)
+            throw new XMLifecycleError("Runtime is not initialized!");
+        if (!getAudioContext) throw new Error("Web Audio API is not available");
+        this.onfillbuffer = onfillbuffer;
+        this.onxmdataupdate = onxmdataupdate;
+
+        this.AUDIO_BUFFER_LENGTH = 4096;
+        this.XM_BUFFER_LENGTH = 256;
+        this.xmdataLengthLimit = 256; // maximum length of this.xmdata
+        this.sampleRate = options.audioContext
+            ? options.audioContext.sampleRate
+            : sampleRate;
+        if (this.sampleRate < 1) this.sampleRate = 1;
+
+        // "worklet" if samples are generated in the audio rendering thread,
+        // "worker" if they are generated in a Web Worker,
+        // "scheduler" if buffers are filled on the main thread,
+        // "pending" while the worklet module or the worker is loading
+        this.engine = "scheduler";
+        this.worker = null;
+        var workerSource =
+            options.worker === true ? defaultWorkerUrl : options.worker || null;
+        var useWorker =
+            workerSource !== null &&
+            (typeof workerSource == "object" || typeof Worker == "function");
+        this.workletUrl = options.workletUrl || defaultWorkletUrl;
+        var canUseWorklet =
+            !useWorker &&
+            options.worklet !== false &&
+            this.workletUrl !== null &&
+            typeof AudioWorkletNode == "function";
+
+        // a shared AudioContext is never suspended by XMModule
+        this.ownsAudioContext = !options.audioContext;
+
+        // create audio context and two buffers
+        this.audioContext = options.audioContext
+            ? options.audioContext
+            : canUseWorklet || useWorker
+            ? new getAudioContext({ sampleRate: this.sampleRate })
+            : new getAudioContext();
+
+        // everything the module plays goes through this node
+        this.output = this.audioContext.createGain();
+        var destination =
+            options.destination === undefined
+                ? this.audioContext.destination
+                : options.destination;
+        if (destination) this.output.connect(destination);
+
+        // every channel group has an output that's connected to this.output
+        this.channelGroups =
+            options.channelGroups && options.channelGroups.length > 0
+                ? options.channelGroups
+                : null;
+        this.outputs = [];
+        this.groupContexts = null; // XMChannelGroups of the loaded module
+        this.groupBuffers = [[], []];
+        if (this.channelGroups !== null) {
+            for (var i = 0; i < this.channelGroups.length; ++i) {
+                var groupOutput = this.audioContext.createGain();
+                groupOutput.connect(this.output);
+                this.outputs.push(groupOutput);
+                for (var j = 0; j < 2; ++j) {
+                    this.groupBuffers[j].push(
+                        this.audioContext.createBuffer(
+                            2,
+                            this.AUDIO_BUFFER_LENGTH,
+                            this.sampleRate
+                        )
+                    );
+                }
             }
-            return;
         }
 
-        // success
-        this.isModuleLoaded = true;
-        this.xmdata = [];
-        
-        if (typeof onxmdataupdate == "function") onxmdataupdate();
-        
-        this.instrumentsNum = Module._xm_get_number_of_instruments(
-            this.moduleContext
-        );
+        this.buffers = [
+            this.audioContext.createBuffer(
+                2,
+                this.AUDIO_BUFFER_LENGTH,
+                this.sampleRate
+            ),
+            this.audioContext.createBuffer(
+                2,
+                this.AUDIO_BUFFER_LENGTH,
+                this.sampleRate
+            ),
+        ];
+
+        this.LATENCY_COMP =
+            this.sampleRate *
+                (this.audioContext.outputLatency |
+                    this.audioContext.baseLatency |
+                    0.25) -
+            this.sampleRate / 60;
 
-        this.channelsNum = Module._xm_get_number_of_channels(
-            this.moduleContext
-        );
+        this.playing = false;
+        // AudioContext time the module was resumed at, see XMModule.resume
+        this.startTime = 0;
+        // AudioContext time the module was paused at, see getCurrentTime
+        this.pausedAt = 0;
+        this.needsResync = true;
+        this.audioSyncPoint = 0;
+        this.xmSyncPoint = 0;
+        this.amplification = 1.0;
+        // whether the output went over full scale since the module was loaded
+        this.clip = false;
+
+        // applies the volume and the limiter, every channel group has its own
+        this.outputStage = new XMOutputStage(this.sampleRate, {
+            limiter: options.limiter || "none",
+        });
+        this.groupStages = this.outputs.map(function () {
+            return new XMOutputStage(
+                this.sampleRate,
+                this.outputStage.getOptions()
+            );
+        }, this);
+        // target loudness in LUFS (null if modules aren't normalized) and
+        // the gain that brings the loaded module to it
+        this.normalization = {
+            target: options.normalize === undefined ? null : options.normalize,
+            gain: 1.0,
+        };
+        this.loudness = null; // see XMModule.measureLoudness
+
+        this.libxmActions = [];
+        this.runXmContextAction = function (action) {
+            if (this.libxmActions.length > 0) {
+                this.libxmActions.push(action);
+                return;
+            }
 
-        this.pause();
-        if (callback instanceof Function) {
-            callback(false);
-        }
-    };
+            this.libxmActions.push(action);
 
-    /** Loads an XM module.
-     * @param {(File|string|Int8Array)} input - loads the module from file, URL or Int8Array.
-     * @param {Function} callback<err> - callback function after module load.
-     * Callback has 1 parameter (error) - false if loaded successfully, string if not.
-     */
-    this.load = function (input, callback) {
-        if (input instanceof Int8Array) {
-            this._loadFromData(input, callback);
-        } else if (input instanceof File) {
-            // input is a file, read it
-            var reader = new FileReader();
-            reader.onload = function () {
-                this._loadFromData(reader.result, callback);
-            }.bind(this);
-            reader.readAsArrayBuffer(input);
-        } else if (typeof input === "string" || input instanceof String) {
-            // load from URL
-            var xhr = new XMLHttpRequest();
-            xhr.open("GET", input, true);
-            xhr.responseType = "arraybuffer";
-            xhr.onload = function () {
-                if (xhr.status === 200) {
-                    this._loadFromData(xhr.response, callback);
-                } else {
-                    if (callback instanceof Function) {
-                        callback(
-                            "Recieved status code " +
-                                xhr.status +
-                                ", expected 200"
+            while (this.libxmActions.length > 0) {
+                this.libxmActions.shift()();
+            }
+        };
+
+        this.context = null; // XMContext of the loaded module
+        this.moduleData = null; // Int8Array of the loaded module
+        this.xmdata = [];
+        this.timeline = null; // see XMModule.getTimeline
+        this.timelineRows = null; // see indexRows
+        // incremented on every seek, the worklet tags xmdata with it
+        this.seekCount = 0;
+        // getState calls waiting for the worklet, answered in order
+        this.stateRequests = [];
+        // answers the oldest getState call with a "state" message of the
+        // worklet or the worker, which has either the state or the error
+        this._answerStateRequest = function (data) {
+            var request = this.stateRequests.shift();
+            if (request === undefined) return;
+            if (data.error) request.reject(stateError(data.error));
+            else request.resolve(data.state);
+        };
+        // set by XMModule.destroy
+        this.destroyed = false;
+        this.instrumentsNum = null;
+        this.channelsNum = null;
+        // pattern numbers of the order table of the loaded module, read once
+        // because getModuleInfo parses the whole module
+        this.orders = [];
+        this.isModuleLoaded = false;
+        this.maxLoopCount = 0;
+        // set with setTempo, setBPM, setPlaybackRate and setTranspose, they
+        // are kept when another module is loaded
+        this.playbackSettings = {
+            tempo: null,
+            bpm: null,
+            rate: 1,
+            preservePitch: false,
+            transpose: 0,
+        };
+        // set with setQuality, kept when another module is loaded
+        this.quality = { interpolation: null, oversampling: 1 };
+
+        this.listeners = {}; // event type -> array of listeners
+        this.pendingEvents = []; // events that aren't heard yet, by time
+        this.eventTimer = null;
+        this.lastXmd = null; // xmdata the last events were found in
+        // the newest xmdata of the worklet or the worker, see _queryState
+        this.latestXmd = null;
+        this.channelNotes = []; // whether a note is on in each channel
+        this.ended = false;
+
+        // only for internal use, use XMModule.load if you want to load modules
+        // throws an XMParseError if the module couldn't be loaded
+        this._loadFromData = function (data) {
+            var error = null;
+            this.runXmContextAction(
+                function () {
+                    if (this.context !== null) {
+                        this.context.free();
+                        this.isModuleLoaded = false;
+                        this.context = null;
+                    }
+                    if (this.groupContexts !== null) {
+                        this.groupContexts.free();
+                        this.groupContexts = null;
+                    }
+
+                    try {
+                        this.context = new XMContext(
+                            data,
+                            this.sampleRate,
+                            this.quality
                         );
+                        // the worklet or the worker plays the groups itself
+                        if (
+                            this.channelGroups !== null &&
+                            this.engine != "worklet" &&
+                            this.engine != "worker"
+                        )
+                            this.groupContexts = new XMChannelGroups(
+                                this.context.data,
+                                this.sampleRate,
+                                this.channelGroups,
+                                Object.assign({ validate: false }, this.quality)
+                            );
+                        // what was generated for the old module is dropped
+                        this.seekCount++;
+                        this._postToWorklet({
+                            type: "load",
+                            data: this.context.data,
+                            quality: this.quality,
+                            seekCount: this.seekCount,
+                        });
+                    } catch (err) {
+                        if (this.context !== null) this.context.free();
+                        this.context = null;
+                        error = err;
                     }
-                }
+                }.bind(this)
+            );
+
+            if (error !== null) throw error;
+
+            // success
+            this.isModuleLoaded = true;
+            this.moduleData = this.context.data;
+            this.xmdata = [];
+            this.latestXmd = null;
+            this.workerBlocks = [];
+            // scanned now, so getCurrentTime and getDuration don't block
+            // playback the first time they're called
+            this.timeline = libxm.scanTimeline(this.moduleData);
+            this.timelineRows = indexRows(this.timeline);
+            this.clip = false;
+            this.loudness = null;
+            this._normalize();
+
+            if (typeof onxmdataupdate == "function") onxmdataupdate();
+
+            this.instrumentsNum = this.context.instrumentsNum;
+            this.channelsNum = this.context.channelsNum;
+            this.orders = this.context.getModuleInfo().orders;
+            this._resetEvents();
+            this._applyPlaybackSettings();
+            if (this.maxLoopCount > 0)
+                this._callContext("setMaxLoopCount", this.maxLoopCount);
+
+            this.pause();
+            this._requestBlocks();
+            this._emit({ type: "load", time: this.audioContext.currentTime });
+        };
+
+        /** Loads an XM module, or a MOD, S3M or IT module (which is
+         * converted to XM, see XMConvert.convert).
+         * @param {(File|Blob|string|URL|Response|ArrayBuffer|ArrayBufferView)} input -
+         * loads the module from a file, URL, fetch() response or module data.
+         * @param {(Function|Object)} options - a callback<err>, or an object with:
+         *  signal - an AbortSignal that cancels loading
+         *  callback - callback function after module load. It has 1 parameter
+         *  (error) - false if loaded successfully, an XMError if not.
+         *  instrumentBank - load only the instruments of the module, with a
+         *  song that plays nothing, to play them with noteOn
+         *  (see XMFile.emptySong)
+         *  channels - with instrumentBank, the number of channels notes can
+         *  be played on at once (1..32), the channels of the module by default
+         * @return {Promise} resolves when the module is loaded, rejects with
+         * XMNetworkError, XMInputError, XMParseError or XMAbortError. If a
+         * callback is passed, the errors are only reported to the callback.
+         */
+        this.load = function (input, options = {}) {
+            if (typeof options == "function") options = { callback: options };
+            var signal = options.signal || null;
+            var callback = options.callback;
+
+            var promise = libxm.readInput(input, signal).then(
+                function (data) {
+                    if (signal && signal.aborted) throw new XMAbortError();
+                    if (options.instrumentBank) {
+                        // modules that can't be read are left for
+                        // _loadFromData to report
+                        data = XMConvert.convert(data).data || data;
+                        data = XMFile.emptySong(data, options.channels) || data;
+                    }
+                    this._loadFromData(data);
+                }.bind(this)
+            );
+
+            if (callback instanceof Function) {
+                return promise.then(
+                    function () {
+                        callback(false);
+                    },
+                    function (err) {
+                        callback(err);
+                    }
+                );
+            }
+            return promise;
+        }.bind(this);
+
+        // fills an AudioBuffer, and the buffers of the channel groups
+        this.fillBuffer = function (buffer, start, groupBuffers = []) {
+            var l = buffer.getChannelData(0);
+            var r = buffer.getChannelData(1);
+            // clears a part of the buffers
+            var fillSilence = function (off) {
+                [buffer].concat(groupBuffers).forEach(function (b) {
+                    b.getChannelData(0).fill(
+                        0,
+                        off,
+                        off + this.XM_BUFFER_LENGTH
+                    );
+                    b.getChannelData(1).fill(
+                        0,
+                        off,
+                        off + this.XM_BUFFER_LENGTH
+                    );
+                }, this);
             }.bind(this);
-            xhr.onerror = function () {
-                if (callback instanceof Function) {
-                    callback("XHR request error");
+
+            for (
+                var off = 0;
+                off < this.AUDIO_BUFFER_LENGTH;
+                off += this.XM_BUFFER_LENGTH
+            ) {
+                // resumed with a start time that isn't reached yet
+                if ((start + off) / this.sampleRate < this.startTime) {
+                    fillSilence(off);
+                    continue;
                 }
-            };
-            xhr.onabort = function () {
-                if (callback instanceof Function) {
-                    callback("XHR request aborted");
+
+                var block =
+                    this.engine == "worker"
+                        ? this.workerBlocks.shift() || null
+                        : this._generateBlock();
+                // the worker is late, this part stays silent
+                if (block === null) {
+                    fillSilence(off);
+                    continue;
                 }
-            };
-            xhr.send();
-        } else {
-            if (callback instanceof Function) {
-                callback(
-                    'Unknown input type "' +
-                        typeof input +
-                        '", expected File, String or Int8Array'
+                var xmd = block.xmdata;
+                if (this.needsResync) {
+                    this.audioSyncPoint = start + off;
+                    this.xmSyncPoint = xmd.sampleCount - this.XM_BUFFER_LENGTH;
+                    this.needsResync = false;
+                }
+
+                var samples = block.samples;
+                if (xmd.levels.clipped) this.clip = true;
+                if (block.groups.length > 0) {
+                    for (var i = 0; i < groupBuffers.length; ++i) {
+                        var gl = groupBuffers[i].getChannelData(0);
+                        var gr = groupBuffers[i].getChannelData(1);
+                        for (var j = 0; j < this.XM_BUFFER_LENGTH; ++j) {
+                            gl[off + j] = block.groups[i][2 * j];
+                            gr[off + j] = block.groups[i][2 * j + 1];
+                        }
+                    }
+                    // the groups are heard through their own outputs, the
+                    // levels are the ones of their sum
+                    samples = samples.fill(0);
+                }
+                if (typeof this.onfillbuffer == "function") this.onfillbuffer();
+
+                for (var j = 0; j < this.XM_BUFFER_LENGTH; ++j) {
+                    l[off + j] = samples[2 * j];
+                    r[off + j] = samples[2 * j + 1];
+                }
+
+                // the limiter delays what's heard
+                xmd.time = (start + off + block.latency) / this.sampleRate;
+                this._findEvents(xmd);
+
+                this.xmdata.push(xmd);
+                while (this.xmdata.length > this.xmdataLengthLimit)
+                    this.xmdata.shift();
+                if (typeof this.onxmdataupdate == "function")
+                    this.onxmdataupdate();
+            }
+            this._requestBlocks();
+        }.bind(this);
+
+        // generates the next XM_BUFFER_LENGTH samples on this thread, with
+        // the samples of every channel group and the xmdata after them
+        this._generateBlock = function () {
+            var samples;
+            var groups = [];
+            if (this.groupContexts !== null) {
+                groups = this.groupContexts.generateSamples(
+                    this.XM_BUFFER_LENGTH
                 );
+                // only measured, the groups are heard through their outputs
+                samples = this.groupContexts.mixSamples(groups);
+                groups.forEach(function (groupSamples, i) {
+                    this.groupStages[i].process(groupSamples);
+                }, this);
+            } else {
+                samples = this.context.generateSamples(this.XM_BUFFER_LENGTH);
             }
-        }
-    }.bind(this);
+            var levels = this.outputStage.process(samples);
+            var xmd = this._playingContext().getXmdata();
+            xmd.levels = levels;
+            return {
+                samples: samples,
+                groups: groups,
+                xmdata: xmd,
+                latency: this.outputStage.latency,
+            };
+        };
+
+        // blocks generated by the worker that aren't played yet, and the
+        // amount of blocks that were asked for and didn't arrive yet
+        this.workerBlocks = [];
+        this.workerRequested = 0;
+        // the worker is kept this many blocks ahead of what's played
+        this.WORKER_BLOCKS_AHEAD =
+            (2 * this.AUDIO_BUFFER_LENGTH) / this.XM_BUFFER_LENGTH;
+
+        // asks the worker for the blocks that are missing
+        this._requestBlocks = function () {
+            if (this.engine != "worker" || !this.isModuleLoaded) return;
+            var count =
+                this.WORKER_BLOCKS_AHEAD -
+                this.workerBlocks.length -
+                this.workerRequested;
+            if (count <= 0) return;
+            this.workerRequested += count;
+            this._postToWorklet({ type: "generate", count: count });
+        };
+
+        // called when the worker generated the blocks it was asked for
+        this.onWorkerBlocks = function (message) {
+            this.workerRequested -= message.count;
+            // blocks of an old position or module
+            if (message.seekCount === this.seekCount) {
+                this.workerBlocks = this.workerBlocks.concat(message.blocks);
+                if (message.blocks.length > 0)
+                    this.latestXmd =
+                        message.blocks[message.blocks.length - 1].xmdata;
+            }
+            this._requestBlocks();
+        };
+
+        // AudioContext time the buffers that are already queued end at, see
+        // XMModule.getEarliestStartTime
+        this.queuedUntil = 0;
+
+        this.setupSources = function () {
+            var makeSourceGenerator = function (index, start) {
+                return function () {
+                    if (this.destroyed) return;
+                    this.queuedUntil = Math.max(
+                        this.queuedUntil,
+                        (start + this.AUDIO_BUFFER_LENGTH) / this.sampleRate
+                    );
+                    var s = this.audioContext.createBufferSource();
+                    s.onended = makeSourceGenerator(
+                        index,
+                        start + 2 * this.AUDIO_BUFFER_LENGTH
+                    );
+                    s.buffer = this.buffers[index];
+                    s.connect(this.output);
+
+                    // the channel groups start at the same time
+                    var groupSources = this.outputs.map(function (output, i) {
+                        var source = this.audioContext.createBufferSource();
+                        source.buffer = this.groupBuffers[index][i];
+                        source.connect(output);
+                        return source;
+                    }, this);
+                    var groupBuffers = this.groupBuffers[index];
+
+                    if (this.context !== null && this.playing) {
+                        this.runXmContextAction(
+                            function () {
+                                var target =
+                                    this.sampleRate *
+                                        this.audioContext.currentTime -
+                                    this.audioSyncPoint -
+                                    this.LATENCY_COMP;
+                                while (
+                                    this.xmdata.length >= 2 &&
+                                    this.xmdata[0].sampleCount -
+                                        this.xmSyncPoint <
+                                        target &&
+                                    this.xmdata[1].sampleCount -
+                                        this.xmSyncPoint <
+                                        target
+                                ) {
+                                    this.xmdata.shift();
+                                }
+                                if (typeof this.onxmdataupdate == "function")
+                                    this.onxmdataupdate();
+
+                                this.fillBuffer(s.buffer, start, groupBuffers);
+                            }.bind(this)
+                        );
+                    } else {
+                        [s.buffer]
+                            .concat(groupBuffers)
+                            .forEach(function (buffer) {
+                                buffer.getChannelData(0).fill(0);
+                                buffer.getChannelData(1).fill(0);
+                            });
+                    }
+
+                    s.start(start / this.sampleRate);
+                    groupSources.forEach(function (source) {
+                        source.start(start / this.sampleRate);
+                    }, this);
+                    this.sources[index] = [s].concat(groupSources);
+                }.bind(this);
+            }.bind(this);
 
-    this.fillBuffer = function (buffer) {
-        var l = buffer.getChannelData(0);
-        var r = buffer.getChannelData(1);
+            // the buffers start on a grid of AUDIO_BUFFER_LENGTH samples,
+            // so the modules of a shared AudioContext generate their blocks
+            // at the same times (see XMMixer)
+            var t =
+                Math.ceil(
+                    (this.sampleRate * this.audioContext.currentTime +
+                        this.sampleRate) /
+                        this.AUDIO_BUFFER_LENGTH
+                ) * this.AUDIO_BUFFER_LENGTH;
+            this.runXmContextAction(
+                function () {
+                    if (this.context !== null)
+                        this.xmSyncPoint =
+                            this._playingContext().getSampleCount();
+                }.bind(this)
+            );
 
-        for (
-            var off = 0;
-            off < this.AUDIO_BUFFER_LENGTH;
-            off += this.XM_BUFFER_LENGTH
-        ) {
-            Module._xm_generate_samples(
-                this.moduleContext,
-                this.cFloatArray,
-                this.XM_BUFFER_LENGTH
+            makeSourceGenerator(0, t)();
+            makeSourceGenerator(1, t + this.AUDIO_BUFFER_LENGTH)();
+        };
+
+        // the AudioBufferSourceNodes that play each of the two buffers, the
+        // ones that end start the next ones
+        this.sources = [[], []];
+
+        // messages for the worklet that were sent before it was created
+        this.workletMessages = [];
+        this.workletNode = null;
+
+        // sends a message to the AudioWorkletProcessor or the worker, if
+        // there is one
+        this._postToWorklet = function (message) {
+            if (this.workletNode !== null) {
+                this.workletNode.port.postMessage(message);
+            } else if (this.engine == "worker") {
+                this.worker.postMessage(message);
+            } else if (this.engine == "pending") {
+                this.workletMessages.push(message);
+            }
+        };
+
+        // calls an XMContext function on the module context (and on the
+        // worklet's module context, if the worklet is used)
+        this._callContext = function (name, ...args) {
+            // a call that throws here isn't sent, it would throw in the
+            // processor or worker too
+            var result = this.context[name](...args);
+            if (
+                this.groupContexts !== null &&
+                typeof this.groupContexts[name] == "function"
+            )
+                this.groupContexts[name](...args);
+            this._postToWorklet({ type: "call", name: name, args: args });
+            return result;
+        };
+
+        // answers a question about the playing state of the module. The
+        // context on the main thread doesn't play with the worklet or the
+        // worker, then read gets the newest xmdata they sent. The context
+        // answers before they sent any, or if read returns undefined.
+        this._queryState = function (read, name, ...args) {
+            if (
+                (this.engine == "worklet" || this.engine == "worker") &&
+                this.latestXmd !== null
+            ) {
+                var value = read(this.latestXmd);
+                if (value !== undefined) return value;
+            }
+            return this._playingContext()[name](...args);
+        };
+
+        // the context that generates the samples on this thread. With
+        // channel groups, only the groups are played (the module context
+        // would generate the same mix again), so it's the groups then.
+        this._playingContext = function () {
+            return this.groupContexts !== null
+                ? this.groupContexts
+                : this.context;
+        };
+
+        this.setupWorklet = function () {
+            this.engine = "pending";
+            this.audioContext.audioWorklet.addModule(this.workletUrl).then(
+                function () {
+                    if (this.destroyed) return;
+                    // one stereo output, or one for every channel group
+                    var outputsNum = Math.max(1, this.outputs.length);
+                    this.workletNode = new AudioWorkletNode(
+                        this.audioContext,
+                        "jslibxm-processor",
+                        {
+                            numberOfInputs: 0,
+                            numberOfOutputs: outputsNum,
+                            outputChannelCount: new Array(outputsNum).fill(2),
+                            processorOptions: {
+                                xmBufferLength: this.XM_BUFFER_LENGTH,
+                                channelGroups: this.channelGroups,
+                            },
+                        }
+                    );
+                    this.workletNode.port.onmessage = function (event) {
+                        if (event.data.type == "xmdata")
+                            this.onWorkletData(event.data.xmdata);
+                        else if (event.data.type == "state")
+                            this._answerStateRequest(event.data);
+                        else if (event.data.type == "loaded")
+                            this.onEngineLoaded(event.data);
+                    }.bind(this);
+                    if (this.outputs.length == 0) {
+                        this.workletNode.connect(this.output);
+                    } else {
+                        this.outputs.forEach(function (output, i) {
+                            this.workletNode.connect(output, i);
+                        }, this);
+                    }
+                    this.engine = "worklet";
+
+                    // the worklet plays the groups itself
+                    if (this.groupContexts !== null) {
+                        this.groupContexts.free();
+                        this.groupContexts = null;
+                    }
+
+                    this._postToWorklet({
+                        type: "output",
+                        options: this.outputStage.getOptions(),
+                    });
+                    while (this.workletMessages.length > 0) {
+                        this._postToWorklet(this.workletMessages.shift());
+                    }
+                }.bind(this),
+                function (err) {
+                    if (this.destroyed) return;
+                    // no worklet, fill the buffers on the main thread instead
+                    this.workletMessages = [];
+                    this.engine = "scheduler";
+                    this.setupSources();
+                    this._emit({
+                        type: "enginefallback",
+                        time: this.audioContext.currentTime,
+                        from: "worklet",
+                        error: err,
+                    });
+                }.bind(this)
             );
+        };
+
+        this.setupWorker = function (worker) {
+            this.engine = "pending";
+            var fallback = function (err) {
+                // no worker, fill the buffers on the main thread instead
+                if (this.worker !== null) this.worker.terminate();
+                this.worker = null;
+                this.workletMessages = [];
+                this.engine = "scheduler";
+                this.setupSources();
+                // the worker can fail inside the constructor, before any
+                // listener is added
+                Promise.resolve().then(
+                    function () {
+                        if (this.destroyed) return;
+                        this._emit({
+                            type: "enginefallback",
+                            time: this.audioContext.currentTime,
+                            from: "worker",
+                            error: err,
+                        });
+                    }.bind(this)
+                );
+            }.bind(this);
+            try {
+                this.worker =
+                    typeof worker.postMessage == "function"
+                        ? worker
+                        : new Worker(worker);
+            } catch (err) {
+                fallback(err);
+                return;
+            }
+
+            this.worker.onerror = function (event) {
+                if (this.engine == "pending") fallback(event.message);
+            }.bind(this);
+            this.worker.onmessage = function (event) {
+                var data = event.data;
+                if (data.type == "blocks") {
+                    this.onWorkerBlocks(data);
+                } else if (data.type == "state") {
+                    this._answerStateRequest(data);
+                } else if (data.type == "loaded") {
+                    this.onEngineLoaded(data);
+                } else if (data.type == "ready") {
+                    this.engine = "worker";
+                    // the worker plays the groups itself
+                    if (this.groupContexts !== null) {
+                        this.groupContexts.free();
+                        this.groupContexts = null;
+                    }
+                    this._postToWorklet({
+                        type: "output",
+                        options: this.outputStage.getOptions(),
+                    });
+                    while (this.workletMessages.length > 0) {
+                        this._postToWorklet(this.workletMessages.shift());
+                    }
+                    this._requestBlocks();
+                    this.setupSources();
+                }
+            }.bind(this);
+            this.worker.postMessage({
+                type: "init",
+                sampleRate: this.sampleRate,
+                xmBufferLength: this.XM_BUFFER_LENGTH,
+                channelGroups: this.channelGroups,
+            });
+        };
+
+        // called when the worklet or the worker loaded a module, the main
+        // thread has already loaded it, so it can only fail if they run out
+        // of memory
+        this.onEngineLoaded = function (message) {
+            if (!message.error) return;
+            this._emit({
+                type: "error",
+                time: this.audioContext.currentTime,
+                error: new XMParseError(message.error, message.code, "engine"),
+            });
+        };
+
+        // called when the worklet generated a new chunk of samples
+        this.onWorkletData = function (xmd) {
+            // generated before the last seek
+            if (xmd.seekCount !== this.seekCount) return;
+            this.latestXmd = xmd;
+            if (xmd.levels.clipped) this.clip = true;
             if (typeof this.onfillbuffer == "function") this.onfillbuffer();
+            this._findEvents(xmd);
+
+            this.xmdata.push(xmd);
+            while (this.xmdata.length > this.xmdataLengthLimit)
+                this.xmdata.shift();
+
+            // the worklet is ahead of what's being heard by the output latency
+            var target =
+                this.audioContext.currentTime -
+                (this.audioContext.outputLatency ||
+                    this.audioContext.baseLatency ||
+                    0);
+            while (this.xmdata.length >= 2 && this.xmdata[1].time <= target) {
+                this.xmdata.shift();
+            }
+            if (typeof this.onxmdataupdate == "function") this.onxmdataupdate();
+        };
+
+        /** Adds an event listener.
+         * @param type - "load", "row", "order", "loop", "end", "noteon",
+         * "noteoff", "error" (the worklet or the worker couldn't load the
+         * module, see event.error) or "enginefallback" (the worklet or the
+         * worker couldn't be started and the main thread plays instead,
+         * event.from is "worklet" or "worker" and event.error the reason)
+         * @param listener - called with the event when it's heard, the event
+         * has the type and the AudioContext time (event.time) of the sound
+         */
+        this.addEventListener = function (type, listener) {
+            if (!this.listeners[type]) this.listeners[type] = [];
+            if (this.listeners[type].indexOf(listener) == -1)
+                this.listeners[type].push(listener);
+        }.bind(this);
+
+        // Removes an event listener that was added with addEventListener.
+        this.removeEventListener = function (type, listener) {
+            var listeners = this.listeners[type];
+            if (!listeners) return;
+            var index = listeners.indexOf(listener);
+            if (index != -1) listeners.splice(index, 1);
+        }.bind(this);
+
+        this.on = this.addEventListener;
+        this.off = this.removeEventListener;
+
+        // calls the listeners of an event right away
+        this._emit = function (event) {
+            var listeners = this.listeners[event.type];
+            if (!listeners) return;
+            listeners.slice().forEach(function (listener) {
+                listener.call(this, event);
+            }, this);
+        };
+
+        // forgets the events of the old position, after loading or seeking
+        this._resetEvents = function () {
+            this.pendingEvents = [];
+            this.lastXmd = null;
+            this.channelNotes = [];
+            this.ended = false;
+        };
+
+        // finds the events that happened in a generated chunk of samples
+        // and queues them until they are heard
+        this._findEvents = function (xmd) {
+            var last = this.lastXmd;
+            this.lastXmd = xmd;
+
+            var latency =
+                this.audioContext.outputLatency ||
+                this.audioContext.baseLatency ||
+                0;
+            var time = xmd.time + latency;
+            var events = [];
+
+            if (last !== null && xmd.loopCount > last.loopCount) {
+                events.push({
+                    type: "loop",
+                    time: time,
+                    loopCount: xmd.loopCount,
+                });
+            }
+            if (
+                !this.ended &&
+                this.maxLoopCount > 0 &&
+                xmd.loopCount >= this.maxLoopCount
+            ) {
+                this.ended = true;
+                for (var j = 0; j < this.channelNotes.length; ++j) {
+                    if (this.channelNotes[j])
+                        events.push({
+                            type: "noteoff",
+                            time: time,
+                            channel: j + 1,
+                        });
+                }
+                this.channelNotes = [];
+                events.push({ type: "end", time: time });
+            }
+
+            // libxm keeps going silently after the end
+            if (!this.ended) this._findPlaybackEvents(xmd, last, time, events);
+
+            if (events.length == 0) return;
+            Array.prototype.push.apply(this.pendingEvents, events);
+            this._scheduleEvents();
+        };
+
+        // finds the row, order and note events of a chunk
+        this._findPlaybackEvents = function (xmd, last, time, events) {
+            var position = xmd.position;
+            var newRow =
+                last === null ||
+                position.patternIndex !== last.position.patternIndex ||
+                position.row !== last.position.row;
+            if (newRow) {
+                if (
+                    last === null ||
+                    position.patternIndex !== last.position.patternIndex
+                ) {
+                    events.push({
+                        type: "order",
+                        time: time,
+                        patternIndex: position.patternIndex,
+                        pattern: position.pattern,
+                    });
+                }
+                events.push({
+                    type: "row",
+                    time: time,
+                    patternIndex: position.patternIndex,
+                    pattern: position.pattern,
+                    row: position.row,
+                });
+            }
+
+            var rows = this.context.getPattern(position.pattern);
+            var cells = rows ? rows[position.row] : null;
+            for (var j = 0; j < xmd.channels.length; ++j) {
+                var channel = xmd.channels[j];
+                var cell = cells ? cells[j] : null;
+                var noteOff = {
+                    type: "noteoff",
+                    time: time,
+                    channel: j + 1,
+                };
+
+                if (
+                    this.channelNotes[j] &&
+                    (!channel.active ||
+                        (newRow && cell !== null && cell.note === 97))
+                ) {
+                    this.channelNotes[j] = false;
+                    events.push(noteOff);
+                }
 
-            for (var j = 0; j < this.XM_BUFFER_LENGTH; ++j) {
-                l[off + j] =
-                    Module.getValue(this.cFloatArray + 8 * j, "float") *
-                    this.amplification;
-                r[off + j] =
-                    Module.getValue(this.cFloatArray + 8 * j + 4, "float") *
-                    this.amplification;
                 if (
-                    !this.clip &&
-                    (l[j] < -1.0 || l[j] > 1.0 || r[j] < -1.0 || r[j] > 1.0)
+                    channel.active &&
+                    (last === null ||
+                        channel.latestTrigger !==
+                            last.channels[j].latestTrigger)
                 ) {
-                    clip = true;
+                    if (this.channelNotes[j]) events.push(noteOff);
+                    this.channelNotes[j] = true;
+                    events.push({
+                        type: "noteon",
+                        time: time,
+                        channel: j + 1,
+                        note:
+                            cell !== null && cell.note > 0 && cell.note < 97
+                                ? cell.note
+                                : null,
+                        instrument: channel.instrument,
+                        frequency: channel.frequency,
+                        volume: channel.volume,
+                        panning: channel.panning,
+                    });
                 }
             }
+        };
+
+        // emits the events that are heard and waits for the next ones
+        this._scheduleEvents = function () {
+            if (this.eventTimer !== null) clearTimeout(this.eventTimer);
+            this.eventTimer = null;
+
+            var now = this.audioContext.currentTime;
+            while (
+                this.pendingEvents.length > 0 &&
+                this.pendingEvents[0].time <= now
+            ) {
+                this._emit(this.pendingEvents.shift());
+            }
 
-            var xmd = {};
+            if (this.pendingEvents.length > 0) {
+                // the AudioContext clock stops while it's suspended,
+                // so this just checks again later
+                var delay = (this.pendingEvents[0].time - now) * 1000;
+                this.eventTimer = setTimeout(
+                    this._scheduleEvents.bind(this),
+                    Math.max(4, delay)
+                );
+            }
+        };
+
+        // Pauses the module, a shared AudioContext keeps running.
+        this.pause = function () {
+            if (this.ownsAudioContext) this.audioContext.suspend();
+            this.playing = false;
+            this.pausedAt = this.audioContext.currentTime;
+            this._postToWorklet({ type: "pause", paused: true });
+        };
+
+        /** Returns the earliest AudioContext time resume can start the
+         * module at. The AudioWorklet can start right away. The scheduler
+         * and the worker queue two buffers of AUDIO_BUFFER_LENGTH samples
+         * ahead (silent while paused), so they can only start after those,
+         * and a module that's still choosing its engine not before the
+         * first buffer setupSources queues, about a second ahead.
+         */
+        this.getEarliestStartTime = function () {
+            var now = this.audioContext.currentTime;
+            if (this.engine == "worklet") return now;
+            if (this.engine == "pending")
+                return now + 1 + this.AUDIO_BUFFER_LENGTH / this.sampleRate;
+            return Math.max(now, this.queuedUntil);
+        }.bind(this);
 
-            Module._xm_get_position(
-                this.moduleContext,
-                null,
-                null,
-                null,
-                this.cSamplesPtr
+        /** Resumes the module.
+         * @param when - AudioContext time to start playing at, right away
+         * by default. The AudioWorklet starts at that sample if the message
+         * reaches it before then. The scheduler and the worker start at the
+         * first multiple of XM_BUFFER_LENGTH samples from the time that's
+         * not before getEarliestStartTime(), up to 2 * AUDIO_BUFFER_LENGTH
+         * samples later than asked for (see XMMixer, which waits for it).
+         */
+        this.resume = function (when = 0) {
+            if (this.ownsAudioContext) this.audioContext.resume();
+            else if (this.audioContext.state == "suspended")
+                this.audioContext.resume();
+            this.playing = true;
+            this.startTime = when;
+            // no samples were generated while paused
+            this.needsResync = true;
+            this._postToWorklet({
+                type: "pause",
+                paused: false,
+                startTime: when,
+            });
+        };
+
+        // options for libxm.renderToPCM, with the settings of this XMModule
+        this._renderOptions = function (options) {
+            return Object.assign(
+                this.outputStage.getOptions(),
+                this.quality,
+                {
+                    sampleRate: this.sampleRate,
+                    amplification: this.outputStage.gain,
+                },
+                options
             );
-            xmd.sampleCount = Module.getValue(this.cSamplesPtr, "i64");
-            xmd.instruments = [];
-
-            for (var j = 1; j <= this.instrumentsNum; ++j) {
-                xmd.instruments.push({
-                    latestTrigger: Module._xm_get_latest_trigger_of_instrument(
-                        this.moduleContext,
-                        j
-                    ),
-                });
+        };
+
+        /** Renders the loaded module to PCM samples without affecting playback.
+         * @param options - see libxm.renderToPCM, the sample rate, volume,
+         * normalization and limiter of this XMModule are used by default
+         */
+        this.renderToPCM = function (options = {}) {
+            return libxm.renderToPCM(
+                this.moduleData,
+                this._renderOptions(options)
+            );
+        }.bind(this);
+
+        /** Renders the loaded module to a WAV file (ArrayBuffer).
+         * @param options - see libxm.renderToWAV
+         */
+        this.renderToWAV = function (options = {}) {
+            var pcm = this.renderToPCM(options);
+            return libxm.encodeWAV(
+                pcm.channels,
+                pcm.sampleRate,
+                options.bitDepth
+            );
+        }.bind(this);
+
+        /** Renders the loaded module to a WAV file (Blob).
+         * @param options - see libxm.renderToWAV
+         */
+        this.renderToWAVBlob = function (options = {}) {
+            return new Blob([this.renderToWAV(options)], { type: "audio/wav" });
+        }.bind(this);
+
+        /** Renders the loaded module to an AudioBuffer.
+         * @param options - see libxm.renderToPCM
+         * @return {Promise<AudioBuffer>}
+         */
+        this.renderToAudioBuffer = function (options = {}) {
+            if (!this.isModuleLoaded)
+                return Promise.reject(
+                    new XMLifecycleError(
+                        "XMModule.renderToAudioBuffer() needs a loaded module"
+                    )
+                );
+            return libxm.renderToAudioBuffer(
+                this.moduleData,
+                this._renderOptions(options)
+            );
+        }.bind(this);
+
+        /** Returns the last xmdata of the channel.
+         * @note channel numbers start with 1 and end with XMModule.channelsNum
+         * @param channel - channel index
+         * If the channel does not exist, returns null.
+         */
+        this.getLastChannelData = function (channel) {
+            if (
+                this.xmdata.length > 0 &&
+                channel >= 0 &&
+                channel < this.channelsNum
+            ) {
+                return this.xmdata[0].channels[channel];
+            } else return null;
+        };
+
+        /** Returns the last note (not the current) played in channel as a string.
+         * @note use XMModule.getPlayingNoteInChannel if you want to get the current playing note
+         * @note if no note was playing/channel does not exist, will return "---"
+         * @note channel numbers start with 1 and end with XMModule.channelsNum
+         * @param channel - channel number
+         */
+        this.getLastNoteInChannel = function (channel) {
+            if (
+                this.xmdata.length > 0 &&
+                channel >= 0 &&
+                channel < this.channelsNum
+            ) {
+                var channelData = this.getLastChannelData(channel);
+                if (channelData) {
+                    var note = libxm.getNoteForFreq(channelData.frequency);
+                    if (note + "" == "NaN") note = "---";
+                    return note;
+                } else return "---";
+            } else {
+                return "---";
             }
+        }.bind(this);
 
-            xmd.channels = [];
-            for (var j = 1; j <= this.channelsNum; ++j) {
-                xmd.channels.push({
-                    active: this.isChannelActive(j),
-                    latestTrigger: this.getLatestTriggerOfChannel(j),
-                    volume: this.getVolumeOfChannel(j),
-                    panning: this.getPanningOfChannel(j),
-                    frequency: this.getFrequencyOfChannel(j),
-                    instrument: this.getInstrumentOfChannel,
+        /** Returns the position that is currently heard.
+         * @return {patternIndex, pattern, row, tick} - patternIndex is the
+         * index in the order table, pattern is the pattern number
+         * If no module is loaded, returns null.
+         */
+        this.getPlayingPosition = function () {
+            if (!this.isModuleLoaded) return null;
+            if (this.xmdata.length > 0)
+                return Object.assign({}, this.xmdata[0].position);
+            return this._playingContext().getPlayingPosition();
+        }.bind(this);
+
+        /** Returns the decoded notes of a pattern, see XMFile.readPattern.
+         * @param pattern - pattern number, defaults to the playing pattern
+         * @return {Array} rows of cells, or null if the pattern doesn't exist
+         */
+        this.getPattern = function (pattern) {
+            if (!this.isModuleLoaded) return null;
+            if (pattern === undefined)
+                pattern = this.getPlayingPosition().pattern;
+            return this.context.getPattern(pattern);
+        }.bind(this);
+
+        /** Sets the volume of the song (0..100)
+         * @note the actual volume will update when the next buffer is filled
+         * @param volume - new song volume (amplification)
+         */
+        this.setVolume = function (volume) {
+            var clampedVolume = Math.max(0, Math.min(volume, 100));
+            this.amplification = clampedVolume / 100;
+            this._setOutputOptions({});
+        }.bind(this);
+
+        // changes the options of the output stages, the gain is always the
+        // volume times the normalization gain
+        this._setOutputOptions = function (options) {
+            options = Object.assign(this.outputStage.getOptions(), options, {
+                gain: this.amplification * this.normalization.gain,
+            });
+            [this.outputStage]
+                .concat(this.groupStages)
+                .forEach(function (stage) {
+                    stage.setOptions(options);
                 });
+            this._postToWorklet({ type: "output", options: options });
+        };
+
+        /** Sets how the peaks of the output are limited.
+         * @param limiter - "none" (the samples are clipped by the browser),
+         * "softclip" to round off the peaks, or "limiter" for a look-ahead
+         * limiter that turns the volume down shortly before a peak
+         * @param options - ceiling, lookahead and release, see
+         * XMOutputStage.setOptions
+         */
+        this.setLimiter = function (limiter, options = {}) {
+            this._setOutputOptions(
+                Object.assign({}, options, { limiter: limiter })
+            );
+        }.bind(this);
+
+        /** Measures the loudness of the loaded module.
+         * @param options - see libxm.measureLoudness
+         * @return {integrated, peak, duration} - see libxm.measureLoudness,
+         * or null if no module is loaded
+         */
+        this.measureLoudness = function (options = {}) {
+            if (!this.isModuleLoaded) return null;
+            this.loudness = libxm.measureLoudness(
+                this.moduleData,
+                Object.assign({ sampleRate: LOUDNESS_SAMPLE_RATE }, options)
+            );
+            return this.loudness;
+        }.bind(this);
+
+        /** Brings every module to the same loudness. The loudness of a
+         * module is measured when it's loaded (this blocks for a moment, see
+         * libxm.measureLoudness), use a limiter if the peaks get too loud.
+         * @param target - loudness in LUFS (like -16), null to stop
+         * normalizing
+         */
+        this.setNormalization = function (target) {
+            this.normalization.target = target;
+            this._normalize();
+        }.bind(this);
+
+        // updates the normalization gain for the loaded module
+        this._normalize = function () {
+            var gain = 1.0;
+            if (this.normalization.target !== null && this.isModuleLoaded) {
+                if (this.loudness === null) this.measureLoudness();
+                gain = libxm.getNormalizationGain(
+                    this.loudness,
+                    this.normalization.target
+                );
             }
+            this.normalization.gain = gain;
+            this._setOutputOptions({});
+        };
+
+        /** Sets the sound quality, the settings that aren't passed are kept.
+         * See libxm.getQualityModes for what this build of libxm supports.
+         * @param quality - an object with any of:
+         *  interpolation - "nearest" (the cheapest) or "linear" (less
+         *  aliasing), null for the default of the build
+         *  oversampling - 1 (the default), 2, 4 or 8: libxm mixes at this
+         *  many times the sample rate and what's above the sample rate is
+         *  filtered out. This removes most of the aliasing that's left, and
+         *  costs about this many times more CPU.
+         */
+        this.setQuality = function (quality) {
+            var modes = libxm.getQualityModes();
+            if (
+                quality.interpolation !== undefined &&
+                quality.interpolation !== null &&
+                modes.interpolation.indexOf(quality.interpolation) == -1
+            )
+                throw new RangeError(
+                    'Interpolation "' +
+                        quality.interpolation +
+                        '" is not available'
+                );
+            if (
+                quality.oversampling !== undefined &&
+                modes.oversampling.indexOf(quality.oversampling) == -1
+            )
+                throw new RangeError(
+                    "Oversampling " + quality.oversampling + " is not available"
+                );
 
-            this.xmdata.push(xmd);
-            while (this.xmdata.length > this.xmdataLengthLimit)
-                this.xmdata.shift();
+            ["interpolation", "oversampling"].forEach(function (name) {
+                if (quality[name] !== undefined)
+                    this.quality[name] = quality[name];
+            }, this);
+            if (this.isModuleLoaded) {
+                this._callContext(
+                    "setInterpolation",
+                    this.quality.interpolation
+                );
+                this._callContext("setOversampling", this.quality.oversampling);
+            }
+        }.bind(this);
+
+        /** Returns the sound quality settings.
+         * @return {interpolation, oversampling, ramping} - ramping tells if
+         * libxm was built with volume ramping (null if the build doesn't tell)
+         */
+        this.getQuality = function () {
+            var modes = libxm.getQualityModes();
+            return {
+                interpolation:
+                    this.quality.interpolation === null
+                        ? modes.defaultInterpolation
+                        : this.quality.interpolation,
+                oversampling: this.quality.oversampling,
+                ramping: modes.ramping,
+            };
+        }.bind(this);
+
+        /** Returns the levels of what is heard right now.
+         * @return {peak, rms, gainReduction, clipped} - see
+         * XMOutputStage.process, or null if nothing was played yet
+         */
+        this.getLevels = function () {
+            if (this.xmdata.length == 0 || !this.xmdata[0].levels) return null;
+            return this.xmdata[0].levels;
+        }.bind(this);
+
+        // passes the playback settings to the contexts
+        this._applyPlaybackSettings = function () {
+            var settings = this.playbackSettings;
+            this._callContext("setTempo", settings.tempo);
+            this._callContext("setBPM", settings.bpm);
+            this._callContext(
+                "setTempoMultiplier",
+                settings.preservePitch ? settings.rate : 1
+            );
+            this._callContext(
+                "setRate",
+                settings.preservePitch ? 1 : settings.rate
+            );
+            this._callContext("transpose", settings.transpose);
+        };
+
+        // changes the playback settings, they are kept only if the contexts
+        // take them (a lib/libxm.js without the speed functions throws an
+        // XMUnsupportedError)
+        this._changePlaybackSettings = function (changes) {
+            var previous = Object.assign({}, this.playbackSettings);
+            Object.assign(this.playbackSettings, changes);
+            if (!this.isModuleLoaded) return;
+            try {
+                this._applyPlaybackSettings();
+            } catch (err) {
+                this.playbackSettings = previous;
+                this._applyPlaybackSettings();
+                throw err;
+            }
+        };
+
+        /** Sets the tempo (ticks per row), overriding the Fxx effects of
+         * the song.
+         * @note the override is written again after every tick, the tick
+         * of an Fxx effect still has the length the effect sets
+         * @param tempo - ticks per row (1..65535), null to follow the song
+         * again
+         */
+        this.setTempo = function (tempo) {
+            if (tempo !== null && !(tempo >= 1 && tempo <= 65535))
+                throw new RangeError("Tempo " + tempo + " is out of range");
+            this._changePlaybackSettings({
+                tempo: tempo === null ? null : tempo | 0,
+            });
+        }.bind(this);
+
+        /** Sets the BPM, overriding the Fxx effects of the song.
+         * @note see setTempo
+         * @param bpm - beats per minute (1..65535), null to follow the song
+         * again
+         */
+        this.setBPM = function (bpm) {
+            if (bpm !== null && !(bpm >= 1 && bpm <= 65535))
+                throw new RangeError("BPM " + bpm + " is out of range");
+            this._changePlaybackSettings({
+                bpm: bpm === null ? null : Math.round(bpm),
+            });
+        }.bind(this);
+
+        /** Changes the playback speed.
+         * @param rate - speed multiplier, 1 for the normal speed
+         * @param preservePitch - if true, only the tempo changes (by
+         * multiplying the BPM, libxm plays the whole BPMs around the result
+         * in turns). If false (by default), the pitch changes with the
+         * speed, like a tape.
+         * @note the time of the xmdata and events is always the time of the
+         * AudioContext, but getTimeline, getDuration and seekToTime are
+         * about the song at its normal speed
+         */
+        this.setPlaybackRate = function (rate, preservePitch = false) {
+            if (!(rate >= 0.0625 && rate <= 16))
+                throw new RangeError(
+                    "Playback rate " + rate + " is out of range"
+                );
+            this._changePlaybackSettings({
+                rate: rate,
+                preservePitch: !!preservePitch,
+            });
+        }.bind(this);
+
+        /** Transposes the song.
+         * @note notes that are already playing keep their pitch
+         * @param semitones - amount of semitones relative to the original
+         * pitch (-48..48), 0 to play it untransposed
+         */
+        this.setTranspose = function (semitones) {
+            if (!(semitones >= -48 && semitones <= 48))
+                throw new RangeError(
+                    "Transposition " + semitones + " is out of range"
+                );
+            this._changePlaybackSettings({ transpose: Math.round(semitones) });
+        }.bind(this);
+
+        // Returns the tempo, BPM, playback rate and transposition settings.
+        this.getPlaybackSettings = function () {
+            return Object.assign({}, this.playbackSettings);
+        }.bind(this);
+
+        /** Changes the current playback position.
+         * @param pot - pattern order index
+         * @param row - row of the pattern (0 by default)
+         * @param tick - tick of the row to jump to (0 by default), the notes
+         * of the row are only played when it's 0
+         * @note the tempo and BPM aren't changed to what they are at the new
+         * position. Throws an XMUnsupportedError if lib/libxm.js was built
+         * without xm_seek.
+         */
+        this.seek = function (pot, row = 0, tick = 0) {
+            if (!this.isModuleLoaded) return;
+            if (pot < 0 || pot >= this.context.getModuleLength())
+                throw new RangeError(
+                    "Pattern order index " + pot + " is out of range"
+                );
+            var pattern = this.orders[pot];
+            if (row < 0 || row >= this.context.getNumberOfRows(pattern))
+                throw new RangeError("Row " + row + " is out of range");
+
+            this.seekCount++;
+            this.runXmContextAction(
+                function () {
+                    this.context.seek(pot, row, tick);
+                    if (this.groupContexts !== null)
+                        this.groupContexts.seek(pot, row, tick);
+                    // the old xmdata and sync points are for the old position
+                    this.xmdata = [];
+                    this.latestXmd = null;
+                    this.workerBlocks = [];
+                    this.needsResync = true;
+                    this._resetEvents();
+                }.bind(this)
+            );
+            // after the context here, so a seek that throws isn't sent
+            this._postToWorklet({
+                type: "seek",
+                seekCount: this.seekCount,
+                args: [pot, row, tick],
+            });
+            this._requestBlocks();
             if (typeof this.onxmdataupdate == "function") this.onxmdataupdate();
-        }
-    }.bind(this);
-
-    this.setupSources = function () {
-        var makeSourceGenerator = function (index, start) {
-            return function () {
-                var s = this.audioContext.createBufferSource();
-                s.onended = makeSourceGenerator(
-                    index,
-                    start + 2 * this.AUDIO_BUFFER_LENGTH
+        }.bind(this);
+
+        /** Saves the playback state of the module, to continue from it
+         * later with setState (see XMContext.getState). The state is the
+         * one of the generated samples, which are ahead of what's heard:
+         * by about 5 ms with the AudioWorklet, by up to
+         * 4 * AUDIO_BUFFER_LENGTH samples with the worker and by up to
+         * 2 * AUDIO_BUFFER_LENGTH samples with neither.
+         * @return {Promise<ArrayBuffer>} the state, rejects with an
+         * XMLifecycleError if no module is loaded and with the error of
+         * XMContext.getState if it fails (in the worklet or the worker too)
+         */
+        this.getState = function () {
+            if (!this.isModuleLoaded)
+                return Promise.reject(
+                    new XMLifecycleError(
+                        "XMModule.getState() needs a loaded module"
+                    )
                 );
-                s.buffer = this.buffers[index];
-                s.connect(this.audioContext.destination);
-
-                if (this.moduleContext !== null) {
-                    this.runXmContextAction(
-                        function () {
-                            if (this.needsResync) {
-                                this.audioSyncPoint = start;
-                                Module._xm_get_position(
-                                    this.moduleContext,
-                                    null,
-                                    null,
-                                    null,
-                                    this.cSamplesPtr
-                                );
-                                this.xmSyncPoint = Module.getValue(
-                                    this.cSamplesPtr,
-                                    "i64"
-                                );
-                                this.needsResync = false;
-                            }
-
-                            var target =
-                                this.sampleRate *
-                                    this.audioContext.currentTime -
-                                this.audioSyncPoint -
-                                this.LATENCY_COMP;
-                            while (
-                                this.xmdata.length >= 2 &&
-                                this.xmdata[0].sampleCount - this.xmSyncPoint <
-                                    target &&
-                                this.xmdata[1].sampleCount - this.xmSyncPoint <
-                                    target
-                            ) {
-                                this.xmdata.shift();
-                            }
-                            if (typeof this.onxmdataupdate == "function")
-                                this.onxmdataupdate();
-
-                            this.fillBuffer(s.buffer);
-                        }.bind(this)
-                    );
-                } else {
-                    var l = s.buffer.getChannelData(0);
-                    var r = s.buffer.getChannelData(1);
-                    for (var i = 0; i < this.AUDIO_BUFFER_LENGTH; ++i) {
-                        l[i] = r[i] = 0.0;
-                    }
-                }
+            if (this.engine != "worklet" && this.engine != "worker")
+                return new Promise(
+                    function (resolve) {
+                        resolve(this._playingContext().getState());
+                    }.bind(this)
+                );
+            return new Promise(
+                function (resolve, reject) {
+                    this.stateRequests.push({
+                        resolve: resolve,
+                        reject: reject,
+                    });
+                    this._postToWorklet({ type: "getState" });
+                }.bind(this)
+            );
+        }.bind(this);
 
-                s.start(start / this.sampleRate);
-            }.bind(this);
+        /** Continues playing from a state saved with getState, of the same
+         * module (and build of jslibxm). Settings like the muted channels,
+         * the speed set with setTempo or the quality are kept.
+         * Throws an XMStateError if the state doesn't fit the module.
+         * @param {(ArrayBuffer|ArrayBufferView)} state
+         */
+        this.setState = function (state) {
+            this.runXmContextAction(
+                function () {
+                    this.context.setState(state);
+                    if (this.groupContexts !== null)
+                        this.groupContexts.setState(state);
+                    // the old xmdata and sync points are for the old position
+                    this.xmdata = [];
+                    this.latestXmd = null;
+                    this.workerBlocks = [];
+                    this.needsResync = true;
+                    this._resetEvents();
+                }.bind(this)
+            );
+            this.seekCount++;
+            this._postToWorklet({
+                type: "setState",
+                seekCount: this.seekCount,
+                state: state,
+            });
+            this._requestBlocks();
+            if (typeof this.onxmdataupdate == "function") this.onxmdataupdate();
+        }.bind(this);
+
+        /** Returns the loaded module as a document that can be edited, see
+         * XMFile.readDocument. Apply the changes with XMModule.reload.
+         */
+        this.getDocument = function () {
+            return XMFile.readDocument(this.moduleData);
+        }.bind(this);
+
+        /** Loads an edited version of the loaded module, and continues from
+         * the row that is heard (from the start if the song doesn't have that
+         * row anymore). What was generated but not heard yet is generated
+         * again from the new module. The settings are kept, like with load.
+         * Throws an XMParseError if the module can't be loaded, and a
+         * RangeError if the document can't be written (see
+         * XMFile.writeDocument).
+         * @param {(Object|ArrayBuffer|ArrayBufferView)} module - a document
+         * of XMModule.getDocument, or module data
+         */
+        this.reload = function (module) {
+            var data =
+                ArrayBuffer.isView(module) || module instanceof ArrayBuffer
+                    ? module
+                    : XMFile.writeDocument(module);
+            var position = this.getPlayingPosition();
+            var playing = this.playing;
+            this._loadFromData(data);
+
+            var orders = this.orders;
+            if (
+                position.patternIndex < orders.length &&
+                position.row <
+                    this.context.getNumberOfRows(orders[position.patternIndex])
+            )
+                this.seek(position.patternIndex, position.row, position.tick);
+            if (playing) this.resume();
         }.bind(this);
 
-        var t =
-            this.sampleRate * this.audioContext.currentTime + this.sampleRate;
-        this.runXmContextAction(function () {
-            Module._xm_get_position(
-                this.moduleContext,
-                null,
-                null,
-                null,
-                this.cSamplesPtr
+        /** Jumps to the row that is playing at a time of the song.
+         * @param seconds - time from the start of the song
+         * @param exact - also skip the part of the row before the time, so
+         * the song continues right there (false by default). The skipped
+         * samples are generated without being played, the row times are
+         * precise to a millisecond.
+         * @return the time that was jumped to: the time of the row, or
+         * seconds if exact is set
+         */
+        this.seekToTime = function (seconds, exact = false) {
+            if (!this.isModuleLoaded) return 0;
+            var rows = this.getTimeline().rows;
+            var lo = lastAtTime(rows, seconds);
+
+            this.seek(rows[lo].patternIndex, rows[lo].row, 0);
+            if (!exact || seconds <= rows[lo].time) return rows[lo].time;
+            var skipped = Math.round(
+                (seconds - rows[lo].time) * this.sampleRate
             );
-            this.xmSyncPoint = Module.getValue(this.cSamplesPtr, "i64");
-        });
+            if (skipped > 0) this._callContext("generateSamples", skipped);
+            return seconds;
+        }.bind(this);
 
-        makeSourceGenerator(0, t)();
-        makeSourceGenerator(1, t + this.AUDIO_BUFFER_LENGTH)();
-    };
+        /** Returns the timeline of the loaded module, see libxm.scanTimeline.
+         * It's scanned when the module is loaded.
+         */
+        this.getTimeline = function () {
+            if (!this.isModuleLoaded) return null;
+            return this.timeline;
+        }.bind(this);
 
-    this.pause = function () {
-        this.audioContext.suspend();
-        this.playing = false;
-    };
+        // Returns the length of the song in seconds, until it loops.
+        this.getDuration = function () {
+            if (!this.isModuleLoaded) return 0;
+            return this.getTimeline().duration;
+        }.bind(this);
 
-    this.resume = function () {
-        this.audioContext.resume();
-        this.playing = true;
-    };
+        /** Returns the time of the song that is heard, for progress bars
+         * (the remaining time is getDuration() minus this). It's the time of
+         * the song at its normal speed, like getDuration: with
+         * setPlaybackRate(2) it goes up by 2 seconds every second. After the
+         * song looped, it's the time in the part that loops. A row that's
+         * played more than once (with pattern loops or jumps) gives the time
+         * it's first played at.
+         * @return time from the start of the song in seconds, null if no
+         * module is loaded or the row isn't on the timeline
+         */
+        this.getCurrentTime = function () {
+            if (!this.isModuleLoaded) return null;
+            // the xmdata is of the end of its block, the newest one that was
+            // heard is used (the older ones are only dropped when the next
+            // buffer is filled)
+            var latency =
+                this.audioContext.outputLatency ||
+                this.audioContext.baseLatency ||
+                0;
+            var blockLength = this.XM_BUFFER_LENGTH / this.sampleRate;
+            // a shared AudioContext keeps running while the module is paused
+            var now = this.playing
+                ? this.audioContext.currentTime
+                : this.pausedAt;
+            var xmd =
+                this.xmdata.length > 0
+                    ? this.xmdata[
+                          lastAtTime(this.xmdata, now - latency - blockLength)
+                      ]
+                    : null;
+            var position =
+                xmd !== null
+                    ? xmd.position
+                    : this._playingContext().getPlayingPosition();
+            var timeline = this.getTimeline();
+            var row = this.timelineRows.get(
+                position.patternIndex * 256 + position.row
+            );
+            if (row === undefined) return null;
+
+            // a tick is 2.5 / BPM seconds, with the speed the row plays at
+            var speed =
+                timeline.speedChanges[
+                    lastAtTime(timeline.speedChanges, row.time)
+                ];
+            var tickLength = 2.5 / speed.bpm;
+            if (xmd === null) return row.time + position.tick * tickLength;
+
+            // the ticks are played at the speed of the playback settings,
+            // setTempo changes how many of them a row has
+            var settings = this.playbackSettings;
+            var tempo = settings.tempo === null ? speed.tempo : settings.tempo;
+            var bpm = settings.bpm === null ? speed.bpm : settings.bpm;
+            var songSpeed = (settings.rate * bpm) / speed.bpm;
+            // how long ago the end of the block was heard (negative while
+            // the block is heard)
+            var sinceEnd = now - (xmd.time + latency + blockLength);
+            if (!this.playing) sinceEnd = 0;
+
+            var rowLength = speed.tempo * tickLength;
+            var time =
+                (xmd.rowTicks * rowLength) / tempo + sinceEnd * songSpeed;
+            return row.time + Math.max(0, Math.min(time, rowLength));
+        }.bind(this);
 
-    /** Returns the last xmdata of the channel.
-     * @note channel numbers start with 1 and end with XMModule.channelsNum
-     * @param channel - channel index
-     * If the channel does not exist, returns null.
-     */
-    this.getLastChannelData = function (channel) {
-        if (
-            this.xmdata.length > 0 &&
-            channel >= 0 &&
-            channel < this.channelsNum
-        ) {
-            return this.xmdata[0].channels[channel];
-        } else return null;
-    };
+        // Returns the module name.
+        this.getModuleName = function () {
+            return this.context.getModuleName();
+        }.bind(this);
 
-    /** Returns the last note (not the current) played in channel as a string.
-     * @note use XMModule.getPlayingNoteInChannel if you want to get the current playing note
-     * @note if no note was playing/channel does not exist, will return "---"
-     * @note channel numbers start with 1 and end with XMModule.channelsNum
-     * @param channel - channel number
-     */
-    this.getLastNoteInChannel = function (channel) {
-        if (
-            this.xmdata.length > 0 &&
-            channel >= 0 &&
-            channel < this.channelsNum
-        ) {
-            var channelData = this.getLastChannelData(channel);
-            if (channelData) {
-                var note = libxm.getNoteForFreq(channelData.frequency);
-                if (note + "" == "NaN") note = "---";
-                return note;
-            } else return "---";
-        } else {
-            return "---";
-        }
-    }.bind(this);
+        // Returns the tracker name.
+        this.getTrackerName = function () {
+            return this.context.getTrackerName();
+        }.bind(this);
 
-    /** Sets the volume of the song (0..100)
-     * @note the actual volume will update when the next buffer is filled
-     * @param volume - new song volume (amplification)
-     */
-    this.setVolume = function (volume) {
-        var clampedVolume = Math.max(0, Math.min(volume, 100));
-        this.amplification = clampedVolume / 100;
-    }.bind(this);
-
-    /** Changes the current playback position.
-     * @param pot - pattern order index
-     * @param row - row of the pattern
-     * @param tick - tick of the row to jump to
-     * Warning: this can be buggy, don't expect miracles
-     */
-    this.seek = function (pot, row, tick) {
-        Module._xm_seek(this.moduleContext, pot, row, tick);
-    }.bind(this);
-
-    // Returns the module name.
-    this.getModuleName = function () {
-        return Module._xm_get_module_name(this.moduleContext);
-    }.bind(this);
-
-    // Returns the tracker name.
-    this.getTrackerName = function () {
-        return Module._xm_get_tracker_name(this.moduleContext);
-    }.bind(this);
-
-    /** Sets the maximum amount of times the module can loop.
-     * @param loopCount - amount of times the module can loop.
-     * Use 0 if you want the module to loop infinitely.
-     */
-    this.setMaxLoopCount = function (loopCount) {
-        Module._xm_set_max_loop_count(this.moduleContext, loopCount);
-    }.bind(this);
+        /** Returns the metadata of the loaded module: names, the order table,
+         * patterns, instruments with their envelopes, vibrato and samples,
+         * and the initial tempo and BPM. See "Module info" in the README.
+         */
+        this.getModuleInfo = function () {
+            return this.context.getModuleInfo();
+        }.bind(this);
 
-    /** Returns the loop count of the currently playing module.
-     * This will return 0 if the module is playing for the first time,
-     * will return 1 when the module is playing for the second time, etc.
-     */
-    this.getLoopCount = function () {
-        return Module._xm_get_loop_count(this.moduleContext);
-    }.bind(this);
-
-    /** Mutes or unmutes a channel
-     * @note channel numbers start with 1 and end with XMModule.channelsNum
-     * @param channelNum - channel number
-     * @param doMute - true if you want to mute the channel, false if unmute
-     * @return Whether the channel was muted.
-     */
-    this.muteChannel = function (channelNum, doMute) {
-        return Module._xm_mute_channel(this.moduleContext, channelNum, doMute);
-    }.bind(this);
-
-    /** Mutes or unmutes an instrument
-     * @note instrument numbers start with 1 and end with XMModule.instrumentsNum
-     * @param instrumentNum - instrument number
-     * @param doMute - true if you want to mute the instrument, false if unmute
-     * @return Whether the instrument was muted.
-     */
-    this.muteChannel = function (instrumentNum, doMute) {
-        return Module._xm_mute_instrument(
-            this.moduleContext,
-            instrumentNum,
-            doMute
-        );
-    }.bind(this);
+        /** Sets the maximum amount of times the module can loop, it's kept
+         * when another module is loaded.
+         * @param loopCount - amount of times the module can loop.
+         * Use 0 if you want the module to loop infinitely.
+         */
+        this.setMaxLoopCount = function (loopCount) {
+            this.maxLoopCount = loopCount;
+            if (this.isModuleLoaded)
+                this._callContext("setMaxLoopCount", loopCount);
+        }.bind(this);
 
-    // returns the module length in patterns
-    this.getModuleLength = function () {
-        return Module._xm_get_module_length(this.moduleContext);
-    }.bind(this);
+        /** Returns the loop count of the currently playing module.
+         * This will return 0 if the module is playing for the first time,
+         * will return 1 when the module is playing for the second time, etc.
+         */
+        this.getLoopCount = function () {
+            return this._queryState(function (xmd) {
+                return xmd.loopCount;
+            }, "getLoopCount");
+        }.bind(this);
 
-    // if you want to access the amount of instruments/channels,
-    // just use XMModule.channelsNum and XMModule.instrumentsNum
+        /** Mutes or unmutes a channel
+         * @note channel numbers start with 1 and end with XMModule.channelsNum
+         * @param channelNum - channel number
+         * @param doMute - true if you want to mute the channel, false if unmute
+         * @return Whether the channel was muted.
+         */
+        this.muteChannel = function (channelNum, doMute) {
+            return this._callContext("muteChannel", channelNum, doMute);
+        }.bind(this);
 
-    // returns the number of patterns
-    this.getNumberOfPatterns = function () {
-        return Module._xm_get_number_of_patterns(this.moduleContext);
-    }.bind(this);
+        /** Mutes or unmutes an instrument
+         * @note instrument numbers start with 1 and end with XMModule.instrumentsNum
+         * @param instrumentNum - instrument number
+         * @param doMute - true if you want to mute the instrument, false if unmute
+         * @return Whether the instrument was muted.
+         */
+        this.muteInstrument = function (instrumentNum, doMute) {
+            return this._callContext("muteInstrument", instrumentNum, doMute);
+        }.bind(this);
 
-    /** Get the number of rows of a pattern.
-     * @note Pattern numbers go from 0 to
-     * XMModule.getNumberOfPatterns(...)-1.
-     * @param patternNum - pattern number, read note
-     */
-    this.getNumberOfRows = function (patternNum) {
-        return Module._xm_get_number_of_rows(this.moduleContext, patternNum);
-    }.bind(this);
-
-    /** Get the number of samples of an instrument.
-     *
-     * @note Instrument numbers go from 1 to
-     * XMModule.instrumentsNum
-     * @param instrumentNum - instrument number, read note
-     */
-    this.getInstrumentSamplesAmount = function (instrumentNum) {
-        return Module._xm_get_number_of_samples(
-            this.moduleContext,
-            instrumentNum
-        );
-    }.bind(this);
+        /** Plays a note of an instrument on a channel, over what the module
+         * plays. The note is released with noteOff, or cut when the pattern
+         * plays another note on the channel. Load the module with
+         * instrumentBank to play the instruments without the song.
+         * @note The note is heard after the samples that are already
+         * generated: about 5 ms later with the AudioWorklet, up to
+         * 4 * AUDIO_BUFFER_LENGTH samples later with the worker and up to
+         * 2 * AUDIO_BUFFER_LENGTH samples later with neither.
+         * @param channel - channel number (1..XMModule.channelsNum)
+         * @param note - 1 (C-0) to 96 (B-7), 49 is C-4
+         * @param instrument - instrument number (1..XMModule.instrumentsNum)
+         * @param volume - 0..64, the volume of the sample if not given
+         */
+        this.noteOn = function (channel, note, instrument, volume = null) {
+            checkNumber("Channel", channel, 1, this.channelsNum);
+            checkNumber("Note", note, 1, 96);
+            checkNumber("Instrument", instrument, 1, this.instrumentsNum);
+            if (volume !== null) checkNumber("Volume", volume, 0, 64);
+            this._callContext("noteOn", channel, note, instrument, volume);
+        }.bind(this);
 
-    /** Get the latest time (in number of generated samples) when a
-     * particular instrument was triggered in any channel.
-     *
-     * @note Instrument numbers go from 1 to
-     * XMModule.instrumentsNum
-     */
-    this.getLatestTriggerOfInstrument = function (channelNum) {
-        return Module._xm_get_latest_trigger_of_instrument(
-            this.moduleContext,
-            instrumentNum
-        );
-    }.bind(this);
-
-    /** Get the latest time (in number of generated samples) when a
-     * particular sample was triggered in any channel.
-     *
-     * @note Instrument numbers go from 1 to
-     * XMModule.instrumentsNum
-     *
-     * @note Sample numbers go from 0 to
-     * XMModule.getInstrumentSamplesAmount(...,instrumentNum)-1.
-     */
-    this.xm_get_latest_trigger_of_sample = function (instrumentNum, sampleNum) {
-        return Module._xm_get_latest_trigger_of_sample(
-            this.moduleContext,
+        /** Releases the note played on a channel, its instrument's envelopes
+         * fade it out.
+         * @param channel - channel number (1..XMModule.channelsNum)
+         */
+        this.noteOff = function (channel) {
+            checkNumber("Channel", channel, 1, this.channelsNum);
+            this._callContext("noteOff", channel);
+        }.bind(this);
+
+        /** Returns an instrument of the loaded module without its sample
+         * data, in a form that can be saved as JSON, see XMFile.readInstrument.
+         * @param instrumentNum - instrument number (1..XMModule.instrumentsNum)
+         */
+        this.getInstrument = function (instrumentNum) {
+            return XMFile.readInstrument(this.moduleData, instrumentNum);
+        }.bind(this);
+
+        /** Exports a sample of the loaded module as a WAV file, see
+         * libxm.sampleToWAV.
+         * @param instrumentNum - instrument number (1..XMModule.instrumentsNum)
+         * @param sampleNum - index of the sample in the instrument
+         * @return {ArrayBuffer} the WAV file, null if there's no such sample
+         */
+        this.sampleToWAV = function (instrumentNum, sampleNum) {
+            return libxm.sampleToWAV(this.moduleData, instrumentNum, sampleNum);
+        }.bind(this);
+
+        /** Renders one note of an instrument of the loaded module, without
+         * affecting playback.
+         * @param instrumentNum - instrument number (1..XMModule.instrumentsNum)
+         * @param options - see libxm.renderInstrument, the sample rate of this
+         * XMModule is used by default
+         * @return {sampleRate, length, channels}
+         */
+        this.renderInstrument = function (instrumentNum, options = {}) {
+            return libxm.renderInstrument(
+                this.moduleData,
+                instrumentNum,
+                Object.assign({ sampleRate: this.sampleRate }, options)
+            );
+        }.bind(this);
+
+        // returns the module length in patterns
+        this.getModuleLength = function () {
+            return this.context.getModuleLength();
+        }.bind(this);
+
+        // if you want to access the amount of instruments/channels,
+        // just use XMModule.channelsNum and XMModule.instrumentsNum
+
+        // returns the number of patterns
+        this.getNumberOfPatterns = function () {
+            return this.context.getNumberOfPatterns();
+        }.bind(this);
+
+        /** Get the number of rows of a pattern.
+         * @note Pattern numbers go from 0 to
+         * XMModule.getNumberOfPatterns(...)-1.
+         * @param patternNum - pattern number, read note
+         */
+        this.getNumberOfRows = function (patternNum) {
+            return this.context.getNumberOfRows(patternNum);
+        }.bind(this);
+
+        /** Get the number of samples of an instrument.
+         *
+         * @note Instrument numbers go from 1 to
+         * XMModule.instrumentsNum
+         * @param instrumentNum - instrument number, read note
+         */
+        this.getInstrumentSamplesAmount = function (instrumentNum) {
+            return this.context.getInstrumentSamplesAmount(instrumentNum);
+        }.bind(this);
+
+        /** Get the latest time (in number of generated samples) when a
+         * particular instrument was triggered in any channel.
+         *
+         * @note Instrument numbers go from 1 to
+         * XMModule.instrumentsNum
+         */
+        this.getLatestTriggerOfInstrument = function (instrumentNum) {
+            return this._queryState(
+                function (xmd) {
+                    var instrument = xmd.instruments[instrumentNum - 1];
+                    return instrument && instrument.latestTrigger;
+                },
+                "getLatestTriggerOfInstrument",
+                instrumentNum
+            );
+        }.bind(this);
+
+        /** Get the latest time (in number of generated samples) when a
+         * particular sample was triggered in any channel.
+         *
+         * @note Instrument numbers go from 1 to
+         * XMModule.instrumentsNum
+         *
+         * @note Sample numbers go from 0 to
+         * XMModule.getInstrumentSamplesAmount(...,instrumentNum)-1.
+         */
+        this.xm_get_latest_trigger_of_sample = function (
             instrumentNum,
             sampleNum
-        );
-    }.bind(this);
+        ) {
+            return this._queryState(
+                function (xmd) {
+                    var instrument = xmd.instruments[instrumentNum - 1];
+                    return instrument && instrument.samples[sampleNum];
+                },
+                "getLatestTriggerOfSample",
+                instrumentNum,
+                sampleNum
+            );
+        }.bind(this);
 
-    /** Get the latest time (in number of generated samples) when any
-     * instrument was triggered in a given channel.
-     *
-     * @note Channel numbers go from 1 to XMModule.channelsNum
-     */
-    this.getLatestTriggerOfChannel = function (channelNum) {
-        return Module._xm_get_latest_trigger_of_channel(
-            this.moduleContext,
-            channelNum
-        );
-    }.bind(this);
+        /** Get the latest time (in number of generated samples) when any
+         * instrument was triggered in a given channel.
+         *
+         * @note Channel numbers go from 1 to XMModule.channelsNum
+         */
+        this.getLatestTriggerOfChannel = function (channelNum) {
+            return this._queryState(
+                function (xmd) {
+                    var channel = xmd.channels[channelNum - 1];
+                    return channel && channel.latestTrigger;
+                },
+                "getLatestTriggerOfChannel",
+                channelNum
+            );
+        }.bind(this);
 
-    /** Checks whether a channel is active (ie: is playing something).
-     *
-     * @note Channel numbers go from 1 to XMModule.channelsNum
-     */
-    this.isChannelActive = function (channelNum) {
-        return Module._xm_is_channel_active(this.moduleContext, channelNum);
-    }.bind(this);
-
-    /** Get the instrument number currently playing in a channel.
-     *
-     * @returns instrument number, or 0 if channel is not active.
-     *
-     * @note Channel numbers go from 1 to XMModule.channelsNum
-     *
-     * @note Instrument numbers go from 1 to XMModule.channelsNum
-     */
-    this.getInstrumentOfChannel = function (channelNum) {
-        return Module._xm_get_instrument_of_channel(
-            this.moduleContext,
-            channelNum
-        );
-    }.bind(this);
-
-    /** Get the frequency of the sample currently playing in a channel.
-     *
-     * @returns a frequency in Hz. If the channel is not active, return
-     * value is undefined.
-     *
-     * @note Channel numbers go from 1 to XMModule.channelsNum
-     */
-    this.getFrequencyOfChannel = function (channelNum) {
-        return Module._xm_get_frequency_of_channel(
-            this.moduleContext,
-            channelNum
-        );
-    }.bind(this);
-
-    /** Get the volume of the sample currently playing in a channel. This
-     * takes into account envelopes, etc.
-     *
-     * @returns a volume between 0 or 1. If the channel is not active,
-     * return value is undefined.
-     *
-     * @note Channel numbers go from 1 to XMModule.channelsNum.
-     */
-    this.getVolumeOfChannel = function (channelNum) {
-        return Module._xm_get_volume_of_channel(this.moduleContext, channelNum);
-    }.bind(this);
-
-    /** Get the panning of the sample currently playing in a channel. This
-     * takes into account envelopes, etc.
-     *
-     * @returns a panning between 0 (L) and 1 (R). If the channel is not
-     * active, return value is undefined.
-     *
-     * @note Channel numbers go from 1 to xm_get_number_of_channels(...).
-     */
-    this.getPanningOfChannel = function (channelNum) {
-        return Module._xm_get_panning_of_channel(
-            this.moduleContext,
-            channelNum
-        );
-    }.bind(this);
+        /** Checks whether a channel is active (ie: is playing something).
+         *
+         * @note Channel numbers go from 1 to XMModule.channelsNum
+         */
+        this.isChannelActive = function (channelNum) {
+            return this._queryState(
+                function (xmd) {
+                    var channel = xmd.channels[channelNum - 1];
+                    return channel && channel.active;
+                },
+                "isChannelActive",
+                channelNum
+            );
+        }.bind(this);
 
-    /** Returns the playing note in channel as a string.
-     * @note if no note is playing/channel does not exist, will return "---"
-     * @note channel numbers start with 1 and end with XMModule.channelsNum
-     * @param channel - channel number
-     */
-    this.getPlayingNoteInChannel = function (channel) {
-        if (
-            this.xmdata.length > 0 &&
-            channel >= 0 &&
-            channel < this.channelsNum
-        ) {
-            var channelData = this.getLastChannelData(channel);
-            if (channelData && channelData.active) {
-                var note = libxm.getNoteForFreq(channelData.frequency);
-                if (note + "" == "NaN") note = "---";
-                return note;
-            } else return "---";
-        } else {
-            return "---";
-        }
-    }.bind(this);
+        /** Get the instrument number currently playing in a channel.
+         *
+         * @returns instrument number, or 0 if channel is not active.
+         *
+         * @note Channel numbers go from 1 to XMModule.channelsNum
+         *
+         * @note Instrument numbers go from 1 to XMModule.channelsNum
+         */
+        this.getInstrumentOfChannel = function (channelNum) {
+            return this._queryState(
+                function (xmd) {
+                    var channel = xmd.channels[channelNum - 1];
+                    return channel && channel.instrument;
+                },
+                "getInstrumentOfChannel",
+                channelNum
+            );
+        }.bind(this);
+
+        /** Get the frequency of the sample currently playing in a channel.
+         *
+         * @returns a frequency in Hz. If the channel is not active, return
+         * value is undefined.
+         *
+         * @note Channel numbers go from 1 to XMModule.channelsNum
+         */
+        this.getFrequencyOfChannel = function (channelNum) {
+            return this._queryState(
+                function (xmd) {
+                    var channel = xmd.channels[channelNum - 1];
+                    return channel && channel.frequency;
+                },
+                "getFrequencyOfChannel",
+                channelNum
+            );
+        }.bind(this);
+
+        /** Get the volume of the sample currently playing in a channel. This
+         * takes into account envelopes, etc.
+         *
+         * @returns a volume between 0 or 1. If the channel is not active,
+         * return value is undefined.
+         *
+         * @note Channel numbers go from 1 to XMModule.channelsNum.
+         */
+        this.getVolumeOfChannel = function (channelNum) {
+            return this._queryState(
+                function (xmd) {
+                    var channel = xmd.channels[channelNum - 1];
+                    return channel && channel.volume;
+                },
+                "getVolumeOfChannel",
+                channelNum
+            );
+        }.bind(this);
+
+        /** Get the panning of the sample currently playing in a channel. This
+         * takes into account envelopes, etc.
+         *
+         * @returns a panning between 0 (L) and 1 (R). If the channel is not
+         * active, return value is undefined.
+         *
+         * @note Channel numbers go from 1 to xm_get_number_of_channels(...).
+         */
+        this.getPanningOfChannel = function (channelNum) {
+            return this._queryState(
+                function (xmd) {
+                    var channel = xmd.channels[channelNum - 1];
+                    return channel && channel.panning;
+                },
+                "getPanningOfChannel",
+                channelNum
+            );
+        }.bind(this);
+
+        /** Returns the playing note in channel as a string.
+         * @note if no note is playing/channel does not exist, will return "---"
+         * @note channel numbers start with 1 and end with XMModule.channelsNum
+         * @param channel - channel number
+         */
+        this.getPlayingNoteInChannel = function (channel) {
+            if (
+                this.xmdata.length > 0 &&
+                channel >= 0 &&
+                channel < this.channelsNum
+            ) {
+                var channelData = this.getLastChannelData(channel);
+                if (channelData && channelData.active) {
+                    var note = libxm.getNoteForFreq(channelData.frequency);
+                    if (note + "" == "NaN") note = "---";
+                    return note;
+                } else return "---";
+            } else {
+                return "---";
+            }
+        }.bind(this);
+
+        // these use the loaded module, without one they throw an
+        // XMLifecycleError instead of failing somewhere inside
+        [
+            "setState",
+            "getModuleName",
+            "getTrackerName",
+            "getModuleInfo",
+            "getLoopCount",
+            "muteChannel",
+            "muteInstrument",
+            "noteOn",
+            "noteOff",
+            "getModuleLength",
+            "getNumberOfPatterns",
+            "getNumberOfRows",
+            "getInstrumentSamplesAmount",
+            "getLatestTriggerOfInstrument",
+            "xm_get_latest_trigger_of_sample",
+            "getLatestTriggerOfChannel",
+            "isChannelActive",
+            "getInstrumentOfChannel",
+            "getFrequencyOfChannel",
+            "getVolumeOfChannel",
+            "getPanningOfChannel",
+            "renderToPCM",
+            "renderToWAV",
+            "renderToWAVBlob",
+            "getInstrument",
+            "sampleToWAV",
+            "renderInstrument",
+            "getDocument",
+            "reload",
+        ].forEach(function (name) {
+            var fn = this[name];
+            this[name] = function (...args) {
+                if (!this.isModuleLoaded)
+                    throw new XMLifecycleError(
+                        "XMModule." + name + "() needs a loaded module"
+                    );
+                return fn(...args);
+            }.bind(this);
+        }, this);
+
+        /** Stops the module and frees everything it uses: the libxm contexts
+         * (their WASM memory), the AudioWorklet or the worker, the scheduled
+         * AudioBufferSourceNodes and the AudioContext, if the XMModule created
+         * it. A shared AudioContext is left running, the outputs are only
+         * disconnected from it. The other functions of the XMModule throw an
+         * XMLifecycleError after this, and pending getState calls reject.
+         */
+        this.destroy = function () {
+            if (this.destroyed) return;
+            this.destroyed = true;
+            this.playing = false;
+            this.isModuleLoaded = false;
+
+            this.sources.forEach(function (sources) {
+                sources.forEach(function (source) {
+                    source.onended = null;
+                    source.stop();
+                    source.disconnect();
+                });
+            });
+            this.sources = [[], []];
+            if (this.eventTimer !== null) clearTimeout(this.eventTimer);
+            this.eventTimer = null;
+
+            if (this.workletNode !== null) {
+                // the processor frees its contexts and stops
+                this.workletNode.port.postMessage({ type: "destroy" });
+                this.workletNode.port.close();
+                this.workletNode.disconnect();
+                this.workletNode = null;
+            }
+            if (this.worker !== null) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            this.workletMessages = [];
+            this.workerBlocks = [];
+            this.stateRequests.forEach(function (request) {
+                request.reject(
+                    new XMLifecycleError("The XMModule was destroyed")
+                );
+            });
+            this.stateRequests = [];
+
+            if (this.context !== null) this.context.free();
+            if (this.groupContexts !== null) this.groupContexts.free();
+            this.context = null;
+            this.groupContexts = null;
+            this.moduleData = null;
+            this.orders = [];
+            this.xmdata = [];
+            this.timeline = null;
+            this.timelineRows = null;
+
+            this.outputs.forEach(function (output) {
+                output.disconnect();
+            });
+            this.output.disconnect();
+            if (this.ownsAudioContext) this.audioContext.close();
+
+            this.listeners = {};
+            this.pendingEvents = [];
+            this.onfillbuffer = null;
+            this.onxmdataupdate = null;
+            Object.keys(this).forEach(function (name) {
+                if (
+                    typeof this[name] != "function" ||
+                    name == "destroy" ||
+                    name == "dispose"
+                )
+                    return;
+                this[name] = function () {
+                    throw new XMLifecycleError(
+                        "XMModule." + name + "() was called after destroy()"
+                    );
+                };
+            }, this);
+        }.bind(this);
+
+        // the same as destroy, calling it again does nothing
+        this.dispose = this.destroy;
+
+        this.setQuality({
+            interpolation: options.interpolation,
+            oversampling: options.oversampling,
+        });
+
+        if (useWorker) this.setupWorker(workerSource);
+        else if (canUseWorklet) this.setupWorklet();
+        else this.setupSources();
+        this.pause();
+        return this;
+    }
 
-    this.setupSources();
-    this.pause();
-    return this;
-}
+    return { XMModule: XMModule };
+});
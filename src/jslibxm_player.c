@@ -0,0 +1,38 @@
+/* libxm's player compiled again, so the interpolation can be chosen at
+ * runtime. The Makefile builds this file once for every interpolation mode,
+ * with XM_LINEAR_INTERPOLATION set for the mode and JSLIBXM_MODE set to its
+ * name. Every function this file defines gets the mode as a suffix, like
+ * jslibxm_generate_samples_linear for xm_generate_samples, so the builds
+ * don't define the same symbols. The rest of play.c is static. */
+
+#define JSLIBXM_PASTE(name, mode) name##_##mode
+#define JSLIBXM_NAME(name, mode) JSLIBXM_PASTE(name, mode)
+#define xm_generate_samples JSLIBXM_NAME(jslibxm_generate_samples, JSLIBXM_MODE)
+#define jslibxm_note_on JSLIBXM_NAME(jslibxm_note_on, JSLIBXM_MODE)
+#define jslibxm_note_off JSLIBXM_NAME(jslibxm_note_off, JSLIBXM_MODE)
+#include "play.c"
+
+/* Plays a note on a channel (starting with 1) like a pattern would, with the
+ * envelopes of the instrument. slots are the note slots of ctx, see
+ * jslibxm_create_slots in src/jslibxm.c. note is 1..96, instrument 1..number
+ * of instruments and volume 0..64, or 255 for the volume of the sample. */
+void jslibxm_note_on(xm_context_t* ctx, xm_pattern_slot_t* slots,
+                     uint16_t channel, uint8_t note, uint8_t instrument,
+                     uint8_t volume) {
+	if(channel < 1 || channel > ctx->module.num_channels) return;
+	xm_channel_context_t* ch = ctx->channels + (channel - 1);
+	xm_pattern_slot_t* s = slots + (channel - 1);
+	s->note = note;
+	s->instrument = instrument;
+	s->volume_column = volume <= 64 ? 0x10 + volume : 0;
+	s->effect_type = 0;
+	s->effect_param = 0;
+	ch->current = s;
+	xm_handle_note_and_instrument(ctx, ch, s);
+}
+
+/* Releases the note of a channel, like a key off note. */
+void jslibxm_note_off(xm_context_t* ctx, uint16_t channel) {
+	if(channel < 1 || channel > ctx->module.num_channels) return;
+	xm_key_off(ctx->channels + (channel - 1));
+}
@@ -0,0 +1,292 @@
+// jslibxm mixer: plays several modules at once, locked to the same clock.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(root, require("./jslibxm.js"));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(function (root, jslibxm) {
+    var libxm = jslibxm.libxm;
+    var XMModule = jslibxm.XMModule;
+
+    const getAudioContext = root["AudioContext"] || root["webkitAudioContext"];
+
+    // layers are started at least this many seconds after start() or
+    // resume() is called, so the AudioWorklets get the start time before it
+    var START_DELAY = 0.1;
+
+    /** Plays modules as layers on one AudioContext, started together to the
+     * sample, like the intensity layers of adaptive game music. Every layer
+     * is an XMModule with its own volume, the layers can be faded and
+     * crossfaded while they play.
+     * @param options - optional settings:
+     *  audioContext - AudioContext to play in, a new one is created by default
+     *  destination - the AudioNode XMMixer.output is connected to (the
+     *  destination of the AudioContext by default), null to leave it unconnected
+     *  moduleOptions - options for the XMModule constructor, the same for
+     *  every layer
+     */
+    function XMMixer(options = {}) {
+        // the AudioContext is closed by XMMixer.destroy if it's created here
+        this.ownsAudioContext = !options.audioContext;
+        this.audioContext = options.audioContext || new getAudioContext();
+        this.sampleRate = this.audioContext.sampleRate;
+        this.output = this.audioContext.createGain();
+        var destination =
+            options.destination === undefined
+                ? this.audioContext.destination
+                : options.destination;
+        if (destination) this.output.connect(destination);
+
+        this.moduleOptions = Object.assign({}, options.moduleOptions, {
+            audioContext: this.audioContext,
+            destination: this.output,
+        });
+        this.layers = {}; // name -> XMModule
+        this.playing = false;
+        // AudioContext time the layers were last started or resumed at
+        this.startTime = 0;
+
+        // the first time that can be used to start every layer at, on the
+        // grid of XM_BUFFER_LENGTH samples the layers generate their blocks
+        // on, after the buffers the scheduler and the worker engines already
+        // queued (see XMModule.getEarliestStartTime)
+        this._startTimeAt = function (when) {
+            var earliest = this.audioContext.currentTime + START_DELAY;
+            var blockLength = 256;
+            this._forEachLayer(function (layer) {
+                blockLength = Math.max(blockLength, layer.XM_BUFFER_LENGTH);
+                earliest = Math.max(earliest, layer.getEarliestStartTime());
+            });
+            // rounded to a sample first, a time on the grid that isn't
+            // exact in floating point stays on it
+            var frames = Math.ceil(
+                Math.round(Math.max(when, earliest) * this.sampleRate) /
+                    blockLength
+            );
+            return (frames * blockLength) / this.sampleRate;
+        };
+
+        // starts a layer that was loaded while the mixer plays, at the next
+        // time on the grid of the other layers, where their song is then
+        this._join = function (layer) {
+            // the other layers might only start later (see XMMixer.resume),
+            // and the new one isn't in this.layers yet
+            var time = this._startTimeAt(
+                Math.max(this.startTime, layer.getEarliestStartTime())
+            );
+            var reference = null;
+            this._forEachLayer(function (other) {
+                if (reference === null && other.playing) reference = other;
+            });
+            // without another layer, the song starts from the beginning
+            var songTime = 0;
+            if (reference !== null) {
+                var heard = Math.max(
+                    this.audioContext.currentTime,
+                    this.startTime
+                );
+                songTime =
+                    (reference.getCurrentTime() || 0) +
+                    (time - heard) * reference.getPlaybackSettings().rate;
+
+                // after the end, the song goes on in the part that loops
+                var timeline = layer.getTimeline();
+                if (songTime >= timeline.duration) {
+                    var restart = timeline.restartTime || 0;
+                    var loopLength = timeline.duration - restart;
+                    songTime =
+                        loopLength > 0
+                            ? restart + ((songTime - restart) % loopLength)
+                            : 0;
+                }
+            }
+            if (songTime > 0) layer.seekToTime(songTime, true);
+            layer.resume(time);
+        };
+
+        this._forEachLayer = function (callback) {
+            Object.keys(this.layers).forEach(function (name) {
+                callback.call(this, this.layers[name], name);
+            }, this);
+        };
+
+        /** Adds a layer, or replaces the one with the same name.
+         * @param name - name of the layer
+         * @param input - the module, anything XMModule.load accepts
+         * @param options - optional settings:
+         *  volume - volume of the layer, 0..1 (1 by default)
+         *  load - options for XMModule.load
+         * @return {Promise<XMModule>} resolves with the layer when it's
+         * loaded, rejects like XMModule.load. A layer that's loaded while
+         * the mixer plays starts at the next time on the grid of the other
+         * layers (see XMMixer.start), at the time of the song they are at
+         * then (see XMModule.seekToTime).
+         */
+        this.addLayer = function (name, input, options = {}) {
+            var layer = new XMModule(
+                this.sampleRate,
+                null,
+                null,
+                this.moduleOptions
+            );
+            layer.output.gain.value =
+                options.volume === undefined ? 1 : options.volume;
+            return layer.load(input, options.load || {}).then(
+                function () {
+                    // a replaced layer can still tell where the song is
+                    if (this.playing) this._join(layer);
+                    if (this.layers[name] !== undefined)
+                        this.layers[name].destroy();
+                    this.layers[name] = layer;
+                    return layer;
+                }.bind(this),
+                function (err) {
+                    layer.destroy();
+                    throw err;
+                }
+            );
+        }.bind(this);
+
+        /** Removes a layer and frees it (see XMModule.destroy).
+         * @param name - name of the layer
+         */
+        this.removeLayer = function (name) {
+            var layer = this.layers[name];
+            if (layer === undefined) return;
+            delete this.layers[name];
+            layer.destroy();
+        }.bind(this);
+
+        // Returns the XMModule of a layer, null if there's no such layer.
+        this.getLayer = function (name) {
+            return this.layers[name] || null;
+        }.bind(this);
+
+        // Returns the names of the layers.
+        this.getLayerNames = function () {
+            return Object.keys(this.layers);
+        }.bind(this);
+
+        /** Starts every layer from the beginning of its song, at the same
+         * time.
+         * @param when - AudioContext time to start at, as soon as possible
+         * by default. It's moved to the next time all layers can start at.
+         * @return the AudioContext time the layers start at
+         */
+        this.start = function (when = 0) {
+            this._forEachLayer(function (layer) {
+                layer.pause();
+                layer.seek(0, 0, 0);
+            });
+            return this.resume(when);
+        }.bind(this);
+
+        /** Resumes every layer from where it was paused, at the same time.
+         * @param when - see XMMixer.start
+         * @return the AudioContext time the layers resume at
+         */
+        this.resume = function (when = 0) {
+            var time = this._startTimeAt(when);
+            this._forEachLayer(function (layer) {
+                layer.resume(time);
+            });
+            this.playing = true;
+            this.startTime = time;
+            return time;
+        }.bind(this);
+
+        // Pauses every layer.
+        this.pause = function () {
+            this._forEachLayer(function (layer) {
+                layer.pause();
+            });
+            this.playing = false;
+        }.bind(this);
+
+        /** Fades a layer to a volume.
+         * @param name - name of the layer
+         * @param volume - 0..1
+         * @param duration - length of the fade in seconds, 0 (the default)
+         * to set it right away
+         * @param when - AudioContext time the fade starts at, now by default
+         */
+        this.setVolume = function (name, volume, duration = 0, when = 0) {
+            var layer = this.layers[name];
+            if (layer === undefined)
+                throw new RangeError("No layer named " + name);
+            var gain = layer.output.gain;
+            var start = Math.max(when, this.audioContext.currentTime);
+            gain.cancelScheduledValues(start);
+            if (duration > 0) {
+                gain.setValueAtTime(gain.value, start);
+                gain.linearRampToValueAtTime(volume, start + duration);
+            } else {
+                gain.setValueAtTime(volume, start);
+            }
+        }.bind(this);
+
+        // Returns the volume of a layer, what's heard while it's fading.
+        this.getVolume = function (name) {
+            var layer = this.layers[name];
+            if (layer === undefined)
+                throw new RangeError("No layer named " + name);
+            return layer.output.gain.value;
+        }.bind(this);
+
+        /** Fades several layers at once, for example to go from the calm
+         * layers to the battle ones.
+         * @param volumes - an object like {calm: 0, battle: 1}, the layers
+         * that aren't in it keep their volume
+         * @param duration - see XMMixer.setVolume
+         * @param when - see XMMixer.setVolume
+         */
+        this.fadeTo = function (volumes, duration = 0, when = 0) {
+            Object.keys(volumes).forEach(function (name) {
+                this.setVolume(name, volumes[name], duration, when);
+            }, this);
+        }.bind(this);
+
+        /** Fades a layer out while another one fades in.
+         * @param from - name of the layer that fades out
+         * @param to - name of the layer that fades in to full volume
+         * @param duration - see XMMixer.setVolume
+         */
+        this.crossfade = function (from, to, duration = 0) {
+            var volumes = {};
+            volumes[from] = 0;
+            volumes[to] = 1;
+            this.fadeTo(volumes, duration);
+        }.bind(this);
+
+        /** Frees every layer (see XMModule.destroy), and the AudioContext if
+         * the mixer created it.
+         */
+        this.destroy = function () {
+            this._forEachLayer(function (layer) {
+                layer.destroy();
+            });
+            this.layers = {};
+            this.playing = false;
+            this.output.disconnect();
+            if (this.ownsAudioContext) this.audioContext.close();
+        }.bind(this);
+
+        // the same as destroy
+        this.dispose = this.destroy;
+    }
+
+    /** Creates an XMMixer once the libxm runtime is initialized, instead of
+     * waiting for libxm.onload.
+     * @param options - see XMMixer
+     * @return {Promise<XMMixer>}
+     */
+    XMMixer.create = function (options = {}) {
+        return libxm.ready.then(function () {
+            return new XMMixer(options);
+        });
+    };
+
+    return { XMMixer: XMMixer };
+});
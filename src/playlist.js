@@ -0,0 +1,492 @@
+// jslibxm playlist: plays modules back to back, or with crossfades.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(root, require("./jslibxm.js"));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(function (root, jslibxm) {
+    var XMModule = jslibxm.XMModule;
+
+    const getAudioContext = root["AudioContext"] || root["webkitAudioContext"];
+
+    // a transition is scheduled on the AudioContext this many seconds before
+    // it happens
+    var TRANSITION_LOOKAHEAD = 1;
+
+    // length of a song that's played loops times, from its timeline (see
+    // libxm.scanTimeline). The later loops play the part from the restart
+    // time again, but they start at the speed the song ended with: the rows
+    // before the first speed change of that part take longer or shorter.
+    // The first entry of speedChanges is the initial speed, an Fxx on the
+    // first row that sets the same speed isn't told apart from it.
+    var loopedDuration = function (timeline, loops) {
+        var restart = timeline.restartTime;
+        if (loops <= 1 || restart === null) return timeline.duration;
+
+        var changes = timeline.speedChanges;
+        var atRestart = changes.filter(function (change, i) {
+            return i == 0 || change.time < restart;
+        });
+        var inLoop = changes.filter(function (change, i) {
+            return i > 0 && change.time >= restart;
+        });
+        var loopLength = timeline.duration - restart;
+        if (inLoop.length == 0 || inLoop[0].time > restart) {
+            var rowLength = function (speed) {
+                return speed.tempo / speed.bpm;
+            };
+            var slower =
+                rowLength(changes[changes.length - 1]) /
+                rowLength(atRestart[atRestart.length - 1]);
+            var until = inLoop.length > 0 ? inLoop[0].time : timeline.duration;
+            loopLength += (until - restart) * (slower - 1);
+        }
+        return timeline.duration + (loops - 1) * loopLength;
+    };
+
+    /** Plays a list of modules. Two XMModules take turns: one plays while the
+     * next song is loaded into the other one. Without a crossfade, the next
+     * song starts when the current one is predicted to end (see
+     * libxm.scanTimeline, which is precise to a millisecond), and it only
+     * starts on a block of XMModule.XM_BUFFER_LENGTH samples unless the
+     * AudioWorklet is used, so there can be a few milliseconds of silence
+     * between two songs.
+     * @param items - modules to play, anything XMModule.load accepts
+     * @param options - optional settings:
+     *  audioContext - AudioContext to play in, a new one is created by default
+     *  destination - the AudioNode XMPlaylist.output is connected to (the
+     *  destination of the AudioContext by default), null to leave it unconnected
+     *  crossfade - length of the crossfade between songs in seconds, 0 (the
+     *  default) to start the next song when the current one ends
+     *  loops - how many times every song is played (1 by default)
+     *  shuffle - play the songs in a random order (false by default)
+     *  repeat - "none" (default), "all" to start over after the last song,
+     *  or "one" to repeat the current song forever
+     *  moduleOptions - options for the XMModule constructor
+     */
+    function XMPlaylist(items = [], options = {}) {
+        this.items = items.slice();
+        this.crossfade = options.crossfade || 0;
+        this.loops = options.loops || 1;
+        this.shuffle = !!options.shuffle;
+        this.repeat = options.repeat || "none";
+
+        // the AudioContext is closed by XMPlaylist.destroy if it's created here
+        this.ownsAudioContext = !options.audioContext;
+        this.audioContext = options.audioContext || new getAudioContext();
+        this.output = this.audioContext.createGain();
+        var destination =
+            options.destination === undefined
+                ? this.audioContext.destination
+                : options.destination;
+        if (destination) this.output.connect(destination);
+
+        var moduleOptions = Object.assign({}, options.moduleOptions, {
+            audioContext: this.audioContext,
+            destination: this.output,
+        });
+        this.modules = [0, 1].map(function () {
+            return new XMModule(
+                this.audioContext.sampleRate,
+                null,
+                null,
+                moduleOptions
+            );
+        }, this);
+
+        this.order = []; // indices of the items in the order they are played
+        this.orderPosition = -1; // position of the current song in the order
+        this.currentIndex = -1; // index of the current song in the items
+        this.module = null; // XMModule of the current song
+        this.playing = false;
+
+        // the song that is playing: {module, index, position, start, end},
+        // start and end are AudioContext times
+        this.current = null;
+        // the song that is loaded next: {module, index, position, ready,
+        // duration}, null if there's none
+        this.upcoming = null;
+        this.pausedAt = 0;
+        this.listeners = {};
+        this.timers = {};
+
+        this._setTimer = function (name, time, callback) {
+            this._clearTimer(name);
+            var delay = (time - this.audioContext.currentTime) * 1000;
+            this.timers[name] = setTimeout(
+                function () {
+                    delete this.timers[name];
+                    callback.call(this);
+                }.bind(this),
+                Math.max(0, delay)
+            );
+        };
+
+        this._clearTimer = function (name) {
+            if (this.timers[name] !== undefined) {
+                clearTimeout(this.timers[name]);
+                delete this.timers[name];
+            }
+        };
+
+        // builds the play order, the current song stays first
+        this._buildOrder = function () {
+            this.order = this.items.map(function (item, index) {
+                return index;
+            });
+            if (this.shuffle) {
+                for (var i = this.order.length - 1; i > 0; --i) {
+                    var j = Math.floor(Math.random() * (i + 1));
+                    var swap = this.order[i];
+                    this.order[i] = this.order[j];
+                    this.order[j] = swap;
+                }
+                var current = this.order.indexOf(this.currentIndex);
+                if (current > 0) {
+                    this.order.splice(current, 1);
+                    this.order.unshift(this.currentIndex);
+                }
+            }
+            this.orderPosition = this.order.indexOf(this.currentIndex);
+        };
+
+        // returns the position in the order that is played after position,
+        // or -1 if the playlist ends there
+        this._positionAfter = function (position) {
+            if (position + 1 < this.order.length) return position + 1;
+            return this.repeat == "all" && this.order.length > 0 ? 0 : -1;
+        };
+
+        // length of a loaded song in seconds, with all of its loops. It's
+        // worked out from the timeline the module scanned at load (of one
+        // loop), so the song isn't scanned again while another one plays
+        this._songDuration = function (module) {
+            return loopedDuration(module.getTimeline(), this.loops);
+        };
+
+        // stops both modules and forgets the scheduled transitions
+        this._stop = function () {
+            for (var name in this.timers) this._clearTimer(name);
+            this.modules.forEach(function (module) {
+                module.pause();
+                module.output.gain.cancelScheduledValues(0);
+                module.output.gain.value = 1;
+            });
+            this.current = null;
+            this.upcoming = null;
+            this.playing = false;
+        };
+
+        // makes a song the current one and emits trackchange when it's heard
+        this._setCurrent = function (song, start) {
+            this.current = {
+                module: song.module,
+                index: song.index,
+                position: song.position,
+                start: start,
+                end: start + song.duration,
+            };
+            this.module = song.module;
+            this.currentIndex = song.index;
+            this.orderPosition = song.position;
+            this._setTimer("trackchange", start, function () {
+                this._emit({
+                    type: "trackchange",
+                    time: start,
+                    index: song.index,
+                    module: song.module,
+                });
+            });
+        };
+
+        // loads the song after the current one into the free module
+        this._prepareUpcoming = function (position, attempts = 0) {
+            this.upcoming = null;
+            if (
+                this.repeat == "one" ||
+                position < 0 ||
+                attempts >= this.order.length
+            ) {
+                this._scheduleTransition();
+                return;
+            }
+
+            var module =
+                this.modules[0] === this.current.module
+                    ? this.modules[1]
+                    : this.modules[0];
+            var upcoming = {
+                module: module,
+                index: this.order[position],
+                position: position,
+                ready: false,
+                duration: 0,
+            };
+            this.upcoming = upcoming;
+
+            module.load(this.items[upcoming.index]).then(
+                function () {
+                    if (this.upcoming !== upcoming) return;
+                    upcoming.duration = this._songDuration(module);
+                    upcoming.ready = true;
+                    this._scheduleTransition();
+                }.bind(this),
+                function (err) {
+                    if (this.upcoming !== upcoming) return;
+                    this._emit({
+                        type: "error",
+                        time: this.audioContext.currentTime,
+                        index: upcoming.index,
+                        error: err,
+                    });
+                    this._prepareUpcoming(
+                        this._positionAfter(position),
+                        attempts + 1
+                    );
+                }.bind(this)
+            );
+        };
+
+        // loads the upcoming song again after the order or repeat mode changed
+        this._refreshUpcoming = function () {
+            // the other module is still fading out, the switch loads it
+            if (this.current === null || this.timers.switch !== undefined)
+                return;
+            this._prepareUpcoming(this._positionAfter(this.orderPosition));
+        };
+
+        // waits until the end of the current song is close, and schedules
+        // the start of the next one
+        this._scheduleTransition = function () {
+            this._clearTimer("transition");
+            if (!this.playing || this.current === null) return;
+            if (this.repeat == "one") return;
+
+            var now = this.audioContext.currentTime;
+            if (this.upcoming === null) {
+                var end = this.current.end;
+                this._setTimer("transition", end, function () {
+                    this._stop();
+                    this._emit({ type: "end", time: end });
+                });
+                return;
+            }
+
+            var at = Math.max(now, this.current.end - this.crossfade);
+            if (at - now > TRANSITION_LOOKAHEAD) {
+                this._setTimer(
+                    "transition",
+                    at - TRANSITION_LOOKAHEAD,
+                    this._scheduleTransition
+                );
+                return;
+            }
+            // _prepareUpcoming calls this again when it's loaded
+            if (!this.upcoming.ready) return;
+
+            this._startTransition(at);
+        };
+
+        // starts the upcoming song at an AudioContext time
+        this._startTransition = function (at) {
+            var old = this.current;
+            var upcoming = this.upcoming;
+            var fadeEnd = at + this.crossfade;
+            this.upcoming = null;
+
+            upcoming.module.setMaxLoopCount(this.loops);
+            var gain = upcoming.module.output.gain;
+            gain.cancelScheduledValues(0);
+            if (this.crossfade > 0) {
+                gain.setValueAtTime(0, at);
+                gain.linearRampToValueAtTime(1, fadeEnd);
+                old.module.output.gain.setValueAtTime(1, at);
+                old.module.output.gain.linearRampToValueAtTime(0, fadeEnd);
+            } else {
+                gain.value = 1;
+            }
+            upcoming.module.resume(at);
+            this._setCurrent(upcoming, at);
+
+            // the old module is free for the next song after the crossfade
+            this._setTimer("switch", fadeEnd, function () {
+                this._finishSwitch(old.module);
+            });
+        };
+
+        this._finishSwitch = function (module) {
+            module.pause();
+            module.output.gain.cancelScheduledValues(0);
+            module.output.gain.value = 1;
+            this.current.module.output.gain.cancelScheduledValues(0);
+            this.current.module.output.gain.value = 1;
+            this._prepareUpcoming(this._positionAfter(this.orderPosition));
+        };
+
+        /** Adds a song to the end of the playlist.
+         * @param item - anything XMModule.load accepts
+         */
+        this.add = function (item) {
+            this.items.push(item);
+            this.order.push(this.items.length - 1);
+            // the last song might not be the last one anymore
+            if (this.upcoming === null) this._refreshUpcoming();
+        }.bind(this);
+
+        /** Plays a song of the playlist right away.
+         * @param index - index of the song in the items (the first song of
+         * the play order by default)
+         * @return {Promise} resolves when the song starts, rejects if it
+         * couldn't be loaded
+         */
+        this.play = function (index) {
+            this._stop();
+            this._buildOrder();
+            if (index === undefined) index = this.order[0];
+            if (this.items[index] === undefined)
+                return Promise.reject(
+                    new RangeError("No song at index " + index)
+                );
+            this.currentIndex = index;
+            this._buildOrder();
+
+            var module = this.modules[0];
+            var position = this.orderPosition;
+            return module.load(this.items[index]).then(
+                function () {
+                    module.setMaxLoopCount(
+                        this.repeat == "one" ? 0 : this.loops
+                    );
+                    var song = {
+                        module: module,
+                        index: index,
+                        position: position,
+                        duration: this._songDuration(module),
+                    };
+                    var start = this.audioContext.currentTime;
+                    this.playing = true;
+                    module.resume(start);
+                    this._setCurrent(song, start);
+                    this._prepareUpcoming(this._positionAfter(position));
+                }.bind(this)
+            );
+        }.bind(this);
+
+        // Plays the next song of the play order right away.
+        this.playNext = function () {
+            var position = this._positionAfter(this.orderPosition);
+            if (position < 0) position = 0;
+            return this.play(this.order[position]);
+        }.bind(this);
+
+        // Plays the previous song of the play order right away.
+        this.playPrevious = function () {
+            var position = this.orderPosition - 1;
+            if (position < 0) position = this.order.length - 1;
+            return this.play(this.order[position]);
+        }.bind(this);
+
+        // Pauses the playlist, a crossfade in progress is finished right away.
+        this.pause = function () {
+            if (!this.playing) return;
+            if (this.timers.switch !== undefined) {
+                this._clearTimer("switch");
+                this._finishSwitch(
+                    this.modules[0] === this.current.module
+                        ? this.modules[1]
+                        : this.modules[0]
+                );
+            }
+            this._clearTimer("transition");
+            this.current.module.pause();
+            this.pausedAt = this.audioContext.currentTime;
+            this.playing = false;
+        }.bind(this);
+
+        this.resume = function () {
+            if (this.playing || this.current === null) return;
+            var now = this.audioContext.currentTime;
+            var shift = now - this.pausedAt;
+            this.current.start += shift;
+            this.current.end += shift;
+            this.playing = true;
+            this.current.module.resume(Math.max(now, this.current.start));
+            this._scheduleTransition();
+        }.bind(this);
+
+        /** Turns shuffle on or off, the current song keeps playing.
+         * @param shuffle - whether the songs are played in a random order
+         */
+        this.setShuffle = function (shuffle) {
+            this.shuffle = !!shuffle;
+            this._buildOrder();
+            this._refreshUpcoming();
+        }.bind(this);
+
+        /** Changes the repeat mode.
+         * @param repeat - "none", "all" or "one"
+         */
+        this.setRepeat = function (repeat) {
+            this.repeat = repeat;
+            if (this.current === null) return;
+            this.current.module.setMaxLoopCount(
+                repeat == "one" ? 0 : this.loops
+            );
+            this._refreshUpcoming();
+        }.bind(this);
+
+        /** Stops the playlist and frees both XMModules (see
+         * XMModule.destroy), and the AudioContext if the playlist created it.
+         * A song that is still loading rejects with an XMLifecycleError.
+         */
+        this.destroy = function () {
+            this._stop();
+            this.modules.forEach(function (module) {
+                module.destroy();
+            });
+            this.module = null;
+            this.listeners = {};
+            this.output.disconnect();
+            if (this.ownsAudioContext) this.audioContext.close();
+        }.bind(this);
+
+        // the same as destroy
+        this.dispose = this.destroy;
+
+        /** Adds an event listener.
+         * @param type - "trackchange" (index, module), "end" when the last
+         * song ended, or "error" (index, error) when a song couldn't be loaded
+         * @param listener - called with the event
+         */
+        this.addEventListener = function (type, listener) {
+            if (!this.listeners[type]) this.listeners[type] = [];
+            if (this.listeners[type].indexOf(listener) == -1)
+                this.listeners[type].push(listener);
+        }.bind(this);
+
+        // Removes an event listener that was added with addEventListener.
+        this.removeEventListener = function (type, listener) {
+            var listeners = this.listeners[type];
+            if (!listeners) return;
+            var index = listeners.indexOf(listener);
+            if (index != -1) listeners.splice(index, 1);
+        }.bind(this);
+
+        this.on = this.addEventListener;
+        this.off = this.removeEventListener;
+
+        this._emit = function (event) {
+            var listeners = this.listeners[event.type];
+            if (!listeners) return;
+            listeners.slice().forEach(function (listener) {
+                listener.call(this, event);
+            }, this);
+        };
+
+        this._buildOrder();
+    }
+
+    return { XMPlaylist: XMPlaylist };
+});
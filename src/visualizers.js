@@ -0,0 +1,529 @@
+// jslibxm visualizers: canvas components that show what an XMModule plays.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(root);
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(function (root) {
+    // settings every visualizer has
+    var COMMON_DEFAULTS = {
+        width: null, // canvas width in pixels, the size of the canvas is kept if null
+        height: null,
+        background: "#000",
+        foreground: "#3c6",
+        textColor: "#888",
+        font: "10px monospace",
+        autoStart: true,
+    };
+
+    // sets up the canvas and the animation loop of a visualizer, which draws
+    // itself with visualizer.draw(context2d, width, height, elapsed)
+    function setupVisualizer(visualizer, xm, canvas, defaults, options) {
+        visualizer.xm = xm;
+        visualizer.canvas = canvas;
+        visualizer.options = Object.assign(
+            {},
+            COMMON_DEFAULTS,
+            defaults,
+            options
+        );
+        if (visualizer.options.width !== null)
+            canvas.width = visualizer.options.width;
+        if (visualizer.options.height !== null)
+            canvas.height = visualizer.options.height;
+        visualizer.context2d = canvas.getContext("2d");
+        visualizer.frameRequest = null;
+        visualizer.lastFrameTime = null;
+
+        var frame = function (timestamp) {
+            var elapsed =
+                visualizer.lastFrameTime === null
+                    ? 0
+                    : (timestamp - visualizer.lastFrameTime) / 1000;
+            visualizer.lastFrameTime = timestamp;
+            visualizer.frameRequest = root.requestAnimationFrame(frame);
+            visualizer.render(elapsed);
+        };
+
+        // draws one frame, elapsed is the time since the last frame in seconds
+        visualizer.render = function (elapsed = 0) {
+            var ctx = this.context2d;
+            var width = this.canvas.width;
+            var height = this.canvas.height;
+            ctx.fillStyle = this.options.background;
+            ctx.fillRect(0, 0, width, height);
+            this.draw(ctx, width, height, elapsed);
+        }.bind(visualizer);
+
+        // starts drawing on every animation frame
+        visualizer.start = function () {
+            if (this.frameRequest !== null) return;
+            this.lastFrameTime = null;
+            this.frameRequest = root.requestAnimationFrame(frame);
+        }.bind(visualizer);
+
+        // stops drawing, the last frame stays on the canvas
+        visualizer.stop = function () {
+            if (this.frameRequest === null) return;
+            root.cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }.bind(visualizer);
+
+        // changes some of the options
+        visualizer.setOptions = function (changes) {
+            Object.assign(this.options, changes);
+            if (changes.width !== undefined && changes.width !== null)
+                this.canvas.width = changes.width;
+            if (changes.height !== undefined && changes.height !== null)
+                this.canvas.height = changes.height;
+        }.bind(visualizer);
+    }
+
+    // the state of the channels and instruments that is heard right now
+    function currentXmdata(xm) {
+        if (!xm.isModuleLoaded || xm.xmdata.length === 0) return null;
+        return xm.xmdata[0];
+    }
+
+    // splits an area into a grid of cells, calls callback(i, x, y, w, h)
+    function forEachCell(count, columns, width, height, gap, callback) {
+        if (count === 0) return;
+        columns = Math.max(1, Math.min(columns, count));
+        var rows = Math.ceil(count / columns);
+        var cellWidth = (width - gap * (columns - 1)) / columns;
+        var cellHeight = (height - gap * (rows - 1)) / rows;
+        for (var i = 0; i < count; ++i) {
+            callback(
+                i,
+                (i % columns) * (cellWidth + gap),
+                Math.floor(i / columns) * (cellHeight + gap),
+                cellWidth,
+                cellHeight
+            );
+        }
+    }
+
+    function drawLabel(ctx, options, text, x, y) {
+        ctx.fillStyle = options.textColor;
+        ctx.font = options.font;
+        ctx.textBaseline = "top";
+        ctx.fillText(text, x + 2, y + 2);
+    }
+
+    /** Draws the waveform of every channel group of an XMModule. A channel
+     * is only heard separately in a group, so create the XMModule with
+     * options.channelGroups = [[1], [2], ...] for one oscilloscope per
+     * channel. Throws an Error if the XMModule has no channel groups, unless
+     * options.master is set.
+     * @param xm - the XMModule
+     * @param canvas - the canvas to draw on
+     * @param options - optional settings, besides the common ones (see the
+     * README):
+     *  master - draw a single waveform of the whole song instead (false by
+     *  default)
+     *  columns - oscilloscopes per row (enough for a square grid by default)
+     *  gap - space between the oscilloscopes in pixels (2 by default)
+     *  lineWidth - width of the waveform line (1.5 by default)
+     *  fftSize - amount of samples analysed, a power of 2 (1024 by default),
+     *  half of them are shown
+     *  labels - show the channel numbers (true by default)
+     */
+    function XMOscilloscopes(xm, canvas, options = {}) {
+        if (xm.outputs.length == 0 && !options.master)
+            throw new Error(
+                "XMOscilloscopes needs an XMModule created with " +
+                    "options.channelGroups, or options.master for the " +
+                    "waveform of the whole song"
+            );
+        setupVisualizer(
+            this,
+            xm,
+            canvas,
+            {
+                master: false,
+                columns: null,
+                gap: 2,
+                lineWidth: 1.5,
+                fftSize: 1024,
+                labels: true,
+            },
+            options
+        );
+
+        // the sources stay the same if master is changed with setOptions
+        var master = this.options.master;
+        var sources = master ? [xm.output] : xm.outputs;
+        this.analysers = sources.map(function (source) {
+            var analyser = xm.audioContext.createAnalyser();
+            analyser.fftSize = this.options.fftSize;
+            source.connect(analyser);
+            return analyser;
+        }, this);
+        this.samples = new Float32Array(this.options.fftSize);
+
+        this.draw = function (ctx, width, height) {
+            var options = this.options;
+            var count = this.analysers.length;
+            var columns = options.columns || Math.ceil(Math.sqrt(count));
+            forEachCell(
+                count,
+                columns,
+                width,
+                height,
+                options.gap,
+                function (i, x, y, w, h) {
+                    var analyser = this.analysers[i];
+                    if (this.samples.length != analyser.fftSize)
+                        this.samples = new Float32Array(analyser.fftSize);
+                    var samples = this.samples;
+                    analyser.getFloatTimeDomainData(samples);
+
+                    // start at a rising zero crossing, so the waveform of
+                    // a note stands still
+                    var start = 0;
+                    var half = samples.length >> 1;
+                    for (var j = 1; j < half; ++j) {
+                        if (samples[j - 1] <= 0 && samples[j] > 0) {
+                            start = j;
+                            break;
+                        }
+                    }
+
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.rect(x, y, w, h);
+                    ctx.clip();
+                    ctx.strokeStyle = options.foreground;
+                    ctx.lineWidth = options.lineWidth;
+                    ctx.beginPath();
+                    for (var j = 0; j < half; ++j) {
+                        var px = x + (j / (half - 1)) * w;
+                        var py = y + h / 2 - (samples[start + j] * h) / 2;
+                        if (j === 0) ctx.moveTo(px, py);
+                        else ctx.lineTo(px, py);
+                    }
+                    ctx.stroke();
+                    ctx.restore();
+
+                    if (options.labels) {
+                        drawLabel(
+                            ctx,
+                            options,
+                            master ? "Master" : xm.channelGroups[i].join(", "),
+                            x,
+                            y
+                        );
+                    }
+                }.bind(this)
+            );
+        }.bind(this);
+
+        // stops drawing and disconnects the analysers
+        this.destroy = function () {
+            this.stop();
+            this.analysers.forEach(function (analyser, i) {
+                sources[i].disconnect(analyser);
+            });
+            this.analysers = [];
+        }.bind(this);
+
+        if (this.options.autoStart) this.start();
+    }
+
+    /** Draws a level meter for every channel, from the volume and panning
+     * libxm reports for it (see XMModule.getVolumeOfChannel and
+     * XMModule.getPanningOfChannel). Every channel has a left and a right bar.
+     * @param xm - the XMModule
+     * @param canvas - the canvas to draw on
+     * @param options - optional settings, besides the common ones (see the
+     * README):
+     *  gap - space between the channels in pixels (4 by default)
+     *  peakColor - color of the peak markers ("#fc3" by default), null to
+     *  hide them
+     *  peakHold - seconds a peak stays before it falls (0.5 by default)
+     *  peakFall - how fast the peaks fall, in full heights per second (1 by
+     *  default)
+     *  labels - show the channel numbers (true by default)
+     */
+    function XMChannelMeters(xm, canvas, options = {}) {
+        setupVisualizer(
+            this,
+            xm,
+            canvas,
+            {
+                gap: 4,
+                peakColor: "#fc3",
+                peakHold: 0.5,
+                peakFall: 1,
+                labels: true,
+            },
+            options
+        );
+
+        // {level, hold} of the left and right bar of every channel
+        this.peaks = [];
+
+        // returns the left and right levels of a channel (0..1)
+        this.getLevels = function (channel) {
+            if (!channel.active) return [0, 0];
+            var volume = Math.min(Math.max(channel.volume, 0), 1);
+            var panning = Math.min(Math.max(channel.panning, 0), 1);
+            return [
+                volume * Math.min(1, 2 * (1 - panning)),
+                volume * Math.min(1, 2 * panning),
+            ];
+        }.bind(this);
+
+        this.draw = function (ctx, width, height, elapsed) {
+            var options = this.options;
+            var xmd = currentXmdata(xm);
+            var channels = xmd ? xmd.channels : [];
+            var labelHeight = options.labels
+                ? parseInt(options.font, 10) + 4
+                : 0;
+            var barsHeight = height - labelHeight;
+
+            forEachCell(
+                channels.length,
+                channels.length,
+                width,
+                height,
+                options.gap,
+                function (i, x, y, w) {
+                    var levels = this.getLevels(channels[i]);
+                    if (!this.peaks[i])
+                        this.peaks[i] = [
+                            { level: 0, hold: 0 },
+                            { level: 0, hold: 0 },
+                        ];
+                    var barWidth = (w - 1) / 2;
+
+                    levels.forEach(function (level, side) {
+                        var barX = x + side * (barWidth + 1);
+                        var barHeight = level * barsHeight;
+                        ctx.fillStyle = options.foreground;
+                        ctx.fillRect(
+                            barX,
+                            labelHeight + barsHeight - barHeight,
+                            barWidth,
+                            barHeight
+                        );
+
+                        var peak = this.peaks[i][side];
+                        if (level >= peak.level) {
+                            peak.level = level;
+                            peak.hold = options.peakHold;
+                        } else if (peak.hold > 0) {
+                            peak.hold -= elapsed;
+                        } else {
+                            peak.level = Math.max(
+                                level,
+                                peak.level - options.peakFall * elapsed
+                            );
+                        }
+                        if (options.peakColor !== null && peak.level > 0) {
+                            ctx.fillStyle = options.peakColor;
+                            ctx.fillRect(
+                                barX,
+                                labelHeight +
+                                    barsHeight -
+                                    peak.level * barsHeight,
+                                barWidth,
+                                2
+                            );
+                        }
+                    }, this);
+
+                    if (options.labels)
+                        drawLabel(ctx, options, String(i + 1), x, 0);
+                }.bind(this)
+            );
+        }.bind(this);
+
+        this.destroy = function () {
+            this.stop();
+        }.bind(this);
+
+        if (this.options.autoStart) this.start();
+    }
+
+    /** Draws a grid with a cell for every instrument, which lights up when
+     * the instrument is triggered and fades out.
+     * @param xm - the XMModule
+     * @param canvas - the canvas to draw on
+     * @param options - optional settings, besides the common ones (see the
+     * README):
+     *  columns - cells per row (16 by default)
+     *  gap - space between the cells in pixels (2 by default)
+     *  idleColor - color of a cell that isn't lit ("#222" by default)
+     *  fadeTime - seconds it takes a cell to fade out (0.4 by default)
+     *  labels - show the instrument numbers (true by default)
+     */
+    function XMInstrumentGrid(xm, canvas, options = {}) {
+        setupVisualizer(
+            this,
+            xm,
+            canvas,
+            {
+                columns: 16,
+                gap: 2,
+                idleColor: "#222",
+                fadeTime: 0.4,
+                labels: true,
+            },
+            options
+        );
+
+        this.lastTriggers = []; // latestTrigger of every instrument
+        this.brightness = []; // 0..1 for every instrument
+
+        this.draw = function (ctx, width, height, elapsed) {
+            var options = this.options;
+            var xmd = currentXmdata(xm);
+            var instruments = xmd ? xmd.instruments : [];
+
+            forEachCell(
+                instruments.length,
+                options.columns,
+                width,
+                height,
+                options.gap,
+                function (i, x, y, w, h) {
+                    var trigger = instruments[i].latestTrigger;
+                    var brightness = this.brightness[i] || 0;
+                    if (
+                        this.lastTriggers[i] !== undefined &&
+                        trigger != this.lastTriggers[i]
+                    )
+                        brightness = 1;
+                    else if (options.fadeTime > 0)
+                        brightness = Math.max(
+                            0,
+                            brightness - elapsed / options.fadeTime
+                        );
+                    else brightness = 0;
+                    this.lastTriggers[i] = trigger;
+                    this.brightness[i] = brightness;
+
+                    ctx.fillStyle = options.idleColor;
+                    ctx.fillRect(x, y, w, h);
+                    if (brightness > 0) {
+                        ctx.globalAlpha = brightness;
+                        ctx.fillStyle = options.foreground;
+                        ctx.fillRect(x, y, w, h);
+                        ctx.globalAlpha = 1;
+                    }
+                    if (options.labels)
+                        drawLabel(ctx, options, String(i + 1), x, y);
+                }.bind(this)
+            );
+        }.bind(this);
+
+        this.destroy = function () {
+            this.stop();
+        }.bind(this);
+
+        if (this.options.autoStart) this.start();
+    }
+
+    /** Draws the frequency spectrum of the song, from an AnalyserNode
+     * connected to XMModule.output.
+     * @param xm - the XMModule
+     * @param canvas - the canvas to draw on
+     * @param options - optional settings, besides the common ones (see the
+     * README):
+     *  bars - amount of bars (64 by default)
+     *  gap - space between the bars in pixels (1 by default)
+     *  fftSize - size of the FFT, a power of 2 (4096 by default)
+     *  smoothing - smoothingTimeConstant of the AnalyserNode (0.8 by default)
+     *  minDecibels, maxDecibels - range of the bars (-90 and -20 by default)
+     *  minFrequency, maxFrequency - range of the spectrum in Hz (30 and
+     *  16000 by default), the bars are spread logarithmically
+     */
+    function XMSpectrum(xm, canvas, options = {}) {
+        setupVisualizer(
+            this,
+            xm,
+            canvas,
+            {
+                bars: 64,
+                gap: 1,
+                fftSize: 4096,
+                smoothing: 0.8,
+                minDecibels: -90,
+                maxDecibels: -20,
+                minFrequency: 30,
+                maxFrequency: 16000,
+            },
+            options
+        );
+
+        this.analyser = xm.audioContext.createAnalyser();
+        this.analyser.fftSize = this.options.fftSize;
+        this.analyser.smoothingTimeConstant = this.options.smoothing;
+        xm.output.connect(this.analyser);
+        this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+
+        this.draw = function (ctx, width, height) {
+            var options = this.options;
+            var analyser = this.analyser;
+            if (this.spectrum.length != analyser.frequencyBinCount)
+                this.spectrum = new Float32Array(analyser.frequencyBinCount);
+            analyser.getFloatFrequencyData(this.spectrum);
+
+            var binWidth = xm.audioContext.sampleRate / analyser.fftSize;
+            var ratio = options.maxFrequency / options.minFrequency;
+            var range = options.maxDecibels - options.minDecibels;
+            ctx.fillStyle = options.foreground;
+            forEachCell(
+                options.bars,
+                options.bars,
+                width,
+                height,
+                options.gap,
+                function (i, x, y, w) {
+                    // loudest bin in the frequency range of the bar
+                    var from = Math.floor(
+                        (options.minFrequency *
+                            Math.pow(ratio, i / options.bars)) /
+                            binWidth
+                    );
+                    var to = Math.ceil(
+                        (options.minFrequency *
+                            Math.pow(ratio, (i + 1) / options.bars)) /
+                            binWidth
+                    );
+                    var end = Math.min(
+                        Math.max(to, from + 1),
+                        this.spectrum.length
+                    );
+                    var decibels = -Infinity;
+                    for (var j = from; j < end; ++j)
+                        decibels = Math.max(decibels, this.spectrum[j]);
+
+                    var level = Math.min(
+                        Math.max((decibels - options.minDecibels) / range, 0),
+                        1
+                    );
+                    ctx.fillRect(x, height - level * height, w, level * height);
+                }.bind(this)
+            );
+        }.bind(this);
+
+        this.destroy = function () {
+            this.stop();
+            xm.output.disconnect(this.analyser);
+        }.bind(this);
+
+        if (this.options.autoStart) this.start();
+    }
+
+    return {
+        XMOscilloscopes: XMOscilloscopes,
+        XMChannelMeters: XMChannelMeters,
+        XMInstrumentGrid: XMInstrumentGrid,
+        XMSpectrum: XMSpectrum,
+    };
+});
@@ -0,0 +1,190 @@
+// Web Worker side of XMModule: runs libxm outside the main thread, which
+// plays the blocks of samples generated here (see the worker option of
+// XMModule). This file is bundled after lib/libxm.js, src/xmfile.js,
+// src/convert.js and src/core.js into dist/jslibxm-worker.min.js.
+
+function XMWorkerHost(scope) {
+    this.XM_BUFFER_LENGTH = 256;
+    this.sampleRate = 48000;
+    this.channelGroups = null;
+    this.stage = null;
+    this.groupStages = [];
+    // seekCount of the last seek or load, sent back with the blocks
+    this.seekCount = 0;
+
+    this.context = null;
+    // XMChannelGroups, if the channel groups are used
+    this.groupContexts = null;
+
+    // handles a message from the main thread, they only come after "ready"
+    // (except "init")
+    this.handleMessage = function (message) {
+        switch (message.type) {
+            case "init":
+                this.sampleRate = message.sampleRate;
+                this.XM_BUFFER_LENGTH = message.xmBufferLength;
+                this.channelGroups = message.channelGroups;
+                this.stage = new XMOutputStage(this.sampleRate);
+                // every channel group has its own output stage
+                this.groupStages = (this.channelGroups || []).map(function () {
+                    return new XMOutputStage(this.sampleRate);
+                }, this);
+                break;
+            case "load":
+                this.load(message.data, message.quality);
+                this.seekCount = message.seekCount;
+                break;
+            case "output":
+                [this.stage].concat(this.groupStages).forEach(function (stage) {
+                    stage.setOptions(message.options);
+                });
+                break;
+            case "seek":
+            case "setState":
+                if (this.context === null) break;
+                var name = message.type;
+                var args = name == "seek" ? message.args : [message.state];
+                this.context[name].apply(null, args);
+                if (this.groupContexts !== null)
+                    this.groupContexts[name].apply(null, args);
+                this.seekCount = message.seekCount;
+                break;
+            case "getState":
+                // answered even without a module or when it fails, the main
+                // thread waits for every answer in order
+                try {
+                    var state =
+                        this.context !== null
+                            ? this.playing().getState()
+                            : null;
+                    scope.postMessage(
+                        { type: "state", state: state },
+                        state !== null ? [state] : []
+                    );
+                } catch (err) {
+                    scope.postMessage({
+                        type: "state",
+                        error: {
+                            name: err.name,
+                            message: err.message,
+                            cFunction: err.cFunction,
+                        },
+                    });
+                }
+                break;
+            case "call":
+                if (this.context !== null)
+                    this.context[message.name].apply(null, message.args);
+                if (
+                    this.groupContexts !== null &&
+                    typeof this.groupContexts[message.name] == "function"
+                )
+                    this.groupContexts[message.name].apply(null, message.args);
+                break;
+            case "generate":
+                this.generate(message.count);
+                break;
+        }
+    }.bind(this);
+
+    this.load = function (data, quality) {
+        if (this.context !== null) {
+            this.context.free();
+            this.context = null;
+        }
+        if (this.groupContexts !== null) {
+            this.groupContexts.free();
+            this.groupContexts = null;
+        }
+
+        try {
+            // the main thread has already validated the module
+            var options = Object.assign({ validate: false }, quality);
+            this.context = new XMContext(data, this.sampleRate, options);
+            if (this.channelGroups !== null)
+                this.groupContexts = new XMChannelGroups(
+                    data,
+                    this.sampleRate,
+                    this.channelGroups,
+                    options
+                );
+        } catch (err) {
+            scope.postMessage({
+                type: "loaded",
+                error: err.message,
+                code: err.code === undefined ? null : err.code,
+            });
+            return;
+        }
+        scope.postMessage({ type: "loaded", error: false });
+    }.bind(this);
+
+    // the context that generates the samples: the channel groups if they
+    // are used, the module context doesn't play then
+    this.playing = function () {
+        return this.groupContexts !== null ? this.groupContexts : this.context;
+    }.bind(this);
+
+    // generates blocks of XM_BUFFER_LENGTH samples and sends them to the
+    // main thread, with their xmdata (see XMModule._generateBlock)
+    this.generate = function (count) {
+        var blocks = [];
+        var transfer = [];
+        for (var i = 0; i < count && this.context !== null; ++i) {
+            var samples;
+            var groups = [];
+            if (this.groupContexts !== null) {
+                // these are copies already
+                groups = this.groupContexts.generateSamples(
+                    this.XM_BUFFER_LENGTH
+                );
+                // only measured, the groups are played
+                samples = this.groupContexts.mixSamples(groups);
+                groups.forEach(function (groupSamples, j) {
+                    this.groupStages[j].process(groupSamples);
+                }, this);
+            } else {
+                // copied out of the WASM memory, so they can be transferred
+                samples = this.context
+                    .generateSamples(this.XM_BUFFER_LENGTH)
+                    .slice();
+            }
+            var levels = this.stage.process(samples);
+
+            var xmd = this.playing().getXmdata();
+            xmd.levels = levels;
+            blocks.push({
+                samples: samples,
+                groups: groups,
+                xmdata: xmd,
+                latency: this.stage.latency,
+            });
+            transfer.push(samples.buffer);
+            groups.forEach(function (groupSamples) {
+                transfer.push(groupSamples.buffer);
+            });
+        }
+        // the count that was asked for, so the main thread can keep track
+        scope.postMessage(
+            {
+                type: "blocks",
+                count: count,
+                seekCount: this.seekCount,
+                blocks: blocks,
+            },
+            transfer
+        );
+    }.bind(this);
+
+    scope.onmessage = function (event) {
+        this.handleMessage(event.data);
+    }.bind(this);
+}
+
+new XMWorkerHost(self);
+
+if (libxm.isRuntimeInitialized) self.postMessage({ type: "ready" });
+else
+    libxm.onload = function () {
+        self.postMessage({ type: "ready" });
+    };
@@ -0,0 +1,230 @@
+// AudioWorklet side of XMModule: runs libxm inside the audio rendering thread.
+// This file is bundled after lib/libxm.js, src/xmfile.js, src/convert.js and
+// src/core.js into dist/jslibxm-worklet.min.js, which is loaded with
+// audioWorklet.addModule by XMModule.
+
+let pendingProcessors = [];
+
+libxm.onload = function () {
+    while (pendingProcessors.length > 0) pendingProcessors.shift().flush();
+};
+
+class XMWorkletProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        var processorOptions = options.processorOptions || {};
+        this.XM_BUFFER_LENGTH = processorOptions.xmBufferLength || 256;
+        this.channelGroups = processorOptions.channelGroups || null;
+        this.stage = new XMOutputStage(sampleRate);
+        // every channel group has its own output stage
+        this.groupStages = (this.channelGroups || []).map(function () {
+            return new XMOutputStage(sampleRate);
+        });
+        this.paused = true;
+        // nothing is played before this time, see XMModule.resume
+        this.startTime = 0;
+        // seekCount of the last seek, sent back with the xmdata
+        this.seekCount = 0;
+
+        // set when the XMModule is destroyed, the processor stops then
+        this.destroyed = false;
+        this.context = null;
+        this.samples = null;
+        // XMChannelGroups and their samples, if the channel groups are used
+        this.groupContexts = null;
+        this.groupSamples = null;
+        // position inside the last generated chunk, starts "exhausted"
+        this.bufferOffset = this.XM_BUFFER_LENGTH;
+
+        this.messages = [];
+        this.port.onmessage = function (event) {
+            this.messages.push(event.data);
+            if (libxm.isRuntimeInitialized) this.flush();
+            else if (pendingProcessors.indexOf(this) == -1)
+                pendingProcessors.push(this);
+        }.bind(this);
+    }
+
+    // handles all messages received from the main thread so far
+    flush() {
+        while (this.messages.length > 0) {
+            var message = this.messages.shift();
+            switch (message.type) {
+                case "load":
+                    this.load(message.data, message.quality);
+                    this.seekCount = message.seekCount;
+                    break;
+                case "pause":
+                    this.paused = message.paused;
+                    this.startTime = message.startTime || 0;
+                    break;
+                case "output":
+                    [this.stage]
+                        .concat(this.groupStages)
+                        .forEach(function (stage) {
+                            stage.setOptions(message.options);
+                        });
+                    break;
+                case "seek":
+                    if (this.context !== null) {
+                        this.context.seek.apply(null, message.args);
+                        if (this.groupContexts !== null)
+                            this.groupContexts.seek.apply(null, message.args);
+                        this.seekCount = message.seekCount;
+                        // drop the rest of the chunk from the old position
+                        this.bufferOffset = this.XM_BUFFER_LENGTH;
+                    }
+                    break;
+                case "getState":
+                    // answered even without a module or when it fails, the
+                    // main thread waits for every answer in order
+                    try {
+                        var state =
+                            this.context !== null
+                                ? this.playing().getState()
+                                : null;
+                        this.port.postMessage(
+                            { type: "state", state: state },
+                            state !== null ? [state] : []
+                        );
+                    } catch (err) {
+                        this.port.postMessage({
+                            type: "state",
+                            error: {
+                                name: err.name,
+                                message: err.message,
+                                cFunction: err.cFunction,
+                            },
+                        });
+                    }
+                    break;
+                case "setState":
+                    if (this.context !== null) {
+                        this.context.setState(message.state);
+                        if (this.groupContexts !== null)
+                            this.groupContexts.setState(message.state);
+                        this.seekCount = message.seekCount;
+                        // drop the rest of the chunk from the old state
+                        this.bufferOffset = this.XM_BUFFER_LENGTH;
+                    }
+                    break;
+                case "destroy":
+                    this.free();
+                    this.destroyed = true;
+                    break;
+                case "call":
+                    if (this.context !== null)
+                        this.context[message.name].apply(null, message.args);
+                    if (
+                        this.groupContexts !== null &&
+                        typeof this.groupContexts[message.name] == "function"
+                    )
+                        this.groupContexts[message.name].apply(
+                            null,
+                            message.args
+                        );
+                    break;
+            }
+        }
+    }
+
+    // frees the contexts of the loaded module
+    free() {
+        if (this.context !== null) {
+            this.context.free();
+            this.context = null;
+        }
+        if (this.groupContexts !== null) {
+            this.groupContexts.free();
+            this.groupContexts = null;
+            this.groupSamples = null;
+        }
+    }
+
+    load(data, quality) {
+        this.free();
+
+        try {
+            // the main thread has already validated the module
+            var options = Object.assign({ validate: false }, quality);
+            this.context = new XMContext(data, sampleRate, options);
+            if (this.channelGroups !== null)
+                this.groupContexts = new XMChannelGroups(
+                    data,
+                    sampleRate,
+                    this.channelGroups,
+                    options
+                );
+        } catch (err) {
+            this.port.postMessage({
+                type: "loaded",
+                error: err.message,
+                code: err.code === undefined ? null : err.code,
+            });
+            return;
+        }
+
+        this.bufferOffset = this.XM_BUFFER_LENGTH;
+        this.port.postMessage({ type: "loaded", error: false });
+    }
+
+    // the context that generates the samples: the channel groups if they
+    // are used, the module context doesn't play then
+    playing() {
+        return this.groupContexts !== null ? this.groupContexts : this.context;
+    }
+
+    // generates the next chunk and sends its xmdata to the main thread
+    generate(time) {
+        if (this.groupContexts !== null) {
+            this.groupSamples = this.groupContexts.generateSamples(
+                this.XM_BUFFER_LENGTH
+            );
+            // only measured, the groups are played
+            this.samples = this.groupContexts.mixSamples(this.groupSamples);
+            this.groupSamples.forEach(function (samples, i) {
+                this.groupStages[i].process(samples);
+            }, this);
+        } else {
+            this.samples = this.context.generateSamples(this.XM_BUFFER_LENGTH);
+        }
+        var levels = this.stage.process(this.samples);
+
+        var xmd = this.playing().getXmdata();
+        // the limiter delays what's heard
+        xmd.time = time + this.stage.latency / sampleRate;
+        xmd.levels = levels;
+        xmd.seekCount = this.seekCount;
+        this.port.postMessage({ type: "xmdata", xmdata: xmd });
+    }
+
+    process(inputs, outputs) {
+        // outputs are already zeroed, so there's nothing to do without a
+        // module or while paused
+        if (this.destroyed) return false;
+        if (this.context === null || this.paused) return true;
+
+        var length = outputs[0][0].length;
+        for (var i = 0; i < length; ++i) {
+            if (currentTime + i / sampleRate < this.startTime) continue;
+            if (this.bufferOffset >= this.XM_BUFFER_LENGTH) {
+                this.generate(currentTime + i / sampleRate);
+                this.bufferOffset = 0;
+            }
+
+            // every channel group has its own output
+            var sources =
+                this.groupSamples !== null ? this.groupSamples : [this.samples];
+            for (var j = 0; j < sources.length && j < outputs.length; ++j) {
+                var samples = sources[j];
+                outputs[j][0][i] = samples[2 * this.bufferOffset];
+                outputs[j][1][i] = samples[2 * this.bufferOffset + 1];
+            }
+            this.bufferOffset++;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor("jslibxm-processor", XMWorkletProcessor);
@@ -0,0 +1,1061 @@
+// jslibxm XM file reader: parses and validates .XM files in JavaScript,
+// without libxm.
+(function (factory) {
+    var root = typeof globalThis != "undefined" ? globalThis : this;
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(function () {
+    var SIGNATURE = "Extended Module: ";
+    // offset of the header size field, the header size is counted from here
+    var HEADER_SIZE_OFFSET = 60;
+    var MAX_CHANNELS = 32;
+    var MAX_PATTERNS = 256;
+    var MAX_INSTRUMENTS = 128;
+    var MAX_SAMPLES = 16;
+    var MAX_ROWS = 256;
+    // size of an instrument header that has the keymap, envelopes and vibrato
+    var INSTRUMENT_HEADER_SIZE = 243;
+    var MAX_ENVELOPE_POINTS = 12;
+    var LOOP_TYPES = ["none", "forward", "pingpong"];
+    var VIBRATO_TYPES = ["sine", "square", "rampdown", "rampup"];
+    var NOTE_NAMES = [
+        "C-",
+        "C#",
+        "D-",
+        "D#",
+        "E-",
+        "F-",
+        "F#",
+        "G-",
+        "G#",
+        "A-",
+        "A#",
+        "B-",
+    ];
+
+    // reads a space or zero padded string
+    function readString(bytes, offset, length) {
+        var str = "";
+        for (var i = 0; i < length && offset + i < bytes.length; ++i) {
+            var ch = bytes[offset + i];
+            if (ch === 0) break;
+            str += String.fromCharCode(ch);
+        }
+        return str.replace(/\s+$/, "");
+    }
+
+    // reads a volume or panning envelope from the fields of an instrument
+    // header: the 12 (frame, value) pairs, the point count, the sustain point
+    // followed by the loop start and end points, and the flags
+    function readEnvelope(
+        view,
+        bytes,
+        pointsOffset,
+        countOffset,
+        sustainOffset,
+        flagsOffset
+    ) {
+        var pointsNum = Math.min(bytes[countOffset], MAX_ENVELOPE_POINTS);
+        var flags = bytes[flagsOffset];
+        var envelope = {
+            enabled: (flags & 1) !== 0,
+            sustainEnabled: (flags & 2) !== 0,
+            loopEnabled: (flags & 4) !== 0,
+            sustainPoint: bytes[sustainOffset],
+            loopStart: bytes[sustainOffset + 1],
+            loopEnd: bytes[sustainOffset + 2],
+            points: [],
+        };
+        for (var i = 0; i < pointsNum; ++i) {
+            envelope.points.push({
+                frame: view.getUint16(pointsOffset + i * 4, true),
+                value: view.getUint16(pointsOffset + i * 4 + 2, true),
+            });
+        }
+        return envelope;
+    }
+
+    // reads the part of an instrument header that follows the sample header
+    // size: the keymap, the envelopes, vibrato and fadeout
+    function readInstrumentHeader(view, bytes, offset, instrument) {
+        instrument.keymap = Array.from(
+            bytes.subarray(offset + 33, offset + 129)
+        );
+        instrument.volumeEnvelope = readEnvelope(
+            view,
+            bytes,
+            offset + 129,
+            offset + 225,
+            offset + 227,
+            offset + 233
+        );
+        instrument.panningEnvelope = readEnvelope(
+            view,
+            bytes,
+            offset + 177,
+            offset + 226,
+            offset + 230,
+            offset + 234
+        );
+        instrument.vibrato = {
+            type: VIBRATO_TYPES[bytes[offset + 235] & 3],
+            sweep: bytes[offset + 236],
+            depth: bytes[offset + 237],
+            rate: bytes[offset + 238],
+        };
+        instrument.fadeout = view.getUint16(offset + 239, true);
+    }
+
+    /** Parses the structure of an XM file.
+     * Parsing doesn't stop on the first problem, everything that was found
+     * is listed in module.problems. A problem is an object with:
+     *  reason - short identifier, like "bad-signature" or "truncated-pattern"
+     *  message - human readable description
+     *  offset - offset in the file where the problem was found
+     *  fatal - true if libxm can't load the file because of this problem
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @return {Object} the parsed module
+     */
+    function parse(data) {
+        var bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+
+        var module = {
+            problems: [],
+            patterns: [],
+            instruments: [],
+        };
+        var problem = function (reason, message, offset, fatal = true) {
+            module.problems.push({
+                reason: reason,
+                message: message,
+                offset: offset,
+                fatal: fatal,
+            });
+        };
+
+        if (bytes.length < HEADER_SIZE_OFFSET + 20) {
+            problem(
+                "too-short",
+                "File is too short to be an XM module (" +
+                    bytes.length +
+                    " bytes)",
+                0
+            );
+            return module;
+        }
+
+        if (readString(bytes, 0, SIGNATURE.length) !== SIGNATURE.trim()) {
+            problem(
+                "bad-signature",
+                'Missing "Extended Module:" signature, this is not an XM file',
+                0
+            );
+            return module;
+        }
+
+        module.name = readString(bytes, 17, 20);
+        module.trackerName = readString(bytes, 38, 20);
+        module.version = view.getUint16(58, true);
+        if (module.version !== 0x0104) {
+            problem(
+                "unsupported-version",
+                "Unsupported XM version " +
+                    (module.version >> 8) +
+                    "." +
+                    ("0" + (module.version & 0xff).toString(16)).slice(-2) +
+                    ", only 1.04 is supported",
+                58
+            );
+            return module;
+        }
+
+        module.headerSize = view.getUint32(HEADER_SIZE_OFFSET, true);
+        module.songLength = view.getUint16(64, true);
+        module.restartPosition = view.getUint16(66, true);
+        module.channelsNum = view.getUint16(68, true);
+        module.patternsNum = view.getUint16(70, true);
+        module.instrumentsNum = view.getUint16(72, true);
+        module.flags = view.getUint16(74, true);
+        module.linearFrequencies = (module.flags & 1) !== 0;
+        module.tempo = view.getUint16(76, true);
+        module.bpm = view.getUint16(78, true);
+
+        if (module.songLength < 1 || module.songLength > 256)
+            problem(
+                "bad-song-length",
+                "Song length " +
+                    module.songLength +
+                    " is out of range (1..256)",
+                64
+            );
+        if (module.channelsNum < 1 || module.channelsNum > MAX_CHANNELS)
+            problem(
+                "bad-channel-count",
+                "Channel count " +
+                    module.channelsNum +
+                    " is out of range (1.." +
+                    MAX_CHANNELS +
+                    ")",
+                68
+            );
+        if (module.patternsNum > MAX_PATTERNS)
+            problem(
+                "bad-pattern-count",
+                "Pattern count " +
+                    module.patternsNum +
+                    " is out of range (0.." +
+                    MAX_PATTERNS +
+                    ")",
+                70
+            );
+        if (module.instrumentsNum > MAX_INSTRUMENTS)
+            problem(
+                "bad-instrument-count",
+                "Instrument count " +
+                    module.instrumentsNum +
+                    " is out of range (0.." +
+                    MAX_INSTRUMENTS +
+                    ")",
+                72
+            );
+        if (module.restartPosition >= module.songLength)
+            problem(
+                "bad-restart-position",
+                "Restart position " +
+                    module.restartPosition +
+                    " is past the end of the song, it will restart from the beginning",
+                66,
+                false
+            );
+        if (module.problems.length > 0 && module.problems[0].fatal)
+            return module;
+
+        module.orders = [];
+        for (var i = 0; i < module.songLength; ++i) {
+            var pattern = bytes[80 + i];
+            module.orders.push(pattern);
+            if (pattern >= module.patternsNum) {
+                // libxm drops an invalid last entry, but not the others
+                problem(
+                    "bad-order",
+                    "Order " +
+                        i +
+                        " references pattern " +
+                        pattern +
+                        ", but there are only " +
+                        module.patternsNum +
+                        " patterns",
+                    80 + i,
+                    i + 1 < module.songLength || module.songLength === 1
+                );
+            }
+        }
+
+        var offset = HEADER_SIZE_OFFSET + module.headerSize;
+        for (var i = 0; i < module.patternsNum; ++i) {
+            if (offset + 9 > bytes.length) {
+                problem(
+                    "truncated-pattern",
+                    "File ends before the header of pattern " + i,
+                    offset
+                );
+                return module;
+            }
+
+            var pattern = {
+                offset: offset,
+                headerSize: view.getUint32(offset, true),
+                packingType: bytes[offset + 4],
+                rowsNum: view.getUint16(offset + 5, true),
+                dataSize: view.getUint16(offset + 7, true),
+            };
+            pattern.dataOffset = offset + pattern.headerSize;
+            module.patterns.push(pattern);
+
+            if (pattern.packingType !== 0)
+                problem(
+                    "bad-pattern-packing",
+                    "Pattern " +
+                        i +
+                        " uses unknown packing type " +
+                        pattern.packingType,
+                    offset + 4
+                );
+            if (pattern.rowsNum < 1 || pattern.rowsNum > MAX_ROWS)
+                problem(
+                    "bad-row-count",
+                    "Pattern " +
+                        i +
+                        " has " +
+                        pattern.rowsNum +
+                        " rows, expected 1.." +
+                        MAX_ROWS,
+                    offset + 5
+                );
+            if (pattern.dataOffset + pattern.dataSize > bytes.length) {
+                problem(
+                    "truncated-pattern",
+                    "Data of pattern " +
+                        i +
+                        " is truncated (" +
+                        (pattern.dataOffset + pattern.dataSize - bytes.length) +
+                        " bytes missing)",
+                    pattern.dataOffset
+                );
+                return module;
+            }
+
+            // every slot is either 5 bytes, or a flags byte followed by
+            // the fields it enables
+            var slots = 0;
+            var end = pattern.dataOffset + pattern.dataSize;
+            for (var pos = pattern.dataOffset; pos < end; ++slots) {
+                var flags = bytes[pos];
+                if (flags & 0x80) {
+                    pos++;
+                    for (var bit = 0; bit < 5; ++bit)
+                        if (flags & (1 << bit)) pos++;
+                } else {
+                    pos += 5;
+                }
+            }
+            if (pos > end) {
+                problem(
+                    "truncated-pattern",
+                    "Data of pattern " + i + " ends in the middle of a note",
+                    end
+                );
+            } else if (
+                pattern.dataSize > 0 &&
+                slots !== pattern.rowsNum * module.channelsNum
+            ) {
+                problem(
+                    "pattern-size-mismatch",
+                    "Pattern " +
+                        i +
+                        " contains " +
+                        slots +
+                        " notes, expected " +
+                        pattern.rowsNum * module.channelsNum,
+                    pattern.dataOffset,
+                    false
+                );
+            }
+
+            offset = end;
+        }
+
+        for (var i = 0; i < module.instrumentsNum; ++i) {
+            var instrumentNum = i + 1;
+            if (offset + 29 > bytes.length) {
+                problem(
+                    "truncated-instrument",
+                    "File ends before the header of instrument " +
+                        instrumentNum,
+                    offset
+                );
+                return module;
+            }
+
+            var instrument = {
+                offset: offset,
+                headerSize: view.getUint32(offset, true),
+                name: readString(bytes, offset + 4, 22),
+                samplesNum: view.getUint16(offset + 27, true),
+                samples: [],
+            };
+            module.instruments.push(instrument);
+
+            if (instrument.samplesNum > MAX_SAMPLES) {
+                problem(
+                    "bad-sample-count",
+                    "Instrument " +
+                        instrumentNum +
+                        " has " +
+                        instrument.samplesNum +
+                        " samples, expected 0.." +
+                        MAX_SAMPLES,
+                    offset + 27
+                );
+                return module;
+            }
+
+            var sampleHeaderSize = 40;
+            if (instrument.samplesNum > 0) {
+                if (offset + 33 > bytes.length) {
+                    problem(
+                        "truncated-instrument",
+                        "Header of instrument " +
+                            instrumentNum +
+                            " is truncated",
+                        offset
+                    );
+                    return module;
+                }
+                sampleHeaderSize = view.getUint32(offset + 29, true);
+                // the rest of the header is optional, old trackers cut it off
+                if (
+                    instrument.headerSize >= INSTRUMENT_HEADER_SIZE &&
+                    offset + INSTRUMENT_HEADER_SIZE <= bytes.length
+                )
+                    readInstrumentHeader(view, bytes, offset, instrument);
+            }
+
+            offset += instrument.headerSize;
+            if (
+                offset + instrument.samplesNum * sampleHeaderSize >
+                bytes.length
+            ) {
+                problem(
+                    "truncated-instrument",
+                    "Sample headers of instrument " +
+                        instrumentNum +
+                        " are truncated",
+                    offset
+                );
+                return module;
+            }
+
+            for (var j = 0; j < instrument.samplesNum; ++j) {
+                var type = bytes[offset + 14];
+                var sample = {
+                    offset: offset,
+                    length: view.getUint32(offset, true),
+                    loopStart: view.getUint32(offset + 4, true),
+                    loopLength: view.getUint32(offset + 8, true),
+                    volume: bytes[offset + 12],
+                    finetune: view.getInt8(offset + 13),
+                    loopType: LOOP_TYPES[type & 3] || "none",
+                    bits: type & 0x10 ? 16 : 8,
+                    panning: bytes[offset + 15],
+                    relativeNote: view.getInt8(offset + 16),
+                    name: readString(bytes, offset + 18, 22),
+                };
+                instrument.samples.push(sample);
+                offset += sampleHeaderSize;
+            }
+
+            for (var j = 0; j < instrument.samples.length; ++j) {
+                var sample = instrument.samples[j];
+                sample.dataOffset = offset;
+                offset += sample.length;
+            }
+
+            if (offset > bytes.length) {
+                problem(
+                    "truncated-sample",
+                    "Sample data of instrument " +
+                        instrumentNum +
+                        " is truncated (" +
+                        (offset - bytes.length) +
+                        " bytes missing), the missing part will be silent",
+                    bytes.length,
+                    false
+                );
+                return module;
+            }
+        }
+
+        return module;
+    }
+
+    /** Decodes the notes of a pattern.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param pattern - pattern number (not an order index)
+     * @return {Array} rows of the pattern, a row is an array with a cell
+     * for each channel. A cell is an object with:
+     *  note - 0 for no note, 1..96 for C-0..B-7, 97 for key off
+     *  instrument - 0 for no instrument, 1..128 otherwise
+     *  volume - value of the volume column, 0 if it's empty
+     *  effectType - effect number, 0x00..0x0F for 0..F and 0x10.. for G..
+     *  effectParam - parameter of the effect
+     * Returns null if the pattern doesn't exist.
+     */
+    function readPattern(data, pattern) {
+        var module = parse(data);
+        var header = module.patterns[pattern];
+        if (!header) return null;
+        var bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        return decodePattern(bytes, header, module.channelsNum);
+    }
+
+    // decodes the cells of a pattern, see readPattern
+    function decodePattern(bytes, header, channelsNum) {
+        var rows = [];
+        var pos = header.dataOffset;
+        var end = Math.min(header.dataOffset + header.dataSize, bytes.length);
+        for (var i = 0; i < header.rowsNum; ++i) {
+            var row = [];
+            for (var j = 0; j < channelsNum; ++j) {
+                var cell = {
+                    note: 0,
+                    instrument: 0,
+                    volume: 0,
+                    effectType: 0,
+                    effectParam: 0,
+                };
+                // empty patterns aren't stored
+                if (pos < end) {
+                    var flags = bytes[pos];
+                    if (flags & 0x80) {
+                        pos++;
+                    } else {
+                        // not packed, every field is there
+                        flags = 0x1f;
+                    }
+                    if (flags & 1) cell.note = bytes[pos++];
+                    if (flags & 2) cell.instrument = bytes[pos++];
+                    if (flags & 4) cell.volume = bytes[pos++];
+                    if (flags & 8) cell.effectType = bytes[pos++];
+                    if (flags & 16) cell.effectParam = bytes[pos++];
+                }
+                row.push(cell);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /** Returns the name of a note as shown in trackers, like "C#4".
+     * @param note - note of a pattern cell, see XMFile.readPattern
+     * @return {string} "---" for no note and "===" for key off
+     */
+    function noteName(note) {
+        if (note < 1 || note > 97) return "---";
+        if (note === 97) return "===";
+        return NOTE_NAMES[(note - 1) % 12] + Math.floor((note - 1) / 12);
+    }
+
+    /** Checks whether a module can be loaded by libxm.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @return {valid, problems} - valid is false if any of the problems
+     * is fatal, see XMFile.parse for the problem format
+     */
+    function validate(data) {
+        var problems = parse(data).problems;
+        return {
+            valid: problems.every(function (problem) {
+                return !problem.fatal;
+            }),
+            problems: problems,
+        };
+    }
+
+    // the header of a sample as it's exported, with the lengths in sample
+    // frames instead of bytes
+    function sampleInfo(sample) {
+        var bytesPerFrame = sample.bits / 8;
+        return {
+            name: sample.name,
+            bits: sample.bits,
+            length: Math.floor(sample.length / bytesPerFrame),
+            loopType: sample.loopType,
+            loopStart: Math.floor(sample.loopStart / bytesPerFrame),
+            loopLength: Math.floor(sample.loopLength / bytesPerFrame),
+            volume: sample.volume,
+            panning: sample.panning,
+            relativeNote: sample.relativeNote,
+            finetune: sample.finetune,
+            // the rate C-4 plays at, with linear frequencies
+            sampleRate: Math.round(
+                8363 *
+                    Math.pow(
+                        2,
+                        (sample.relativeNote + sample.finetune / 128) / 12
+                    )
+            ),
+        };
+    }
+
+    /** Returns an instrument without its sample data, in a form that can be
+     * saved as JSON: the name, the keymap, the envelopes, vibrato, fadeout
+     * and the sample headers (see "Module info" in the README).
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param instrument - instrument number (1..instrumentsNum)
+     * @return {Object} the instrument, the sample lengths and loop points are
+     * in sample frames and every sample has the sampleRate C-4 plays at.
+     * Returns null if the instrument doesn't exist.
+     */
+    function readInstrument(data, instrument) {
+        var parsed = parse(data).instruments[instrument - 1];
+        if (parsed === undefined) return null;
+        return instrumentInfo(parsed);
+    }
+
+    // an instrument of XMFile.parse as it's exported, see readInstrument
+    function instrumentInfo(parsed) {
+        var result = { name: parsed.name };
+        [
+            "keymap",
+            "volumeEnvelope",
+            "panningEnvelope",
+            "vibrato",
+            "fadeout",
+        ].forEach(function (key) {
+            if (parsed[key] !== undefined) result[key] = parsed[key];
+        });
+        result.samples = parsed.samples.map(sampleInfo);
+        return result;
+    }
+
+    /** Decodes the sample data of an instrument (XM stores it as deltas).
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param instrument - instrument number (1..instrumentsNum)
+     * @param sample - index of the sample in the instrument (0..samplesNum-1)
+     * @return {Object} the sample header like in readInstrument, with data:
+     * an Int8Array or Int16Array of the sample frames. The part of a
+     * truncated sample that's missing is silent. Returns null if the sample
+     * doesn't exist.
+     */
+    function readSample(data, instrument, sample) {
+        var parsed = parse(data).instruments[instrument - 1];
+        if (parsed === undefined || parsed.samples[sample] === undefined)
+            return null;
+        var bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        var result = sampleInfo(parsed.samples[sample]);
+        result.data = decodeSample(bytes, parsed.samples[sample]);
+        return result;
+    }
+
+    // decodes the frames of a sample, see readSample
+    function decodeSample(bytes, header) {
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        var bytesPerFrame = header.bits / 8;
+        var length = Math.floor(header.length / bytesPerFrame);
+        var frames =
+            header.bits == 16 ? new Int16Array(length) : new Int8Array(length);
+        var available = Math.min(
+            length,
+            Math.floor((bytes.length - header.dataOffset) / bytesPerFrame)
+        );
+        var value = 0;
+        for (var i = 0; i < available; ++i) {
+            var offset = header.dataOffset + i * bytesPerFrame;
+            // the typed array wraps the sum around like the tracker does
+            value +=
+                header.bits == 16
+                    ? view.getInt16(offset, true)
+                    : view.getInt8(offset);
+            frames[i] = value;
+            value = frames[i];
+        }
+        return frames;
+    }
+
+    // throws a RangeError if a value of a document isn't an integer in
+    // min..max
+    function checkRange(name, value, min, max) {
+        if (!(Number.isInteger(value) && value >= min && value <= max))
+            throw new RangeError(
+                name +
+                    " " +
+                    value +
+                    " is out of range (" +
+                    min +
+                    ".." +
+                    max +
+                    ")"
+            );
+    }
+
+    /** Reads a module into a document that can be edited and written back
+     * with XMFile.writeDocument. It's made of plain objects and arrays:
+     *  name, trackerName, linearFrequencies, tempo, bpm, channelsNum,
+     *  restartPosition - like in XMFile.parse
+     *  orders - pattern numbers of the order table
+     *  patterns - the rows of every pattern, see XMFile.readPattern
+     *  instruments - like XMFile.readInstrument, the samples have their
+     *  frames in data (see XMFile.readSample) instead of a length
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @return {Object} the document, or null if the module has fatal
+     * problems (see XMFile.validate)
+     */
+    function readDocument(data) {
+        var module = parse(data);
+        var fatal = module.problems.some(function (problem) {
+            return problem.fatal;
+        });
+        if (fatal) return null;
+        var bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+
+        return {
+            name: module.name,
+            trackerName: module.trackerName,
+            linearFrequencies: module.linearFrequencies,
+            tempo: module.tempo,
+            bpm: module.bpm,
+            channelsNum: module.channelsNum,
+            restartPosition: module.restartPosition,
+            orders: module.orders.slice(),
+            patterns: module.patterns.map(function (header) {
+                return decodePattern(bytes, header, module.channelsNum);
+            }),
+            instruments: module.instruments.map(function (instrument) {
+                var result = instrumentInfo(instrument);
+                result.samples = instrument.samples.map(function (sample) {
+                    var info = sampleInfo(sample);
+                    // they follow from the data and the other fields
+                    delete info.length;
+                    delete info.sampleRate;
+                    info.data = decodeSample(bytes, sample);
+                    return info;
+                });
+                return result;
+            }),
+        };
+    }
+
+    // writes a string padded with zeros
+    function writeString(bytes, offset, string, length) {
+        for (var i = 0; i < length; ++i)
+            bytes[offset + i] = i < string.length ? string.charCodeAt(i) : 0;
+    }
+
+    // packs the cells of a pattern like FastTracker II: a cell with every
+    // field is stored as it is, the others start with a byte of flags that
+    // tells which fields follow
+    function encodePattern(rows, channelsNum) {
+        var packed = [];
+        rows.forEach(function (row, i) {
+            if (row.length !== channelsNum)
+                throw new RangeError(
+                    "Row " +
+                        i +
+                        " has " +
+                        row.length +
+                        " cells, expected " +
+                        channelsNum
+                );
+            row.forEach(function (cell) {
+                var fields = [
+                    cell.note || 0,
+                    cell.instrument || 0,
+                    cell.volume || 0,
+                    cell.effectType || 0,
+                    cell.effectParam || 0,
+                ];
+                var flags = 0x80;
+                fields.forEach(function (field, j) {
+                    if (field !== 0) flags |= 1 << j;
+                });
+                if (flags === 0x9f) {
+                    packed.push.apply(packed, fields);
+                    return;
+                }
+                packed.push(flags);
+                fields.forEach(function (field) {
+                    if (field !== 0) packed.push(field);
+                });
+            });
+        });
+        // a pattern without notes is stored without data
+        var empty = packed.every(function (byte) {
+            return byte === 0x80;
+        });
+        return new Uint8Array(empty ? [] : packed);
+    }
+
+    // the fields of an envelope in an instrument header, see readEnvelope.
+    // name is the one of the envelope in errors
+    function writeEnvelope(view, bytes, envelope, offsets, name) {
+        if (!envelope) return;
+        var pointsNum = envelope.points.length;
+        checkRange(name + " point count", pointsNum, 0, MAX_ENVELOPE_POINTS);
+        // the points of a sustain or loop that's used have to exist, the
+        // ones of an unused one are only stored
+        var lastPoint = function (enabled) {
+            return enabled ? pointsNum - 1 : 0xff;
+        };
+        checkRange(
+            name + " sustain point",
+            envelope.sustainPoint,
+            0,
+            lastPoint(envelope.sustainEnabled)
+        );
+        checkRange(
+            name + " loop start",
+            envelope.loopStart,
+            0,
+            lastPoint(envelope.loopEnabled)
+        );
+        checkRange(
+            name + " loop end",
+            envelope.loopEnd,
+            0,
+            lastPoint(envelope.loopEnabled)
+        );
+        envelope.points.forEach(function (point, i) {
+            checkRange(name + " point " + i + " frame", point.frame, 0, 0xffff);
+            checkRange(name + " point " + i + " value", point.value, 0, 0xffff);
+            view.setUint16(offsets.points + i * 4, point.frame, true);
+            view.setUint16(offsets.points + i * 4 + 2, point.value, true);
+        });
+        bytes[offsets.count] = envelope.points.length;
+        bytes[offsets.sustain] = envelope.sustainPoint;
+        bytes[offsets.sustain + 1] = envelope.loopStart;
+        bytes[offsets.sustain + 2] = envelope.loopEnd;
+        // an envelope without points can't be played
+        bytes[offsets.flags] =
+            (envelope.enabled && envelope.points.length > 0 ? 1 : 0) |
+            (envelope.sustainEnabled ? 2 : 0) |
+            (envelope.loopEnabled ? 4 : 0);
+    }
+
+    // the header, the sample headers and the sample data of an instrument
+    function encodeInstrument(instrument, number) {
+        var samples = instrument.samples || [];
+        checkRange(
+            "Sample count of instrument " + number,
+            samples.length,
+            0,
+            MAX_SAMPLES
+        );
+        var dataSize = 0;
+        samples.forEach(function (sample) {
+            dataSize += sample.data.length * (sample.bits / 8);
+        });
+        // an instrument without samples only has its name
+        var headerSize = samples.length > 0 ? INSTRUMENT_HEADER_SIZE : 29;
+        var size = headerSize + samples.length * 40 + dataSize;
+        var bytes = new Uint8Array(size);
+        var view = new DataView(bytes.buffer);
+
+        view.setUint32(0, headerSize, true);
+        writeString(bytes, 4, instrument.name || "", 22);
+        view.setUint16(27, samples.length, true);
+        if (samples.length == 0) return bytes;
+        view.setUint32(29, 40, true); // size of a sample header
+        (instrument.keymap || []).forEach(function (sample, i) {
+            bytes[33 + i] = sample;
+        });
+        writeEnvelope(
+            view,
+            bytes,
+            instrument.volumeEnvelope,
+            { points: 129, count: 225, sustain: 227, flags: 233 },
+            "Volume envelope of instrument " + number
+        );
+        writeEnvelope(
+            view,
+            bytes,
+            instrument.panningEnvelope,
+            { points: 177, count: 226, sustain: 230, flags: 234 },
+            "Panning envelope of instrument " + number
+        );
+        if (instrument.vibrato) {
+            bytes[235] = Math.max(
+                0,
+                VIBRATO_TYPES.indexOf(instrument.vibrato.type)
+            );
+            bytes[236] = instrument.vibrato.sweep;
+            bytes[237] = instrument.vibrato.depth;
+            bytes[238] = instrument.vibrato.rate;
+        }
+        view.setUint16(239, instrument.fadeout || 0, true);
+
+        var offset = INSTRUMENT_HEADER_SIZE;
+        samples.forEach(function (sample, i) {
+            var name = "Sample " + i + " of instrument " + number;
+            checkRange(name + " volume", sample.volume, 0, 64);
+            checkRange(name + " panning", sample.panning, 0, 255);
+            checkRange(name + " finetune", sample.finetune, -128, 127);
+            checkRange(name + " relative note", sample.relativeNote, -128, 127);
+            var bytesPerFrame = sample.bits / 8;
+            var loopType = Math.max(0, LOOP_TYPES.indexOf(sample.loopType));
+            view.setUint32(offset, sample.data.length * bytesPerFrame, true);
+            view.setUint32(offset + 4, sample.loopStart * bytesPerFrame, true);
+            view.setUint32(offset + 8, sample.loopLength * bytesPerFrame, true);
+            bytes[offset + 12] = sample.volume;
+            view.setInt8(offset + 13, sample.finetune);
+            bytes[offset + 14] = loopType | (sample.bits == 16 ? 0x10 : 0);
+            bytes[offset + 15] = sample.panning;
+            view.setInt8(offset + 16, sample.relativeNote);
+            writeString(bytes, offset + 18, sample.name || "", 22);
+            offset += 40;
+        });
+
+        // the frames are stored as the difference to the previous one
+        samples.forEach(function (sample) {
+            var previous = 0;
+            for (var i = 0; i < sample.data.length; ++i) {
+                var delta = sample.data[i] - previous;
+                previous = sample.data[i];
+                if (sample.bits == 16) {
+                    view.setInt16(offset, delta, true);
+                    offset += 2;
+                } else {
+                    view.setInt8(offset, delta);
+                    offset++;
+                }
+            }
+        });
+        return bytes;
+    }
+
+    /** Writes a document of XMFile.readDocument as an XM module, XMConvert
+     * writes the modules it converts with this too.
+     * Throws a RangeError if a part of the document can't be stored in an
+     * XM file, like a row with the wrong number of cells, a sample volume
+     * above 64, or the sustain point of an envelope that doesn't have it.
+     * @param {Object} document - the document
+     * @return {Uint8Array} the module
+     */
+    function writeDocument(document) {
+        var channelsNum = document.channelsNum;
+        checkRange("Channel count", channelsNum, 1, MAX_CHANNELS);
+        checkRange("Order count", document.orders.length, 1, MAX_PATTERNS);
+        checkRange("Pattern count", document.patterns.length, 1, MAX_PATTERNS);
+        checkRange(
+            "Instrument count",
+            document.instruments.length,
+            0,
+            MAX_INSTRUMENTS
+        );
+        checkRange(
+            "Restart position",
+            document.restartPosition,
+            0,
+            document.orders.length - 1
+        );
+        // they are 16 bit fields, libxm plays any value
+        checkRange("Tempo", document.tempo, 1, 0xffff);
+        checkRange("BPM", document.bpm, 1, 0xffff);
+        document.orders.forEach(function (pattern, i) {
+            checkRange(
+                "Pattern of order " + i,
+                pattern,
+                0,
+                document.patterns.length - 1
+            );
+        });
+
+        var parts = [];
+        var header = new Uint8Array(HEADER_SIZE_OFFSET + 20 + MAX_PATTERNS);
+        var view = new DataView(header.buffer);
+        writeString(header, 0, SIGNATURE, 17);
+        writeString(header, 17, document.name || "", 20);
+        header[37] = 0x1a;
+        writeString(header, 38, document.trackerName || "jslibxm", 20);
+        view.setUint16(58, 0x0104, true); // version
+        view.setUint32(HEADER_SIZE_OFFSET, 20 + MAX_PATTERNS, true);
+        view.setUint16(64, document.orders.length, true);
+        view.setUint16(66, document.restartPosition, true);
+        view.setUint16(68, channelsNum, true);
+        view.setUint16(70, document.patterns.length, true);
+        view.setUint16(72, document.instruments.length, true);
+        view.setUint16(74, document.linearFrequencies ? 1 : 0, true);
+        view.setUint16(76, document.tempo, true);
+        view.setUint16(78, document.bpm, true);
+        header.set(document.orders, 80);
+        parts.push(header);
+
+        document.patterns.forEach(function (rows, i) {
+            checkRange("Row count of pattern " + i, rows.length, 1, MAX_ROWS);
+            var data = encodePattern(rows, channelsNum);
+            var patternHeader = new Uint8Array(9);
+            var patternView = new DataView(patternHeader.buffer);
+            patternView.setUint32(0, 9, true);
+            patternView.setUint16(5, rows.length, true);
+            patternView.setUint16(7, data.length, true);
+            parts.push(patternHeader, data);
+        });
+
+        document.instruments.forEach(function (instrument, i) {
+            parts.push(encodeInstrument(instrument, i + 1));
+        });
+
+        var length = 0;
+        parts.forEach(function (part) {
+            length += part.length;
+        });
+        var module = new Uint8Array(length);
+        var offset = 0;
+        parts.forEach(function (part) {
+            module.set(part, offset);
+            offset += part.length;
+        });
+        return module;
+    }
+
+    /** Makes a song that plays nothing out of a module, to play its
+     * instruments with XMModule.noteOn. The song is one empty pattern that
+     * loops, the instruments stay the same.
+     * @param {(Int8Array|Uint8Array|ArrayBuffer)} data - module data
+     * @param channels - channel count of the song (1..32), the one of the
+     * module by default
+     * @return {Uint8Array} the new module, or null if the module has fatal
+     * problems (see XMFile.validate)
+     */
+    function emptySong(data, channels) {
+        var module = parse(data);
+        var fatal = module.problems.some(function (problem) {
+            return problem.fatal;
+        });
+        if (fatal) return null;
+        if (channels === undefined) channels = module.channelsNum;
+        if (!(channels >= 1 && channels <= MAX_CHANNELS))
+            throw new RangeError(
+                "Channel count " +
+                    channels +
+                    " is out of range (1.." +
+                    MAX_CHANNELS +
+                    ")"
+            );
+        var bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+
+        // the instruments start after the last pattern
+        var instrumentsOffset = HEADER_SIZE_OFFSET + module.headerSize;
+        module.patterns.forEach(function (pattern) {
+            instrumentsOffset = pattern.dataOffset + pattern.dataSize;
+        });
+        var instruments = bytes.subarray(instrumentsOffset);
+
+        // header with an order table of 256 entries, and a pattern of the
+        // most rows that has no data
+        var headerSize = 20 + MAX_PATTERNS;
+        var song = new Uint8Array(
+            HEADER_SIZE_OFFSET + headerSize + 9 + instruments.length
+        );
+        var view = new DataView(song.buffer);
+        song.set(bytes.subarray(0, 80));
+        view.setUint32(HEADER_SIZE_OFFSET, headerSize, true);
+        view.setUint16(64, 1, true); // song length
+        view.setUint16(66, 0, true); // restart position
+        view.setUint16(68, channels, true);
+        view.setUint16(70, 1, true); // patterns
+
+        var patternOffset = HEADER_SIZE_OFFSET + headerSize;
+        view.setUint32(patternOffset, 9, true);
+        view.setUint16(patternOffset + 5, MAX_ROWS, true);
+        song.set(instruments, patternOffset + 9);
+        return song;
+    }
+
+    return {
+        XMFile: {
+            parse: parse,
+            validate: validate,
+            readPattern: readPattern,
+            noteName: noteName,
+            emptySong: emptySong,
+            readInstrument: readInstrument,
+            readSample: readSample,
+            readDocument: readDocument,
+            writeDocument: writeDocument,
+        },
+    };
+});
@@ -0,0 +1,95 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMConvert = require("../src/convert.js").XMConvert;
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+var modules = {
+    mod: fixtures.mod,
+    s3m: fixtures.s3m,
+    it: fixtures.it,
+};
+
+function fatal(problems) {
+    return problems.filter(function (problem) {
+        return problem.fatal;
+    });
+}
+
+test("detect recognizes every format", function () {
+    assert.strictEqual(XMConvert.detect(fixtures.xm()), "xm");
+    for (var format in modules)
+        assert.strictEqual(XMConvert.detect(modules[format]()), format);
+    assert.strictEqual(XMConvert.detect(new Uint8Array(2048)), null);
+});
+
+test("XM modules are returned unchanged", function () {
+    var data = fixtures.xm();
+    var result = XMConvert.convert(data);
+    assert.strictEqual(result.format, "xm");
+    assert.deepStrictEqual(result.data, data);
+    assert.deepStrictEqual(result.problems, []);
+});
+
+test("unknown modules aren't converted", function () {
+    var result = XMConvert.convert(new Uint8Array(2048));
+    assert.strictEqual(result.format, null);
+    assert.strictEqual(result.data, null);
+    assert.strictEqual(result.problems[0].reason, "unknown-format");
+});
+
+for (var format in modules) {
+    test(
+        "converts " + format.toUpperCase() + " to a valid XM module",
+        function (module) {
+            var result = XMConvert.convert(module());
+            assert.deepStrictEqual(fatal(result.problems), []);
+            assert.deepStrictEqual(XMFile.validate(result.data), {
+                valid: true,
+                problems: [],
+            });
+
+            var song = XMFile.readDocument(result.data);
+            song.instruments.forEach(function (instrument) {
+                instrument.samples.forEach(function (sample) {
+                    assert.deepStrictEqual(sample.data, module.sample);
+                });
+            });
+        }.bind(null, modules[format])
+    );
+}
+
+test("converts IT modules that use instruments", function () {
+    var result = XMConvert.convert(fixtures.it(true));
+    assert.deepStrictEqual(result.problems, []);
+    var song = XMFile.readDocument(result.data);
+    assert.strictEqual(song.instruments.length, 1);
+    assert.strictEqual(
+        song.instruments[0].volumeEnvelope.points.length > 0,
+        true
+    );
+});
+
+test("reports effects XM doesn't have", function () {
+    var problems = XMConvert.convert(fixtures.s3m()).problems;
+    assert.strictEqual(problems.length, 1);
+    assert.strictEqual(problems[0].reason, "unsupported-effect");
+    assert.strictEqual(problems[0].fatal, false);
+});
+
+test("converted modules play in XMContext", async function () {
+    await core.libxm.ready;
+    for (var format in modules) {
+        var context = new core.XMContext(modules[format](), 48000);
+        assert.strictEqual(context.format, format);
+        var samples = context.generateSamples(4096);
+        assert.strictEqual(
+            samples.some(function (sample) {
+                return sample != 0;
+            }),
+            true
+        );
+        context.free();
+    }
+});
@@ -0,0 +1,118 @@
+var test = require("node:test");
+var assert = require("node:assert");
+// XMModule looks for the AudioContext when it's required
+global.AudioContext = require("./webaudio.js").AudioContext;
+var core = require("../src/core.js");
+var XMModule = require("../src/jslibxm.js").XMModule;
+var fixtures = require("./fixtures.js");
+
+// events are found every XM_BUFFER_LENGTH samples
+var BLOCK = 256 / 48000;
+
+// a module that records its events, playing from the earliest time it can
+async function play(types) {
+    await core.libxm.ready;
+    var module = new XMModule(48000);
+    var events = [];
+    types.forEach(function (type) {
+        module.on(type, function (event) {
+            events.push(event);
+        });
+    });
+    await module.load(fixtures.xm());
+    var start = module.getEarliestStartTime();
+    module.resume(start);
+    return { module: module, events: events, start: start };
+}
+
+// the events that are queued after the last generated ones wait for a
+// timer, which runs in real time (at most two buffers of 4096 samples)
+function settle() {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 250);
+    });
+}
+
+function ofType(events, type) {
+    return events.filter(function (event) {
+        return event.type == type;
+    });
+}
+
+test("rows, orders and notes are emitted when they're heard", async function () {
+    var played = await play(["load", "order", "row", "noteon", "noteoff"]);
+    var events = played.events;
+    assert.strictEqual(events[0].type, "load");
+
+    played.module.audioContext.advance(played.start + 9);
+    played.module.destroy();
+
+    assert.deepStrictEqual(
+        events.slice(1, 5).map(function (event) {
+            return event.type;
+        }),
+        ["order", "row", "noteon", "noteon"]
+    );
+    assert.strictEqual(events[1].time, played.start);
+    assert.deepStrictEqual(
+        [events[3].channel, events[3].note, events[3].instrument],
+        [1, 49, 1]
+    );
+    assert.deepStrictEqual(
+        [events[4].channel, events[4].note, events[4].instrument],
+        [2, 56, 2]
+    );
+
+    // a row is 0.12 seconds long until the F08 on row 20 of order 1
+    var rows = ofType(events, "row");
+    rows.slice(0, 64).forEach(function (row, i) {
+        assert.strictEqual(row.row, i);
+        assert.ok(Math.abs(row.time - played.start - i * 0.12) < BLOCK);
+    });
+    assert.deepStrictEqual(
+        ofType(events, "order").map(function (order) {
+            return order.patternIndex;
+        }),
+        [0, 1]
+    );
+
+    // the key off on row 4 ends the note of channel 1
+    var noteOff = ofType(events, "noteoff")[0];
+    assert.strictEqual(noteOff.channel, 1);
+    assert.ok(Math.abs(noteOff.time - played.start - 4 * 0.12) < BLOCK);
+});
+
+test("loop and end are emitted after the song", async function () {
+    var played = await play(["loop", "end", "row"]);
+    played.module.setMaxLoopCount(2);
+    played.module.audioContext.advance(played.start + 60);
+    await settle();
+
+    var loops = ofType(played.events, "loop");
+    assert.deepStrictEqual(
+        loops.map(function (loop) {
+            return loop.loopCount;
+        }),
+        [1, 2]
+    );
+    assert.ok(Math.abs(loops[0].time - played.start - 32.48) < BLOCK);
+    var end = ofType(played.events, "end");
+    assert.strictEqual(end.length, 1);
+    assert.strictEqual(end[0].time, loops[1].time);
+    // nothing plays after the end
+    var rows = ofType(played.events, "row");
+    assert.ok(rows[rows.length - 1].time < end[0].time);
+    played.module.destroy();
+});
+
+test("removed listeners aren't called", async function () {
+    var played = await play(["row"]);
+    var listener = function () {
+        assert.fail("the listener was removed");
+    };
+    played.module.on("row", listener);
+    played.module.off("row", listener);
+    played.module.audioContext.advance(played.start + 1);
+    assert.ok(played.events.length > 0);
+    played.module.destroy();
+});
@@ -0,0 +1,373 @@
+// Builds small modules for the tests, so no module files have to be checked
+// in. Every module plays a short sine or square wave sample.
+
+// writes a string padded with zeros
+function writeString(bytes, offset, string, length) {
+    for (var i = 0; i < length; ++i)
+        bytes[offset + i] = i < string.length ? string.charCodeAt(i) : 0;
+}
+
+function concat(parts) {
+    var length = 0;
+    parts.forEach(function (part) {
+        length += part.length;
+    });
+    var result = new Uint8Array(length);
+    var offset = 0;
+    parts.forEach(function (part) {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// a sine wave with an amplitude of 100
+function sine(length, period) {
+    var data = new Int8Array(length);
+    for (var i = 0; i < length; ++i)
+        data[i] = Math.round(100 * Math.sin((2 * Math.PI * i) / period));
+    return data;
+}
+
+/** An XM module with 4 channels, 3 patterns and 2 instruments (an 8 bit
+ * square wave and a 16 bit sine wave, with a volume envelope).
+ * @param options - optional settings: name, orders (pattern numbers, [0, 1,
+ * 2, 1] by default), restartPosition (1 by default), tempo, bpm
+ * @return {Uint8Array}
+ */
+function xm(options = {}) {
+    var orders = options.orders || [0, 1, 2, 1];
+    var parts = [];
+
+    var header = new Uint8Array(60 + 276);
+    var view = new DataView(header.buffer);
+    writeString(header, 0, "Extended Module: ", 17);
+    writeString(header, 17, options.name || "test song", 20);
+    header[37] = 0x1a;
+    writeString(header, 38, "jslibxm tests", 20);
+    view.setUint16(58, 0x0104, true);
+    view.setUint32(60, 276, true);
+    view.setUint16(64, orders.length, true);
+    view.setUint16(
+        66,
+        options.restartPosition === undefined ? 1 : options.restartPosition,
+        true
+    );
+    view.setUint16(68, 4, true);
+    view.setUint16(70, 3, true);
+    view.setUint16(72, 2, true);
+    view.setUint16(74, 1, true); // linear frequencies
+    view.setUint16(76, options.tempo || 6, true);
+    view.setUint16(78, options.bpm || 125, true);
+    header.set(orders, 80);
+    parts.push(header);
+
+    for (var pattern = 0; pattern < 3; ++pattern) {
+        var rows = pattern == 2 ? 32 : 64;
+        var data = [];
+        for (var row = 0; row < rows; ++row) {
+            for (var channel = 0; channel < 4; ++channel) {
+                if (row % 8 == 0 && channel < 2) {
+                    // every field: note, instrument, volume, no effect
+                    data.push(49 + channel * 7 + pattern, 1 + channel, 0x40);
+                    data.push(0, 0);
+                } else if (pattern == 1 && row == 20 && channel == 3) {
+                    data.push(0x80 | 0x18, 0x0f, 8); // F08
+                } else if (row % 8 == 4 && channel == 0) {
+                    data.push(97, 0, 0, 0, 0); // key off
+                } else {
+                    data.push(0x80);
+                }
+            }
+        }
+        var patternHeader = new Uint8Array(9);
+        var patternView = new DataView(patternHeader.buffer);
+        patternView.setUint32(0, 9, true);
+        patternView.setUint16(5, rows, true);
+        patternView.setUint16(7, data.length, true);
+        parts.push(patternHeader, Uint8Array.from(data));
+    }
+
+    for (var i = 0; i < 2; ++i) {
+        var frames = 64 * (i + 1);
+        var bytesPerFrame = i + 1;
+        var instrument = new Uint8Array(263);
+        var instrumentView = new DataView(instrument.buffer);
+        instrumentView.setUint32(0, 263, true);
+        writeString(instrument, 4, "instr " + (i + 1), 22);
+        instrumentView.setUint16(27, 1, true);
+        instrumentView.setUint32(29, 40, true);
+        [
+            [0, 64],
+            [10, 32],
+            [40, 0],
+        ].forEach(function (point, j) {
+            instrumentView.setUint16(129 + j * 4, point[0], true);
+            instrumentView.setUint16(131 + j * 4, point[1], true);
+        });
+        instrument[225] = 3; // volume envelope points
+        instrument[227] = 1; // sustain point
+        instrument[233] = 1 | 2; // enabled, sustain
+        instrumentView.setUint16(239, 0x20, true); // fadeout
+        parts.push(instrument);
+
+        var sample = new Uint8Array(40);
+        var sampleView = new DataView(sample.buffer);
+        sampleView.setUint32(0, frames * bytesPerFrame, true);
+        sampleView.setUint32(8, frames * bytesPerFrame, true); // loop length
+        sample[12] = 48; // volume
+        sample[14] = 1 | (i == 1 ? 0x10 : 0); // forward loop, 16 bit
+        sample[15] = 128; // panning
+        writeString(sample, 18, "smp " + (i + 1), 22);
+        parts.push(sample);
+
+        // delta encoded
+        var previous = 0;
+        var deltas = i == 0 ? new Int8Array(frames) : new Int16Array(frames);
+        for (var j = 0; j < frames; ++j) {
+            var value =
+                i == 0
+                    ? j < frames / 2
+                        ? 60
+                        : -60
+                    : Math.round(12000 * Math.sin((2 * Math.PI * j) / frames));
+            deltas[j] = value - previous;
+            previous = value;
+        }
+        parts.push(new Uint8Array(deltas.buffer));
+    }
+    return concat(parts);
+}
+
+/** A ProTracker MOD with 4 channels, one pattern and a looped sine sample
+ * (mod.sample).
+ * @return {Uint8Array}
+ */
+function mod() {
+    var sample = mod.sample;
+    var bytes = new Uint8Array(1084 + 1024 + sample.length);
+    writeString(bytes, 0, "test mod", 20);
+    writeString(bytes, 20, "sine", 22);
+    bytes[43] = sample.length / 2; // length in words
+    bytes[45] = 64; // volume
+    bytes[49] = sample.length / 2; // loop length in words
+    bytes[950] = 2; // song length
+    bytes[951] = 127;
+    writeString(bytes, 1080, "M.K.", 4);
+
+    // row 0: C-4 on channel 1, C-5 with F03 on channel 2, both sample 1
+    var row = 1084;
+    bytes.set([0x01, 0xac, 0x10, 0x00, 0x00, 214, 0x1f, 0x03], row);
+    // row 32: C20 (volume) on channel 1
+    bytes.set([0x00, 0x00, 0x0c, 0x20], row + 32 * 16);
+    bytes.set(new Uint8Array(sample.buffer), 1084 + 1024);
+    return bytes;
+}
+mod.sample = sine(64, 32);
+
+/** A Scream Tracker 3 S3M with 2 channels, one sine sample and a pattern
+ * that uses an effect XM doesn't have (Y, panbrello).
+ * @return {Uint8Array}
+ */
+function s3m() {
+    var bytes = new Uint8Array(0x300 + 64);
+    var view = new DataView(bytes.buffer);
+    writeString(bytes, 0, "test s3m", 28);
+    bytes[0x1c] = 0x1a;
+    bytes[0x1d] = 16; // type
+    view.setUint16(0x20, 2, true); // orders
+    view.setUint16(0x22, 1, true); // instruments
+    view.setUint16(0x24, 1, true); // patterns
+    view.setUint16(0x28, 0x1320, true); // tracker version
+    view.setUint16(0x2a, 2, true); // unsigned samples
+    writeString(bytes, 0x2c, "SCRM", 4);
+    bytes[0x30] = 64; // global volume
+    bytes[0x31] = 6; // speed
+    bytes[0x32] = 125; // tempo
+    bytes[0x33] = 0x80 | 48; // stereo, master volume
+    for (var i = 0; i < 32; ++i) bytes[0x40 + i] = i < 2 ? i * 8 : 255;
+    bytes[0x60] = 0;
+    bytes[0x61] = 255; // end of the song
+    view.setUint16(0x62, 0x10, true); // instrument at 0x100
+    view.setUint16(0x64, 0x20, true); // pattern at 0x200
+
+    var instrument = 0x100;
+    bytes[instrument] = 1; // sample
+    writeString(bytes, instrument + 1, "sine.raw", 12);
+    view.setUint16(instrument + 0x0e, 0x30, true); // data at 0x300
+    view.setUint32(instrument + 0x10, 64, true); // length
+    view.setUint32(instrument + 0x18, 64, true); // loop end
+    bytes[instrument + 0x1c] = 64; // volume
+    bytes[instrument + 0x1f] = 1; // looped
+    view.setUint32(instrument + 0x20, 8363, true); // C-4 rate
+    writeString(bytes, instrument + 0x30, "sine", 28);
+    writeString(bytes, instrument + 0x4c, "SCRS", 4);
+
+    var pattern = [
+        // row 0: C-4 with A03 on channel 1, C-5 with S8F on channel 2
+        0x00 | 0x20 | 0x40 | 0x80,
+        0x40,
+        1,
+        48,
+        1,
+        3,
+        0x01 | 0x20 | 0x80,
+        0x50,
+        1,
+        19,
+        0x8f,
+        0,
+        // row 1: Y11 on channel 1
+        0x00 | 0x80,
+        25,
+        0x11,
+        0,
+    ];
+    for (var row = 2; row < 64; ++row) pattern.push(0);
+    view.setUint16(0x200, pattern.length, true);
+    bytes.set(pattern, 0x202);
+
+    var sample = s3m.sample;
+    for (var j = 0; j < sample.length; ++j) bytes[0x300 + j] = sample[j] + 128;
+    return bytes;
+}
+s3m.sample = sine(64, 32);
+
+/** An Impulse Tracker IT with 2 channels and 2 sine samples (the second
+ * one compressed), played directly or through an instrument with a volume
+ * envelope.
+ * @param useInstruments - use the instrument (false by default)
+ * @return {Uint8Array}
+ */
+function it(useInstruments = false) {
+    var bytes = new Uint8Array(0xb00 + 128);
+    var view = new DataView(bytes.buffer);
+    writeString(bytes, 0, "IMPM", 4);
+    writeString(bytes, 4, "test it", 26);
+    view.setUint16(0x20, 2, true); // orders
+    view.setUint16(0x22, useInstruments ? 1 : 0, true);
+    view.setUint16(0x24, 2, true); // samples
+    view.setUint16(0x26, 1, true); // patterns
+    view.setUint16(0x28, 0x0214, true);
+    view.setUint16(0x2a, 0x0214, true);
+    // stereo, linear slides, instruments
+    view.setUint16(0x2c, 1 | 8 | (useInstruments ? 4 : 0), true);
+    bytes[0x30] = 128; // global volume
+    bytes[0x31] = 48; // mix volume
+    bytes[0x32] = 6; // speed
+    bytes[0x33] = 125; // tempo
+    for (var i = 0; i < 64; ++i) {
+        bytes[0x40 + i] = i == 0 ? 0 : i == 1 ? 64 : 32; // panning
+        bytes[0x80 + i] = 64; // volume
+    }
+    bytes[0xc0] = 0;
+    bytes[0xc1] = 255; // end of the song
+
+    var offset = 0xc2;
+    if (useInstruments) {
+        view.setUint32(offset, 0x200, true);
+        offset += 4;
+    }
+    view.setUint32(offset, 0x400, true);
+    view.setUint32(offset + 4, 0x480, true);
+    view.setUint32(offset + 8, 0x600, true);
+
+    [0x400, 0x480].forEach(function (header, k) {
+        writeString(bytes, header, "IMPS", 4);
+        bytes[header + 0x11] = 64; // global volume
+        // has data, looped, compressed
+        bytes[header + 0x12] = 1 | 0x10 | (k == 1 ? 8 : 0);
+        bytes[header + 0x13] = 64; // volume
+        writeString(bytes, header + 0x14, "sample" + k, 26);
+        bytes[header + 0x2e] = 1; // signed
+        bytes[header + 0x2f] = 32; // panning
+        view.setUint32(header + 0x30, 64, true); // length
+        view.setUint32(header + 0x38, 64, true); // loop end
+        view.setUint32(header + 0x3c, 8363 * 2, true); // C-5 rate
+        view.setUint32(header + 0x48, k == 0 ? 0xa00 : 0xb00, true);
+    });
+    bytes.set(new Uint8Array(it.sample.buffer), 0xa00);
+    bytes.set(compressIT(it.sample), 0xb00);
+
+    if (useInstruments) {
+        var instrument = 0x200;
+        writeString(bytes, instrument, "IMPI", 4);
+        view.setUint16(instrument + 0x14, 64, true); // fadeout
+        bytes[instrument + 0x18] = 128; // global volume
+        bytes[instrument + 0x19] = 0x80 | 32; // panning
+        view.setUint16(instrument + 0x1c, 0x214, true);
+        view.setUint16(instrument + 0x1e, 2, true); // samples
+        writeString(bytes, instrument + 0x20, "inst", 26);
+        // the notes from C-6 up play the second sample an octave lower
+        for (var note = 0; note < 120; ++note) {
+            bytes[instrument + 0x40 + note * 2] = note >= 72 ? note - 12 : note;
+            bytes[instrument + 0x41 + note * 2] = note >= 72 ? 2 : 1;
+        }
+        var envelope = instrument + 0x130;
+        bytes[envelope] = 1 | 4; // enabled, sustain
+        bytes[envelope + 1] = 3; // points
+        bytes[envelope + 4] = 1; // sustain start
+        bytes[envelope + 5] = 1; // sustain end
+        [
+            [64, 0],
+            [32, 10],
+            [0, 30],
+        ].forEach(function (point, j) {
+            bytes[envelope + 6 + j * 3] = point[0];
+            view.setUint16(envelope + 7 + j * 3, point[1], true);
+        });
+    }
+
+    var pattern = [
+        // row 0: C-5, instrument 1, volume 64 and T80 on channel 1, C-6
+        // with C10 on channel 2
+        0x81,
+        1 | 2 | 4 | 8,
+        60,
+        1,
+        64,
+        20,
+        0x80,
+        0x82,
+        1 | 2 | 8,
+        72,
+        useInstruments ? 1 : 2,
+        3,
+        0x10,
+        0,
+        // row 1: note off on channel 1
+        0x81,
+        1,
+        255,
+        0,
+    ];
+    for (var row = 2; row < 64; ++row) pattern.push(0);
+    view.setUint16(0x600, pattern.length, true);
+    view.setUint16(0x602, 64, true);
+    bytes.set(pattern, 0x608);
+    return bytes;
+}
+it.sample = sine(64, 32);
+
+// compresses 8 bit samples like Impulse Tracker 2.14, always with 9 bit
+// wide deltas
+function compressIT(samples) {
+    var bits = [];
+    var previous = 0;
+    samples.forEach(function (value) {
+        var delta = (value - previous) & 0xff;
+        previous = value;
+        for (var i = 0; i < 9; ++i) bits.push(i < 8 ? (delta >> i) & 1 : 0);
+    });
+    var block = new Uint8Array(Math.ceil(bits.length / 8));
+    bits.forEach(function (bit, i) {
+        if (bit) block[i >> 3] |= 1 << (i & 7);
+    });
+    var bytes = new Uint8Array(2 + block.length);
+    bytes[0] = block.length & 0xff;
+    bytes[1] = block.length >> 8;
+    bytes.set(block, 2);
+    return bytes;
+}
+
+module.exports = { xm: xm, mod: mod, s3m: s3m, it: it };
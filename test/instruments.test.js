@@ -0,0 +1,95 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+test("readInstrument can be saved as JSON", function () {
+    var instrument = XMFile.readInstrument(fixtures.xm(), 2);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(instrument)), instrument);
+    assert.strictEqual(instrument.name, "instr 2");
+    assert.strictEqual(instrument.volumeEnvelope.points.length, 3);
+    // the lengths are in frames, not bytes
+    assert.deepStrictEqual(instrument.samples, [
+        {
+            name: "smp 2",
+            bits: 16,
+            length: 128,
+            loopType: "forward",
+            loopStart: 0,
+            loopLength: 128,
+            volume: 48,
+            panning: 128,
+            relativeNote: 0,
+            finetune: 0,
+            sampleRate: 8363,
+        },
+    ]);
+    assert.strictEqual(XMFile.readInstrument(fixtures.xm(), 3), null);
+});
+
+test("readSample decodes the deltas", function () {
+    var square = XMFile.readSample(fixtures.xm(), 1, 0);
+    assert.strictEqual(square.data instanceof Int8Array, true);
+    assert.deepStrictEqual(
+        Array.from(square.data),
+        new Array(64).fill(60).fill(-60, 32)
+    );
+
+    var sine = XMFile.readSample(fixtures.xm(), 2, 0);
+    assert.strictEqual(sine.data instanceof Int16Array, true);
+    assert.strictEqual(sine.data.length, 128);
+    assert.strictEqual(sine.data[32], 12000);
+    assert.strictEqual(sine.data[96], -12000);
+
+    assert.strictEqual(XMFile.readSample(fixtures.xm(), 1, 1), null);
+});
+
+test("sampleToWAV exports the sample with its loop", async function () {
+    await core.libxm.ready;
+    var wav = new DataView(core.libxm.sampleToWAV(fixtures.xm(), 1, 0));
+    var text = function (offset) {
+        return String.fromCharCode.apply(
+            null,
+            new Uint8Array(wav.buffer, offset, 4)
+        );
+    };
+    assert.strictEqual(text(0), "RIFF");
+    assert.strictEqual(wav.getUint32(4, true), wav.byteLength - 8);
+    assert.strictEqual(wav.getUint16(22, true), 1); // mono
+    assert.strictEqual(wav.getUint32(24, true), 8363);
+    assert.strictEqual(wav.getUint16(34, true), 8);
+    assert.strictEqual(wav.getUint32(40, true), 64);
+    // 8 bit WAV samples are unsigned
+    assert.strictEqual(wav.getUint8(44), 60 + 128);
+    assert.strictEqual(wav.getUint8(44 + 63), -60 + 128);
+
+    var smpl = 44 + 64;
+    assert.strictEqual(text(smpl), "smpl");
+    assert.strictEqual(wav.getUint32(smpl + 20, true), 60); // C-4
+    assert.strictEqual(wav.getUint32(smpl + 36, true), 1); // one loop
+    assert.strictEqual(wav.getUint32(smpl + 48, true), 0); // forward
+    assert.strictEqual(wav.getUint32(smpl + 52, true), 0);
+    assert.strictEqual(wav.getUint32(smpl + 56, true), 63);
+
+    wav = new DataView(core.libxm.sampleToWAV(fixtures.xm(), 2, 0));
+    assert.strictEqual(wav.getUint16(34, true), 16);
+    assert.strictEqual(wav.getInt16(44 + 2 * 32, true), 12000);
+
+    assert.strictEqual(core.libxm.sampleToWAV(fixtures.xm(), 1, 1), null);
+});
+
+test("sampleToWAV converts other formats first", async function () {
+    await core.libxm.ready;
+    var wav = new DataView(core.libxm.sampleToWAV(fixtures.mod(), 1, 0));
+    var data = new Int8Array(64);
+    for (var i = 0; i < 64; ++i) data[i] = wav.getUint8(44 + i) - 128;
+    assert.deepStrictEqual(data, fixtures.mod.sample);
+});
+
+test("renderInstrument rejects instruments that don't exist", async function () {
+    await core.libxm.ready;
+    assert.throws(function () {
+        core.libxm.renderInstrument(fixtures.xm(), 3);
+    }, /Instrument 3 is out of range \(1..2\)/);
+});
@@ -0,0 +1,38 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMModule = require("../src/jslibxm.js").XMModule;
+var fixtures = require("./fixtures.js");
+
+// the error of a constructor, or null
+function error(create) {
+    try {
+        create();
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+// tried right away, before the runtime is initialized
+var contextError = error(function () {
+    return new core.XMContext(fixtures.xm(), 48000);
+});
+var moduleError = error(function () {
+    return new XMModule(48000);
+});
+
+test("nothing can be created before libxm.ready", function () {
+    assert.strictEqual(contextError instanceof core.XMLifecycleError, true);
+    assert.strictEqual(moduleError instanceof core.XMLifecycleError, true);
+    assert.strictEqual(moduleError.message, "Runtime is not initialized!");
+});
+
+test("freed contexts throw an XMLifecycleError", async function () {
+    await core.libxm.ready;
+    var context = new core.XMContext(fixtures.xm(), 48000);
+    context.free();
+    assert.throws(function () {
+        context.generateSamples(4096);
+    }, core.XMLifecycleError);
+});
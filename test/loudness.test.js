@@ -0,0 +1,104 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+function peak(pcm) {
+    var result = 0;
+    pcm.channels.forEach(function (channel) {
+        for (var i = 0; i < channel.length; ++i)
+            result = Math.max(result, Math.abs(channel[i]));
+    });
+    return result;
+}
+
+test("measureLoudness measures the whole song", async function () {
+    await core.libxm.ready;
+    var loudness = core.libxm.measureLoudness(fixtures.xm());
+    assert.ok(loudness.integrated > -40 && loudness.integrated < -10);
+    // the song is measured in chunks of 256 samples, up to the one the
+    // next loop starts in (32.48 seconds is 6090 chunks)
+    assert.strictEqual(loudness.duration, (6091 * 256) / 48000);
+    assert.strictEqual(
+        loudness.peak,
+        peak(core.libxm.renderToPCM(fixtures.xm(), { loops: 1 }))
+    );
+
+    var silent = core.libxm.measureLoudness(XMFile.emptySong(fixtures.xm()), {
+        duration: 1,
+        sampleRate: 8000,
+    });
+    assert.deepStrictEqual(silent, {
+        integrated: -Infinity,
+        peak: 0,
+        duration: 1,
+    });
+});
+
+test("getNormalizationGain reaches the target", function () {
+    var gain = core.libxm.getNormalizationGain;
+    assert.ok(Math.abs(gain({ integrated: -26 }) - Math.pow(10, 0.5)) < 1e-9);
+    assert.ok(Math.abs(gain({ integrated: -10 }, -16) - 0.5012) < 1e-4);
+    // quiet songs are amplified by 20 dB at most, silent ones not at all
+    assert.strictEqual(gain({ integrated: -80 }), 10);
+    assert.strictEqual(gain({ integrated: -Infinity }), 1);
+});
+
+test("normalize amplifies by the normalization gain", async function () {
+    await core.libxm.ready;
+    var options = { duration: 3 };
+    var gain = core.libxm.getNormalizationGain(
+        core.libxm.measureLoudness(fixtures.xm(), options),
+        -20
+    );
+    assert.deepStrictEqual(
+        core.libxm.renderToPCM(
+            fixtures.xm(),
+            Object.assign({ normalize: -20 }, options)
+        ),
+        core.libxm.renderToPCM(
+            fixtures.xm(),
+            Object.assign({ amplification: gain }, options)
+        )
+    );
+});
+
+test("the limiters keep the peaks under the ceiling", async function () {
+    await core.libxm.ready;
+    var render = function (limiter) {
+        return core.libxm.renderToPCM(fixtures.xm(), {
+            duration: 5,
+            amplification: 20,
+            limiter: limiter,
+        });
+    };
+    assert.ok(peak(render("none")) > 1);
+    ["softclip", "limiter"].forEach(function (limiter) {
+        var pcm = render(limiter);
+        // the look-ahead of the limiter doesn't change the length
+        assert.strictEqual(pcm.length, 5 * 48000);
+        assert.ok(peak(pcm) <= 0.98 + 1e-6, limiter);
+    });
+});
+
+test("XMOutputStage reports the levels of a chunk", function () {
+    var stage = new core.XMOutputStage(48000, { gain: 4 });
+    var samples = new Float32Array([0.1, -0.2, 0.3, 0.25]);
+    var levels = stage.process(samples);
+    assert.ok(Math.abs(samples[2] - 1.2) < 1e-6);
+    assert.ok(Math.abs(levels.peak[0] - 1.2) < 1e-6);
+    assert.ok(Math.abs(levels.peak[1] - 1.0) < 1e-6);
+    assert.strictEqual(levels.clipped, true);
+    assert.strictEqual(levels.gainReduction, 1);
+
+    stage.setOptions({ gain: 1, limiter: "limiter", lookahead: 0.001 });
+    assert.strictEqual(stage.latency, 48);
+    levels = stage.process(new Float32Array(2 * 480).fill(2));
+    assert.ok(levels.gainReduction < 0.5);
+    assert.strictEqual(levels.clipped, false);
+
+    assert.throws(function () {
+        stage.setOptions({ limiter: "compressor" });
+    }, /Unknown limiter compressor/);
+});
@@ -0,0 +1,88 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var XMMixer = require("../src/mixer.js").XMMixer;
+
+// Node has no Web Audio, the mixer only needs the clock and a gain node of
+// the AudioContext it's given
+function mixer(currentTime) {
+    return new XMMixer({
+        audioContext: {
+            sampleRate: 48000,
+            currentTime: currentTime,
+            createGain: function () {
+                return { gain: { value: 1 }, connect: function () {} };
+            },
+        },
+        destination: null,
+    });
+}
+
+// the parts of an XMModule the mixer uses to start it
+function layer(earliestStartTime) {
+    return {
+        XM_BUFFER_LENGTH: 256,
+        calls: [],
+        getEarliestStartTime: function () {
+            return earliestStartTime;
+        },
+        pause: function () {
+            this.calls.push("pause");
+        },
+        seek: function (patternIndex, row, tick) {
+            this.calls.push("seek " + patternIndex + " " + row + " " + tick);
+        },
+        resume: function (when) {
+            this.calls.push("resume");
+            this.startTime = when;
+        },
+    };
+}
+
+// number of blocks of 256 samples before a time on the block grid
+function blocks(time) {
+    var count = (time * 48000) / 256;
+    assert.strictEqual(Math.abs(count - Math.round(count)) < 1e-6, true);
+    return Math.round(count);
+}
+
+test("layers start together on the block grid", function () {
+    var m = mixer(10);
+    m.layers = { calm: layer(10), battle: layer(10) };
+    var time = m.resume();
+    // 10.1 seconds is 1893.75 blocks
+    assert.strictEqual(blocks(time), 1894);
+    assert.strictEqual(m.layers.calm.startTime, time);
+    assert.strictEqual(m.layers.battle.startTime, time);
+    assert.strictEqual(m.startTime, time);
+    assert.strictEqual(m.playing, true);
+
+    assert.strictEqual(blocks(m.resume(12)), 2250);
+});
+
+test("layers wait for the buffers the engines already queued", function () {
+    var m = mixer(10);
+    // a scheduler layer with two buffers of 4096 samples queued
+    var queued = 10 + (2 * 4096) / 48000;
+    m.layers = { calm: layer(10), battle: layer(queued) };
+    var time = m.resume(10.05);
+    assert.strictEqual(blocks(time), 1907);
+    assert.strictEqual(m.layers.calm.startTime, time);
+});
+
+test("start plays every layer from the beginning", function () {
+    var m = mixer(10);
+    m.layers = { calm: layer(10) };
+    m.start(12);
+    assert.deepStrictEqual(m.layers.calm.calls, [
+        "pause",
+        "seek 0 0 0",
+        "resume",
+    ]);
+    assert.strictEqual(m.layers.calm.startTime, 12);
+});
+
+test("volumes of unknown layers can't be set", function () {
+    assert.throws(function () {
+        mixer(0).setVolume("battle", 1);
+    }, RangeError);
+});
@@ -0,0 +1,80 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+test("XMContext returns the names as strings", async function () {
+    await core.libxm.ready;
+    var context = new core.XMContext(fixtures.xm(), 48000);
+    assert.strictEqual(context.getModuleName(), "test song");
+    assert.strictEqual(context.getTrackerName(), "jslibxm tests");
+    context.free();
+});
+
+test("getModuleInfo describes the song", async function () {
+    await core.libxm.ready;
+    var context = new core.XMContext(fixtures.xm(), 48000);
+    var info = context.getModuleInfo();
+    context.free();
+
+    assert.deepStrictEqual(info.problems, []);
+    assert.strictEqual(info.name, "test song");
+    assert.strictEqual(info.trackerName, "jslibxm tests");
+    assert.strictEqual(info.version, 0x0104);
+    assert.strictEqual(info.channelsNum, 4);
+    assert.strictEqual(info.linearFrequencies, true);
+    assert.strictEqual(info.tempo, 6);
+    assert.strictEqual(info.bpm, 125);
+    assert.strictEqual(info.restartPosition, 1);
+    assert.deepStrictEqual(info.orders, [0, 1, 2, 1]);
+    assert.deepStrictEqual(
+        info.patterns.map(function (pattern) {
+            return pattern.rowsNum;
+        }),
+        [64, 64, 32]
+    );
+
+    assert.strictEqual(info.instruments.length, 2);
+    var instrument = info.instruments[1];
+    assert.strictEqual(instrument.name, "instr 2");
+    assert.strictEqual(instrument.fadeout, 32);
+    assert.deepStrictEqual(instrument.volumeEnvelope.points, [
+        { frame: 0, value: 64 },
+        { frame: 10, value: 32 },
+        { frame: 40, value: 0 },
+    ]);
+    assert.strictEqual(instrument.volumeEnvelope.sustainEnabled, true);
+    assert.strictEqual(instrument.volumeEnvelope.sustainPoint, 1);
+    assert.strictEqual(instrument.panningEnvelope.enabled, false);
+    assert.deepStrictEqual(instrument.vibrato, {
+        type: "sine",
+        sweep: 0,
+        depth: 0,
+        rate: 0,
+    });
+
+    var sample = instrument.samples[0];
+    assert.strictEqual(sample.name, "smp 2");
+    assert.strictEqual(sample.bits, 16);
+    assert.strictEqual(sample.length, 256);
+    assert.strictEqual(sample.loopType, "forward");
+    assert.strictEqual(sample.loopStart, 0);
+    assert.strictEqual(sample.loopLength, 256);
+    assert.strictEqual(sample.volume, 48);
+    assert.strictEqual(sample.panning, 128);
+});
+
+test("parse reads modules from any kind of buffer", function () {
+    var data = fixtures.xm();
+    var info = XMFile.parse(data);
+    assert.deepStrictEqual(XMFile.parse(data.buffer), info);
+    assert.deepStrictEqual(XMFile.parse(new Int8Array(data.buffer)), info);
+
+    // a module in the middle of a bigger buffer
+    var padded = new Uint8Array(data.length + 16);
+    padded.set(data, 8);
+    var view = new Uint8Array(padded.buffer, 8, data.length);
+    assert.strictEqual(XMFile.parse(view).name, "test song");
+    assert.deepStrictEqual(XMFile.parse(view).problems, []);
+});
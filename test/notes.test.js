@@ -0,0 +1,57 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+// builds of libxm.js without the note functions can't play notes
+var hasNotes =
+    typeof require("../lib/libxm.js")._jslibxm_note_on_nearest == "function";
+
+function silent(samples) {
+    return samples.every(function (sample) {
+        return sample == 0;
+    });
+}
+
+test(
+    "noteOn plays an instrument until noteOff",
+    { skip: !hasNotes && "libxm.js was built without the note functions" },
+    async function () {
+        await core.libxm.ready;
+        var song = XMFile.emptySong(fixtures.xm());
+        var context = new core.XMContext(song, 48000);
+        assert.strictEqual(silent(context.generateSamples(1024)), true);
+
+        context.noteOn(2, 49, 2);
+        assert.strictEqual(context.isChannelActive(2), true);
+        assert.strictEqual(silent(context.generateSamples(1024)), false);
+        context.noteOff(2);
+        context.generateSamples(48000);
+        assert.strictEqual(context.isChannelActive(2), false);
+        context.free();
+
+        var pcm = core.libxm.renderInstrument(fixtures.xm(), 2, {
+            release: 0.1,
+        });
+        assert.strictEqual(silent(pcm.channels[0]), false);
+        // the volume envelope fades the released note out
+        assert.strictEqual(pcm.length < 10 * 48000, true);
+    }
+);
+
+test(
+    "noteOn throws an XMUnsupportedError without the note functions",
+    { skip: hasNotes && "libxm.js has the note functions" },
+    async function () {
+        await core.libxm.ready;
+        var context = new core.XMContext(fixtures.xm(), 48000);
+        assert.throws(function () {
+            context.noteOn(1, 49, 1);
+        }, core.XMUnsupportedError);
+        context.free();
+        assert.throws(function () {
+            core.libxm.renderInstrument(fixtures.xm(), 1);
+        }, core.XMUnsupportedError);
+    }
+);
@@ -0,0 +1,83 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+function cell(note, instrument, volume, effectType, effectParam) {
+    return {
+        note: note,
+        instrument: instrument,
+        volume: volume,
+        effectType: effectType,
+        effectParam: effectParam,
+    };
+}
+
+test("readPattern decodes packed and unpacked cells", function () {
+    var rows = XMFile.readPattern(fixtures.xm(), 1);
+    assert.strictEqual(rows.length, 64);
+    var empty = cell(0, 0, 0, 0, 0);
+    // every field is stored
+    assert.deepStrictEqual(rows[0], [
+        cell(50, 1, 0x40, 0, 0),
+        cell(57, 2, 0x40, 0, 0),
+        empty,
+        empty,
+    ]);
+    // a key off and an F08 with only some of the fields
+    assert.deepStrictEqual(rows[20], [
+        cell(97, 0, 0, 0, 0),
+        empty,
+        empty,
+        cell(0, 0, 0, 0x0f, 8),
+    ]);
+    assert.deepStrictEqual(rows[21], [empty, empty, empty, empty]);
+
+    assert.strictEqual(XMFile.readPattern(fixtures.xm(), 2).length, 32);
+    assert.strictEqual(XMFile.readPattern(fixtures.xm(), 3), null);
+});
+
+test("noteName names notes like trackers", function () {
+    assert.strictEqual(XMFile.noteName(0), "---");
+    assert.strictEqual(XMFile.noteName(1), "C-0");
+    assert.strictEqual(XMFile.noteName(49), "C-4");
+    assert.strictEqual(XMFile.noteName(56), "G-4");
+    assert.strictEqual(XMFile.noteName(96), "B-7");
+    assert.strictEqual(XMFile.noteName(97), "===");
+});
+
+// generates samples in chunks of 5 ms, a tick of the fixture is 20 ms
+function playUntil(context, seconds) {
+    while (context.getSampleCount() < seconds * 48000)
+        context.generateSamples(240);
+}
+
+test("getPlayingPosition returns the row that plays", async function () {
+    await core.libxm.ready;
+    var context = new core.XMContext(fixtures.xm(), 48000);
+    assert.deepStrictEqual(
+        context.getPattern(1),
+        XMFile.readPattern(fixtures.xm(), 1)
+    );
+
+    // row 16 starts at 1.92 seconds, libxm already reports the next one
+    playUntil(context, 1.99);
+    assert.deepStrictEqual(context.getPlayingPosition(), {
+        patternIndex: 0,
+        pattern: 0,
+        row: 16,
+        tick: 3,
+    });
+    assert.strictEqual(context.getPosition().row, 17);
+
+    // the first row of the next order
+    playUntil(context, 7.75);
+    assert.deepStrictEqual(context.getPlayingPosition(), {
+        patternIndex: 1,
+        pattern: 1,
+        row: 0,
+        tick: 3,
+    });
+    context.free();
+});
@@ -0,0 +1,63 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var fixtures = require("./fixtures.js");
+
+var libxmjs = require("../lib/libxm.js");
+// builds of libxm.js before the players of src/jslibxm_player.c only have
+// the interpolation they were compiled with
+var hasPlayers = typeof libxmjs._jslibxm_generate_samples_nearest == "function";
+var hasRate = typeof libxmjs._jslibxm_set_rate == "function";
+
+function render(options) {
+    return core.libxm.renderToPCM(
+        fixtures.xm(),
+        Object.assign({ duration: 1 }, options)
+    );
+}
+
+test("getQualityModes tells what the build supports", async function () {
+    await core.libxm.ready;
+    var modes = core.libxm.getQualityModes();
+    assert.deepStrictEqual(
+        modes.interpolation,
+        hasPlayers ? ["nearest", "linear"] : [modes.defaultInterpolation]
+    );
+    assert.deepStrictEqual(modes.oversampling, hasRate ? [1, 2, 4, 8] : [1]);
+
+    var missing = ["nearest", "linear"].filter(function (mode) {
+        return modes.interpolation.indexOf(mode) == -1;
+    });
+    missing.forEach(function (mode) {
+        assert.throws(function () {
+            render({ interpolation: mode });
+        }, RangeError);
+    });
+    assert.throws(function () {
+        render({ oversampling: 3 });
+    }, RangeError);
+});
+
+test(
+    "the interpolation modes sound different",
+    { skip: !hasPlayers && "libxm.js was built with one interpolation mode" },
+    async function () {
+        await core.libxm.ready;
+        var nearest = render({ interpolation: "nearest" });
+        var linear = render({ interpolation: "linear" });
+        assert.strictEqual(nearest.length, linear.length);
+        assert.notDeepStrictEqual(nearest.channels[0], linear.channels[0]);
+    }
+);
+
+test(
+    "oversampling keeps the length and changes the samples",
+    { skip: !hasRate && "libxm.js can't change the mixing rate" },
+    async function () {
+        await core.libxm.ready;
+        var normal = render({});
+        var oversampled = render({ oversampling: 2 });
+        assert.strictEqual(oversampled.length, normal.length);
+        assert.notDeepStrictEqual(oversampled.channels[0], normal.channels[0]);
+    }
+);
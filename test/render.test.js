@@ -0,0 +1,82 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var fixtures = require("./fixtures.js");
+
+test("renderToPCM stops right before the next loop", async function () {
+    await core.libxm.ready;
+    var libxm = core.libxm;
+    [1, 2, 3].forEach(function (loops) {
+        var pcm = libxm.renderToPCM(fixtures.xm(), { loops: loops });
+        var timeline = libxm.scanTimeline(fixtures.xm(), { loops: loops });
+        assert.strictEqual(pcm.sampleRate, 48000);
+        assert.strictEqual(pcm.length, Math.round(timeline.duration * 48000));
+        assert.strictEqual(pcm.channels[0].length, pcm.length);
+        assert.strictEqual(pcm.channels[1].length, pcm.length);
+    });
+});
+
+test("renderToPCM stops at the duration", async function () {
+    await core.libxm.ready;
+    var pcm = core.libxm.renderToPCM(fixtures.xm(), {
+        duration: 1,
+        sampleRate: 44100,
+    });
+    assert.strictEqual(pcm.length, 44100);
+
+    // without a loop limit, the song keeps looping until the duration
+    pcm = core.libxm.renderToPCM(fixtures.xm(), { loops: 0, duration: 40 });
+    assert.strictEqual(pcm.length, 40 * 48000);
+});
+
+test("renderToPCM plays only the channels it's given", async function () {
+    await core.libxm.ready;
+    var options = { duration: 2, channels: [] };
+    var silent = core.libxm.renderToPCM(fixtures.xm(), options);
+    assert.strictEqual(
+        silent.channels[0].every(function (sample) {
+            return sample === 0;
+        }),
+        true
+    );
+
+    var all = core.libxm.renderToPCM(fixtures.xm(), { duration: 2 });
+    options.channels = [1, 2, 3, 4];
+    assert.deepStrictEqual(core.libxm.renderToPCM(fixtures.xm(), options), all);
+});
+
+test("encodeWAV writes 16 and 24 bit PCM", async function () {
+    await core.libxm.ready;
+    var channels = [
+        new Float32Array([0, 1, -1, 0.5]),
+        new Float32Array([0, -1, 1, -0.5]),
+    ];
+    var wav = new DataView(core.libxm.encodeWAV(channels, 44100));
+    var text = function (offset) {
+        return String.fromCharCode.apply(
+            null,
+            new Uint8Array(wav.buffer, offset, 4)
+        );
+    };
+    assert.strictEqual(text(0), "RIFF");
+    assert.strictEqual(wav.getUint32(4, true), wav.byteLength - 8);
+    assert.strictEqual(text(8), "WAVE");
+    assert.strictEqual(wav.getUint16(22, true), 2); // stereo
+    assert.strictEqual(wav.getUint32(24, true), 44100);
+    assert.strictEqual(wav.getUint16(34, true), 16);
+    assert.strictEqual(text(36), "data");
+    assert.strictEqual(wav.getUint32(40, true), 4 * 2 * 2);
+    assert.strictEqual(wav.getInt16(44 + 4, true), 32767);
+    assert.strictEqual(wav.getInt16(44 + 6, true), -32767);
+
+    wav = new DataView(core.libxm.encodeWAV(channels, 44100, 24));
+    assert.strictEqual(wav.getUint16(34, true), 24);
+    assert.strictEqual(wav.getUint32(40, true), 4 * 2 * 3);
+    // the left sample of the second frame is 0x7fffff
+    assert.strictEqual(wav.getUint16(44 + 6, true), 0xffff);
+    assert.strictEqual(wav.getInt8(44 + 8), 0x7f);
+
+    assert.throws(function () {
+        core.libxm.encodeWAV(channels, 44100, 8);
+    }, /Unsupported bit depth 8/);
+});
@@ -0,0 +1,66 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var fixtures = require("./fixtures.js");
+
+// the prebuilt libxm.js doesn't export xm_seek
+var hasSeek = typeof require("../lib/libxm.js")._xm_seek == "function";
+
+// largest difference between the left channel of samples and pcm from offset
+function difference(samples, pcm, offset, from) {
+    var max = 0;
+    for (var i = from; i < samples.length / 2; ++i)
+        max = Math.max(
+            max,
+            Math.abs(samples[2 * i] - pcm.channels[0][offset + i])
+        );
+    return max;
+}
+
+test(
+    "seeking to a time plays what renderToPCM has there",
+    { skip: !hasSeek && "libxm.js was built without xm_seek" },
+    async function () {
+        await core.libxm.ready;
+        var data = fixtures.xm();
+        var pcm = core.libxm.renderToPCM(data, { duration: 4 });
+        var rows = core.libxm.scanTimeline(data).rows;
+
+        // row 16 starts at 1.92 s, 2 s is 80 ms into it (like seekToTime
+        // with exact, the part of the row before is generated and dropped)
+        [1.92, 2].forEach(function (seconds) {
+            var row = rows
+                .filter(function (row) {
+                    return row.time <= seconds;
+                })
+                .pop();
+            var context = new core.XMContext(data, 48000);
+            context.seek(row.patternIndex, row.row, 0);
+            var skipped = Math.round((seconds - row.time) * 48000);
+            if (skipped > 0) context.generateSamples(skipped);
+            var samples = context.generateSamples(48000);
+            // the notes of the row start from silence after a seek, the
+            // volume ramp of the first samples can differ
+            assert.ok(
+                difference(samples, pcm, Math.round(seconds * 48000), 256) <
+                    1e-4,
+                "at " + seconds + " s"
+            );
+            context.free();
+        });
+    }
+);
+
+test(
+    "seek throws an XMUnsupportedError without xm_seek",
+    { skip: hasSeek && "libxm.js has xm_seek" },
+    async function () {
+        await core.libxm.ready;
+        var context = new core.XMContext(fixtures.xm(), 48000);
+        assert.throws(function () {
+            context.seek(1, 0);
+        }, core.XMUnsupportedError);
+        assert.strictEqual(context.getPlayingPosition().patternIndex, 0);
+        context.free();
+    }
+);
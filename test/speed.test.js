@@ -0,0 +1,89 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var fixtures = require("./fixtures.js");
+
+// builds of libxm.js before src/jslibxm.c can't override the speed
+var hasSpeed = typeof require("../lib/libxm.js")._jslibxm_set_bpm == "function";
+var skip = !hasSpeed && "libxm.js was built without the speed functions";
+
+// generates chunks until the position reaches the pattern order index,
+// returns the amount of generated samples
+function samplesUntil(context, patternIndex, chunkLength) {
+    var count = 0;
+    while (context.getPlayingPosition().patternIndex < patternIndex) {
+        context.generateSamples(chunkLength);
+        count += chunkLength;
+    }
+    return count;
+}
+
+test(
+    "a fractional tempo multiplier isn't rounded",
+    { skip: skip },
+    async function () {
+        await core.libxm.ready;
+        var context = new core.XMContext(fixtures.xm(), 48000);
+        context.setTempoMultiplier(0.97);
+        // the 64 rows of the first pattern, 6 ticks each at 125 * 0.97 BPM
+        var expected = (64 * 6 * 48000) / (0.4 * 125 * 0.97);
+        var count = samplesUntil(context, 1, 64);
+        // rounded to 121 BPM, it would take 785 samples longer
+        assert.ok(Math.abs(count - expected) < 200, count + " " + expected);
+        context.free();
+    }
+);
+
+test(
+    "an Fxx effect doesn't undo the override until the end of the chunk",
+    { skip: skip },
+    async function () {
+        await core.libxm.ready;
+        // 3 ticks per row, the F08 on row 20 of the second order is ignored:
+        // after 8 seconds, 133 rows of 60 ms are played
+        [64, 48000].forEach(function (chunkLength) {
+            var context = new core.XMContext(fixtures.xm(), 48000);
+            context.setTempo(3);
+            for (var i = 0; i < 8 * 48000; i += chunkLength)
+                context.generateSamples(chunkLength);
+            var position = context.getPlayingPosition();
+            assert.deepStrictEqual(
+                [position.patternIndex, position.row],
+                [2, 5],
+                "chunks of " + chunkLength
+            );
+            context.free();
+        });
+    }
+);
+
+test(
+    "the speed functions throw an XMUnsupportedError without them",
+    { skip: hasSpeed && "libxm.js has the speed functions" },
+    async function () {
+        await core.libxm.ready;
+        var context = new core.XMContext(fixtures.xm(), 48000);
+        [
+            function () {
+                context.setTempo(3);
+            },
+            function () {
+                context.setBPM(140);
+            },
+            function () {
+                context.setRate(2);
+            },
+            function () {
+                context.transpose(12);
+            },
+        ].forEach(function (call) {
+            assert.throws(call, core.XMUnsupportedError);
+        });
+        // nothing was changed, the song plays at its own speed
+        assert.deepStrictEqual(context.getPlayingSpeed(), {
+            bpm: 125,
+            tempo: 6,
+        });
+        context.free();
+    }
+);
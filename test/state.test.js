@@ -0,0 +1,74 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var fixtures = require("./fixtures.js");
+
+// builds of libxm.js without the state functions can't save states
+var hasState =
+    typeof require("../lib/libxm.js")._jslibxm_state_size == "function";
+
+test(
+    "setState continues where getState was called",
+    { skip: !hasState && "libxm.js was built without the state functions" },
+    async function () {
+        await core.libxm.ready;
+        var context = new core.XMContext(fixtures.xm(), 48000);
+        context.generateSamples(10000);
+        var state = context.getState();
+        var position = context.getPlayingPosition();
+        var expected = context.generateSamples(4096);
+
+        var other = new core.XMContext(fixtures.xm(), 48000);
+        other.generateSamples(3000);
+        other.setState(state);
+        assert.deepStrictEqual(other.getPlayingPosition(), position);
+        assert.deepStrictEqual(other.generateSamples(4096), expected);
+
+        var song = new core.XMContext(
+            fixtures.xm({ name: "another song" }),
+            48000
+        );
+        assert.throws(function () {
+            song.setState(state);
+        }, core.XMStateError);
+
+        context.free();
+        other.free();
+        song.free();
+    }
+);
+
+test(
+    "getState throws an XMUnsupportedError without the state functions",
+    { skip: hasState && "libxm.js has the state functions" },
+    async function () {
+        await core.libxm.ready;
+        var context = new core.XMContext(fixtures.xm(), 48000);
+        assert.throws(function () {
+            context.getState();
+        }, core.XMUnsupportedError);
+        context.free();
+    }
+);
+
+test("setState rejects data that isn't a state", async function () {
+    await core.libxm.ready;
+    var context = new core.XMContext(fixtures.xm(), 48000);
+    assert.throws(function () {
+        context.setState(new ArrayBuffer(8));
+    }, core.XMStateError);
+    assert.throws(function () {
+        context.setState(new Uint8Array(4096));
+    }, /Not a jslibxm state/);
+
+    // the header of a state of another module, see XMContext.getState
+    var state = new DataView(new ArrayBuffer(56 + 16));
+    state.setUint32(0, 0x534d584a, true);
+    state.setUint16(4, 1, true);
+    state.setUint32(8, 1234, true);
+    state.setUint32(12, 16, true);
+    assert.throws(function () {
+        context.setState(state);
+    }, /The state is of another module/);
+    context.free();
+});
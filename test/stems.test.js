@@ -0,0 +1,96 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var fixtures = require("./fixtures.js");
+
+// largest difference between two lists of samples
+function maxDifference(a, b) {
+    var difference = 0;
+    for (var i = 0; i < a.length; ++i)
+        difference = Math.max(difference, Math.abs(a[i] - b[i]));
+    return difference;
+}
+
+function isSilent(samples) {
+    return samples.every(function (sample) {
+        return sample === 0;
+    });
+}
+
+test("renderStems renders every channel on its own", async function () {
+    await core.libxm.ready;
+    var stems = core.libxm.renderStems(fixtures.xm(), { duration: 3 });
+    assert.deepStrictEqual(
+        stems.map(function (stem) {
+            return stem.group;
+        }),
+        [[1], [2], [3], [4]]
+    );
+
+    // the fixture only plays notes on the first two channels
+    assert.deepStrictEqual(
+        stems.map(function (stem) {
+            return isSilent(stem.channels[0]);
+        }),
+        [false, false, true, true]
+    );
+
+    // the stems add up to the whole song
+    var song = core.libxm.renderToPCM(fixtures.xm(), { duration: 3 });
+    [0, 1].forEach(function (channel) {
+        var sum = new Float32Array(song.length);
+        stems.forEach(function (stem) {
+            assert.strictEqual(stem.length, song.length);
+            for (var i = 0; i < stem.length; ++i)
+                sum[i] += stem.channels[channel][i];
+        });
+        assert.ok(maxDifference(sum, song.channels[channel]) < 1e-6);
+    });
+});
+
+test("renderStems renders groups of channels", async function () {
+    await core.libxm.ready;
+    var stems = core.libxm.renderStems(fixtures.xm(), {
+        duration: 1,
+        groups: [
+            [3, 4],
+            [1, 2],
+        ],
+    });
+    assert.strictEqual(stems.length, 2);
+    assert.deepStrictEqual(stems[0].group, [3, 4]);
+    assert.strictEqual(isSilent(stems[0].channels[0]), true);
+    assert.deepStrictEqual(
+        stems[1],
+        Object.assign(core.libxm.renderToPCM(fixtures.xm(), { duration: 1 }), {
+            group: [1, 2],
+        })
+    );
+
+    var wavs = core.libxm.renderStemsToWAV(fixtures.xm(), { duration: 1 });
+    assert.strictEqual(wavs.length, 4);
+    assert.strictEqual(wavs[0].wav.byteLength, 44 + 48000 * 2 * 2);
+});
+
+test("XMChannelGroups plays the groups of a context", async function () {
+    await core.libxm.ready;
+    var context = new core.XMContext(fixtures.xm(), 48000);
+    var groups = new core.XMChannelGroups(fixtures.xm(), 48000, [
+        [1],
+        [2, 3, 4],
+    ]);
+    for (var i = 0; i < 20; ++i) {
+        var expected = context.generateSamples(4096).slice();
+        var groupSamples = groups.generateSamples(4096);
+        assert.strictEqual(groupSamples.length, 2);
+        assert.ok(
+            maxDifference(groups.mixSamples(groupSamples), expected) < 1e-6
+        );
+    }
+    context.free();
+    groups.free();
+
+    assert.throws(function () {
+        new core.XMChannelGroups(fixtures.xm(), 48000, []);
+    }, RangeError);
+});
@@ -0,0 +1,85 @@
+var test = require("node:test");
+var assert = require("node:assert");
+// XMModule looks for the AudioContext when it's required
+global.AudioContext = require("./webaudio.js").AudioContext;
+var core = require("../src/core.js");
+var XMModule = require("../src/jslibxm.js").XMModule;
+var fixtures = require("./fixtures.js");
+
+// 64 + 64 + 32 + 64 rows of 6 ticks at 125 BPM (0.12 seconds), the F08 on
+// row 20 of pattern 1 makes the rows after it 0.16 seconds long
+test("scanTimeline finds the rows, orders and speed changes", async function () {
+    await core.libxm.ready;
+    var timeline = core.libxm.scanTimeline(fixtures.xm());
+    assert.strictEqual(timeline.duration, 32.48);
+    assert.strictEqual(timeline.restartTime, 7.68);
+    assert.deepStrictEqual(timeline.restartPosition, {
+        patternIndex: 1,
+        pattern: 1,
+        row: 0,
+    });
+
+    assert.strictEqual(timeline.rows.length, 224);
+    assert.deepStrictEqual(timeline.rows[16], {
+        patternIndex: 0,
+        pattern: 0,
+        row: 16,
+        time: 1.92,
+    });
+    assert.deepStrictEqual(
+        timeline.orders.map(function (order) {
+            return order.time;
+        }),
+        [0, 7.68, 17.12, 22.24]
+    );
+
+    assert.deepStrictEqual(timeline.speedChanges, [
+        { patternIndex: 0, pattern: 0, row: 0, time: 0, tempo: 6, bpm: 125 },
+        {
+            patternIndex: 1,
+            pattern: 1,
+            row: 20,
+            time: 10.08,
+            tempo: 8,
+            bpm: 125,
+        },
+    ]);
+});
+
+test("scanTimeline plays the loop again with loops", async function () {
+    await core.libxm.ready;
+    // the loop is played again at 8 ticks per row from its start, so it's
+    // 0.8 seconds longer than the first time
+    assert.strictEqual(
+        core.libxm.scanTimeline(fixtures.xm(), { loops: 2 }).duration,
+        58.08
+    );
+    assert.strictEqual(
+        core.libxm.scanTimeline(fixtures.xm(), { loops: 3 }).duration,
+        83.68
+    );
+});
+
+test("getCurrentTime follows the song while it's heard", async function () {
+    await core.libxm.ready;
+    var module = new XMModule(48000);
+    await module.load(fixtures.xm());
+    assert.strictEqual(module.getCurrentTime(), 0);
+    assert.strictEqual(module.getDuration(), 32.48);
+
+    var start = module.getEarliestStartTime();
+    module.resume(start);
+    // in the middle of rows and ticks, before and after the F08
+    [0.5, 5, 10.1, 12, 30].forEach(function (time) {
+        module.audioContext.advance(
+            start + time - module.audioContext.currentTime
+        );
+        assert.ok(Math.abs(module.getCurrentTime() - time) < 1e-6, time);
+    });
+
+    // the time stands still while paused
+    module.pause();
+    module.audioContext.advance(1);
+    assert.ok(Math.abs(module.getCurrentTime() - 30) < 1e-6);
+    module.destroy();
+});
@@ -0,0 +1,121 @@
+// A stand-in for the parts of the Web Audio API that XMModule uses without
+// an AudioWorklet or a worker, so it can be tested in Node. Time only passes
+// in advance(), which plays the buffer sources like an AudioContext: every
+// source that ended calls its onended, which queues the next buffer.
+
+// an AudioParam that takes every value right away
+function param(value) {
+    return {
+        value: value,
+        setValueAtTime: function (value) {
+            this.value = value;
+        },
+        linearRampToValueAtTime: function (value) {
+            this.value = value;
+        },
+        cancelScheduledValues: function () {},
+    };
+}
+
+function node() {
+    return {
+        connections: [],
+        connect: function (destination) {
+            this.connections.push(destination);
+        },
+        disconnect: function () {
+            this.connections = [];
+        },
+    };
+}
+
+class AudioContext {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 48000;
+        this.currentTime = 0;
+        this.baseLatency = 0;
+        this.outputLatency = 0;
+        this.state = "running";
+        this.destination = node();
+        this.sources = []; // the started sources that didn't end yet
+    }
+
+    createGain() {
+        var gain = node();
+        gain.gain = param(1);
+        return gain;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        var data = [];
+        for (var i = 0; i < channels; ++i) data.push(new Float32Array(length));
+        return {
+            numberOfChannels: channels,
+            length: length,
+            sampleRate: sampleRate,
+            duration: length / sampleRate,
+            getChannelData: function (channel) {
+                return data[channel];
+            },
+        };
+    }
+
+    createBufferSource() {
+        var source = node();
+        source.buffer = null;
+        source.onended = null;
+        source.start = function (when = 0) {
+            source.startTime = when;
+            this.sources.push(source);
+        }.bind(this);
+        // a stopped source doesn't call onended
+        source.stop = function () {
+            var index = this.sources.indexOf(source);
+            if (index != -1) this.sources.splice(index, 1);
+        }.bind(this);
+        return source;
+    }
+
+    resume() {
+        this.state = "running";
+        return Promise.resolve();
+    }
+
+    suspend() {
+        this.state = "suspended";
+        return Promise.resolve();
+    }
+
+    close() {
+        this.state = "closed";
+        this.sources = [];
+        return Promise.resolve();
+    }
+
+    // plays for a while, the sources end in the order they were scheduled
+    advance(seconds) {
+        var end = this.currentTime + seconds;
+        for (;;) {
+            var next = null;
+            this.sources.forEach(function (source) {
+                var sourceEnd = source.startTime + source.buffer.duration;
+                if (
+                    sourceEnd <= end &&
+                    (next === null ||
+                        sourceEnd < next.startTime + next.buffer.duration)
+                )
+                    next = source;
+            });
+            if (next === null) break;
+            this.sources.splice(this.sources.indexOf(next), 1);
+            this.currentTime = Math.max(
+                this.currentTime,
+                next.startTime + next.buffer.duration
+            );
+            if (typeof next.onended == "function") next.onended();
+        }
+        this.currentTime = end;
+    }
+}
+
+module.exports = { AudioContext: AudioContext };
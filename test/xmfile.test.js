@@ -0,0 +1,143 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var core = require("../src/core.js");
+var XMFile = require("../src/xmfile.js").XMFile;
+var fixtures = require("./fixtures.js");
+
+function reasons(data) {
+    return XMFile.validate(data).problems.map(function (problem) {
+        return problem.reason;
+    });
+}
+
+test("validate accepts a valid module", function () {
+    var data = fixtures.xm();
+    assert.deepStrictEqual(XMFile.validate(data), {
+        valid: true,
+        problems: [],
+    });
+    assert.strictEqual(XMFile.validate(data.buffer).valid, true);
+    assert.strictEqual(XMFile.validate(new Int8Array(data.buffer)).valid, true);
+});
+
+test("validate rejects data that is not an XM module", function () {
+    var data = fixtures.xm();
+    assert.deepStrictEqual(reasons(data.slice(0, 40)), ["too-short"]);
+
+    var signature = data.slice();
+    signature[0] = 0x41;
+    assert.deepStrictEqual(reasons(signature), ["bad-signature"]);
+
+    var version = data.slice();
+    new DataView(version.buffer).setUint16(58, 0x0103, true);
+    assert.deepStrictEqual(reasons(version), ["unsupported-version"]);
+    assert.strictEqual(XMFile.validate(version).valid, false);
+});
+
+test("validate rejects truncated modules", function () {
+    var data = fixtures.xm();
+    var result = XMFile.validate(data.slice(0, 400));
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.problems[0].reason, "truncated-pattern");
+    assert.strictEqual(result.problems[0].fatal, true);
+
+    assert.deepStrictEqual(reasons(data.slice(0, data.length - 300)), [
+        "truncated-instrument",
+    ]);
+});
+
+test("validate reports bad orders and restart positions", function () {
+    var result = XMFile.validate(fixtures.xm({ orders: [0, 5, 1] }));
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.problems[0].reason, "bad-order");
+    assert.strictEqual(result.problems[0].offset, 81);
+
+    // libxm restarts from the beginning, so the module still loads
+    result = XMFile.validate(fixtures.xm({ restartPosition: 9 }));
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.problems[0].reason, "bad-restart-position");
+    assert.strictEqual(result.problems[0].fatal, false);
+});
+
+test("writeDocument writes what readDocument reads", function () {
+    var song = XMFile.readDocument(fixtures.xm());
+    var data = XMFile.writeDocument(song);
+    assert.deepStrictEqual(XMFile.validate(data).problems, []);
+    assert.deepStrictEqual(XMFile.readDocument(data), song);
+
+    song = XMFile.readDocument(fixtures.xm({ tempo: 1000, bpm: 300 }));
+    assert.strictEqual(song.tempo, 1000);
+    assert.strictEqual(song.bpm, 300);
+    assert.deepStrictEqual(
+        XMFile.readDocument(XMFile.writeDocument(song)),
+        song
+    );
+});
+
+test("writeDocument rejects what XM can't store", function () {
+    var song = XMFile.readDocument(fixtures.xm());
+    song.bpm = 70000;
+    assert.throws(function () {
+        XMFile.writeDocument(song);
+    }, RangeError);
+
+    song = XMFile.readDocument(fixtures.xm());
+    song.patterns[1][3].pop();
+    assert.throws(function () {
+        XMFile.writeDocument(song);
+    }, /Row 3 has 3 cells, expected 4/);
+
+    var changes = [
+        function (instrument) {
+            instrument.samples[0].volume = 65;
+        },
+        function (instrument) {
+            instrument.samples[0].panning = 256;
+        },
+        function (instrument) {
+            instrument.samples[0].finetune = -129;
+        },
+        function (instrument) {
+            instrument.samples[0].relativeNote = 128;
+        },
+        function (instrument) {
+            instrument.volumeEnvelope.points[0].value = -1;
+        },
+        function (instrument) {
+            var envelope = instrument.volumeEnvelope;
+            envelope.sustainEnabled = true;
+            envelope.sustainPoint = envelope.points.length;
+        },
+        function (instrument) {
+            var envelope = instrument.panningEnvelope;
+            envelope.loopEnabled = true;
+            envelope.loopEnd = envelope.points.length;
+        },
+    ];
+    changes.forEach(function (change) {
+        song = XMFile.readDocument(fixtures.xm());
+        change(song.instruments[0]);
+        assert.throws(function () {
+            XMFile.writeDocument(song);
+        }, /of instrument 1 .* is out of range/);
+    });
+
+    // the points of a sustain that isn't used are only stored
+    song = XMFile.readDocument(fixtures.xm());
+    song.instruments[0].volumeEnvelope.sustainEnabled = false;
+    song.instruments[0].volumeEnvelope.sustainPoint = 20;
+    assert.deepStrictEqual(
+        XMFile.readDocument(XMFile.writeDocument(song)),
+        song
+    );
+});
+
+test("rewritten modules sound the same", async function () {
+    await core.libxm.ready;
+    var data = fixtures.xm();
+    var rewritten = XMFile.writeDocument(XMFile.readDocument(data));
+    assert.deepStrictEqual(
+        core.libxm.renderToPCM(rewritten, { duration: 2 }),
+        core.libxm.renderToPCM(data, { duration: 2 })
+    );
+});